@@ -0,0 +1,29 @@
+/**
+ * Airtable-compatible error
+ *
+ * Mirrors the AirtableError shape of the official SDK so callers can branch
+ * on `error.error` (the Airtable error type) and `error.statusCode`.
+ */
+
+class AirtableError extends Error {
+  /**
+   * @param {string} error - Airtable error type (e.g. INVALID_FILTER_BY_FORMULA)
+   * @param {string} message - Human readable message
+   * @param {number} statusCode - HTTP status to respond with
+   */
+  constructor(error, message, statusCode) {
+    super(message);
+    this.name = 'AirtableError';
+    this.error = error;
+    this.statusCode = statusCode;
+  }
+
+  /**
+   * Airtable response body: { error: { type, message } }
+   */
+  toJSON() {
+    return { error: { type: this.error, message: this.message } };
+  }
+}
+
+module.exports = { AirtableError };
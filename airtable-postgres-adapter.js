@@ -16,20 +16,167 @@
  *   const base = new AirtablePostgresAdapter(pgConfig, 'haq_scoring');
  * 
  * Supported methods:
- *   - base('tableName').select({ filterByFormula, maxRecords, sort }).firstPage()
+ *   - base('tableName').select({ filterByFormula, maxRecords, pageSize, sort, fields, view, expand }).firstPage()
+ *     (expand: ['patient', 'patient.physician'] or [{ field, fields, expand }]
+ *     → record.expanded.patient = [AirtableRecord, ...])
  *   - base('tableName').select({ filterByFormula }).all()
+ *     (every record, fetched page by page; maxRecords caps the total)
+ *   - base('tableName').select({ pageSize }).eachPage((records, fetchNextPage) => ..., done)
+ *     (pageSize defaults to the view's page size, else 100; keyset pagination)
  *   - base('tableName').find(recordId)
- *   - base('tableName').update(recordId, fields)
- *   - base('tableName').create(fields)
+ *   - base('tableName').update(recordId, fields) / .update([{ id, fields }])
+ *   - base('tableName').replace(recordId, fields) / .replace([{ id, fields }])
+ *     (like update, but fields left out are cleared, as the REST API's PUT)
+ *   - base('tableName').create(fields) / .create([{ fields }])
  *   - base('tableName').destroy(recordIds)
- *   - record.fields, record.id, record.get('fieldName')
+ *     (array forms run in one transaction, all-or-nothing; tables with a
+ *     deleted_at field keep tombstones, see soft-delete.js)
+ *   - base('tableName').select({ deleted: true }) → the soft-deleted records,
+ *     base('tableName').restore(recordIds), base('tableName').purge({ olderThanDays })
+ *   - base('tableName').upsert([{ fields }], fieldsToMergeOn)
+ *   - create/update/upsert accept { typecast: true } as the last argument
+ *   - select/create/update/upsert accept { returnFieldsByFieldId: true } to key
+ *     record.fields by field id (fldXXXX) instead of display name
+ *   - adapter.forPartner(partnerId) → base scoped to one partner's rows
+ *   - adapter.transaction(async (base) => { ... }) → every call through base
+ *     in one transaction, rolled back if fn throws; nested
+ *     base.transaction(...) calls are savepoints
+ *   - record.fields, record.id, record.get('fieldName'), record.set('fieldName', value)
+ *     (fields can be named by column, display name or field id, see schema.js)
+ *   - record.fetch(), record.patchUpdate(fields) / updateFields(fields),
+ *     record.replaceFields(fields) / putUpdate(fields) (clears the fields left
+ *     out), record.save(), record.destroy()
+ *   - firstPage/all/eachPage, find/create/update/replace/upsert/destroy and the record
+ *     methods return Promises, or take an SDK-style callback (err, result) as
+ *     their last argument
+ *   - create/update/replace/upsert/destroy are logged in the audit table
+ *     (audit.js) as adapter:<Lambda function name>, or as the actor given
+ *     to adapter.asActor(actor) → base; reads of AUDIT_READ_TABLES too
+ *   - adapter.invalidateSchema(tableName) after changing a table outside the API
+ *     (table definitions are cached for SCHEMA_CACHE_TTL seconds, see schema.js)
+ * 
+ * Errors are AirtableError objects ({ error, message, statusCode }) like the
+ * SDK's, including Postgres failures mapped by SQLSTATE (pg-errors.js).
  */
 
+const { AsyncLocalStorage } = require('async_hooks');
 const { Client, Pool } = require('pg');
+const { AirtableError } = require('./airtable-error');
+const { toAirtableError } = require('./pg-errors');
+const { compileFormula, quoteIdent } = require('./filter-formula');
+const { SYSTEM_COLUMNS, SOFT_DELETE_COLUMN, getTableSchema, schemaCache } = require('./schema');
+const { resolveMergeColumns, upsertRecords } = require('./upsert');
+const { fromColumnValue, toColumnValue } = require('./field-types');
+const { getView, applyView } = require('./views');
+const { LinkResolver } = require('./links');
+const { parseExpand, expandRows } = require('./expand');
+const { keysetCondition, keySelectList, extractKeyValues } = require('./pagination');
+const { TENANT_COLUMN, tenantCondition, scopeCondition, withoutTenantField, tenantStamp } = require('./tenancy');
+const { ensureAuditTable, AuditLog } = require('./audit');
+const { tombstones, withoutSoftDeleteField, deleteRows, restoreRows, purgeTombstones } = require('./soft-delete');
+
+// Records per page when neither pageSize nor the view sets one (as the SDK)
+const DEFAULT_PAGE_SIZE = 100;
+
+// Same cap as the REST API's maxRecords
+const MAX_PAGE_SIZE = 10000;
+
+/**
+ * Run fn inside BEGIN/COMMIT (writes and their audit entries), rolling back
+ * on throw. Inside adapter.transaction() it runs in a savepoint of that
+ * transaction.
+ * @param {Object} [transaction] - The adapter's open transaction, if any
+ */
+async function withTransaction(client, fn, transaction = null) {
+  if (transaction) {
+    return withSavepoint(transaction, fn);
+  }
+  
+  await client.query('BEGIN');
+  try {
+    const result = await fn();
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await rollback(client, 'ROLLBACK');
+    throw error;
+  }
+}
 
-// Schema configuration - configurable via env var, no code changes needed if schema moves
-const DB_SCHEMA_FILTER = (process.env.DB_SCHEMAS || 'scoring,public')
-  .split(',').map(s => `'${s.trim()}'`).join(', ');
+/**
+ * Roll back after a failure; a rollback that fails too (e.g. on a dropped
+ * connection) is logged, so the caller can rethrow what actually went wrong
+ * @returns {Promise<Error|null>} the rollback's own error
+ */
+async function rollback(client, statement) {
+  try {
+    await client.query(statement);
+    return null;
+  } catch (rollbackError) {
+    console.error(`[TRANSACTION] ${statement} failed: ${rollbackError.message}`);
+    return rollbackError;
+  }
+}
+
+/**
+ * Settle a promise through an SDK-style callback done(err, result) when one
+ * is given; otherwise hand the promise back
+ */
+function withCallback(promise, done) {
+  if (typeof done !== 'function') {
+    return promise;
+  }
+  promise.then(result => done(null, result), error => done(error));
+  return undefined;
+}
+
+/**
+ * Split trailing SDK-style callback off an argument list
+ * @returns {[Array, Function|undefined]} remaining arguments, callback
+ */
+function popCallback(args) {
+  if (args.length > 0 && typeof args[args.length - 1] === 'function') {
+    return [args.slice(0, -1), args[args.length - 1]];
+  }
+  return [args, undefined];
+}
+
+/**
+ * Run fn inside a savepoint of an open transaction: a throw rolls back only
+ * what fn did, and the transaction stays usable.
+ *
+ * Savepoints on one connection are a stack, so calls that overlap (e.g.
+ * Promise.all of creates) would release or roll back each other's. Each
+ * savepoint waits its turn in the queue of the scope it was called from;
+ * calls made while fn runs (tracked through async context, whichever base
+ * they go through) queue in fn's own scope instead.
+ * @param {Object} transaction - { client, savepoints, scopes, root } from adapter.transaction()
+ */
+function withSavepoint(transaction, fn) {
+  const scope = transaction.scopes.getStore() || transaction.root;
+  const turn = scope.queue.then(async () => {
+    const name = `airtable_sp_${++transaction.savepoints}`;
+    await transaction.client.query(`SAVEPOINT ${name}`);
+    try {
+      const result = await transaction.scopes.run({ queue: Promise.resolve() }, fn);
+      await transaction.client.query(`RELEASE SAVEPOINT ${name}`);
+      return result;
+    } catch (error) {
+      await rollback(transaction.client, `ROLLBACK TO SAVEPOINT ${name}`);
+      throw error;
+    }
+  });
+  scope.queue = turn.catch(() => {});
+  return turn;
+}
+
+/**
+ * Run a read; inside adapter.transaction() it gets a savepoint like a write,
+ * so a failed query doesn't abort the transaction for every later call
+ */
+function withReadSavepoint(adapter, fn) {
+  return adapter.openTransaction ? withSavepoint(adapter.openTransaction, fn) : fn();
+}
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // AIRTABLE RECORD CLASS
@@ -37,39 +184,127 @@ const DB_SCHEMA_FILTER = (process.env.DB_SCHEMAS || 'scoring,public')
 // ═══════════════════════════════════════════════════════════════════════════════
 
 class AirtableRecord {
-  constructor(row, fieldMapping) {
+  /**
+   * @param {AirtableTable} [source] - Table the record came from; needed for
+   *   the write methods (fetch, patchUpdate, replaceFields, destroy, save)
+   */
+  constructor(row, fieldMapping, table, expanded = null, source = null) {
+    this._fieldMapping = fieldMapping;
+    this._table = table;
+    this._source = source;
+    this._setRow(row);
+    
+    // Linked records from select({ expand }): field → AirtableRecord[]
+    if (expanded) {
+      this.expanded = expanded;
+    }
+  }
+  
+  _setRow(row) {
     this.id = row.airtable_record_id || row.id?.toString();
-    this.createdTime = row.airtable_created_time;
+    this.createdTime = fromColumnValue(this._table.columns.airtable_created_time, row.airtable_created_time);
     this._row = row;
-    this._fieldMapping = fieldMapping;
     
-    // Build fields object with original Airtable field names
+    // Build fields object with original Airtable field names,
+    // values converted by column type (see field-types.js)
     this.fields = {};
-    for (const [pgCol, airtableField] of Object.entries(fieldMapping)) {
+    for (const [pgCol, airtableField] of Object.entries(this._fieldMapping)) {
       if (row[pgCol] !== undefined && pgCol !== 'id' && pgCol !== 'airtable_record_id' && pgCol !== 'airtable_created_time') {
-        // Parse JSON strings back to arrays/objects
-        let value = row[pgCol];
-        if (typeof value === 'string' && (value.startsWith('[') || value.startsWith('{'))) {
-          try {
-            value = JSON.parse(value);
-          } catch (e) {
-            // Keep as string if not valid JSON
-          }
-        }
-        this.fields[airtableField] = value;
+        this.fields[airtableField] = fromColumnValue(this._table.columns[pgCol], row[pgCol]);
       }
     }
   }
   
   /**
    * Get field value (mimics Airtable SDK .get() method)
-   * Handles array unwrapping for linked records
+   * Takes the key used in fields, or any other name of the field
+   * (column, display name, field id)
    */
   get(fieldName) {
+    if (!(fieldName in this.fields)) {
+      const column = this._table.findColumn(fieldName);
+      fieldName = column ? this._fieldMapping[column] : fieldName;
+    }
     const value = this.fields[fieldName];
     // Don't auto-unwrap arrays - return as-is like Airtable does
     return value;
   }
+  
+  /**
+   * Set a field value locally; save() writes it
+   */
+  set(fieldName, value) {
+    this.fields[fieldName] = value;
+  }
+  
+  _writable() {
+    if (!this._source) {
+      throw new AirtableError('INVALID_REQUEST_UNKNOWN', 'Record was not loaded through a table and cannot be changed', 422);
+    }
+    return this._source;
+  }
+  
+  /**
+   * Reload the record's fields from the database
+   * fetch([done]) → Promise<AirtableRecord>
+   */
+  fetch(done) {
+    return withCallback(this._writable().find(this.id).then(record => this._adopt(record)), done);
+  }
+  
+  /**
+   * Update only the given fields
+   * patchUpdate(fields, [{ typecast }], [done]) → Promise<AirtableRecord>
+   */
+  patchUpdate(fields, ...rest) {
+    const [[options = {}], done] = popCallback(rest);
+    const promise = this._writable().update(this.id, fields, options).then(record => this._adopt(record));
+    return withCallback(promise, done);
+  }
+  
+  updateFields(fields, ...rest) {
+    return this.patchUpdate(fields, ...rest);
+  }
+  
+  /**
+   * Replace the record: fields left out are cleared (set to their default)
+   * replaceFields(fields, [{ typecast }], [done]) → Promise<AirtableRecord>
+   */
+  replaceFields(fields, ...rest) {
+    const [[options = {}], done] = popCallback(rest);
+    const promise = this._writable().replace(this.id, fields, options).then(record => this._adopt(record));
+    return withCallback(promise, done);
+  }
+  
+  putUpdate(fields, ...rest) {
+    return this.replaceFields(fields, ...rest);
+  }
+  
+  /**
+   * Write the record's current fields back, replacing the stored record
+   * save([done]) → Promise<AirtableRecord>
+   */
+  save(done) {
+    return this.replaceFields(this.fields, done);
+  }
+  
+  /**
+   * Delete the record
+   * destroy([done]) → Promise<AirtableRecord>
+   */
+  destroy(done) {
+    return withCallback(this._writable().destroy(this.id).then(() => this), done);
+  }
+  
+  /**
+   * Take over the row of a reloaded / updated copy, keeping this record's
+   * field keys (display names or field ids)
+   */
+  _adopt(record) {
+    this._table = record._table;
+    this._setRow(record._row);
+    return this;
+  }
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -89,231 +324,241 @@ class AirtableQuery {
     return this;
   }
   
-  async firstPage() {
-    const records = await this._executeQuery(this.options.maxRecords || 100);
-    return records;
+  /**
+   * First page of records
+   * firstPage([done]) → Promise<AirtableRecord[]>
+   */
+  firstPage(done) {
+    const promise = this._pageLimits().then(({ pageSize, maxRecords }) =>
+      this._fetchPage(null, maxRecords ? Math.min(pageSize, maxRecords) : pageSize)
+    ).then(page => page.records);
+    return withCallback(promise, done);
+  }
+  
+  /**
+   * Page through the records like the SDK: pageCallback(records, fetchNextPage)
+   * runs once per page and calls fetchNextPage() to continue; done(err) runs
+   * after the last page (or on the first error). Without done, returns a
+   * Promise that settles the same way.
+   */
+  eachPage(pageCallback, done) {
+    const promise = new Promise((resolve, reject) => {
+      const fetchPage = async (after, fetched) => {
+        const { pageSize, maxRecords } = await this._pageLimits();
+        const limit = maxRecords ? Math.min(pageSize, maxRecords - fetched) : pageSize;
+        const page = await this._fetchPage(after, limit);
+        const total = fetched + page.records.length;
+        const hasNext = page.after !== null && (!maxRecords || total < maxRecords);
+        
+        let called = false;
+        const fetchNextPage = () => {
+          if (called) return;
+          called = true;
+          if (hasNext) {
+            fetchPage(page.after, total).catch(reject);
+          } else {
+            resolve();
+          }
+        };
+        await pageCallback(page.records, fetchNextPage);
+      };
+      fetchPage(null, 0).catch(reject);
+    });
+    return withCallback(promise, done);
   }
   
-  async all() {
-    const records = await this._executeQuery(10000); // Large limit for .all()
-    return records;
+  /**
+   * Every record (up to maxRecords), fetched page by page
+   * all([done]) → Promise<AirtableRecord[]>
+   */
+  all(done) {
+    const records = [];
+    const promise = this.eachPage((page, fetchNextPage) => {
+      records.push(...page);
+      fetchNextPage();
+    }).then(() => records);
+    return withCallback(promise, done);
   }
   
-  async _executeQuery(limit) {
-    const client = await this.adapter.pool.connect();
+  /**
+   * pageSize (else the view's page size, else 100) and maxRecords (total cap)
+   */
+  async _pageLimits() {
+    const { pageSize, maxRecords, view } = this.options;
+    if (pageSize && (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE)) {
+      throw new AirtableError('INVALID_REQUEST_UNKNOWN', `pageSize must be an integer from 1 to ${MAX_PAGE_SIZE}`, 422);
+    }
+    if (maxRecords && (!Number.isInteger(maxRecords) || maxRecords < 1)) {
+      throw new AirtableError('INVALID_REQUEST_UNKNOWN', 'maxRecords must be a positive integer', 422);
+    }
+    if (!pageSize && view && this._viewPageSize === undefined) {
+      const client = await this.adapter.connect();
+      try {
+        const table = await getTableSchema(client, this.tableName, this.adapter.access);
+        this._viewPageSize = (await getView(client, table, view)).pageSize || null;
+      } catch (error) {
+        throw toAirtableError(error);
+      } finally {
+        client.release();
+      }
+    }
+    return { pageSize: pageSize || this._viewPageSize || DEFAULT_PAGE_SIZE, maxRecords: maxRecords || null };
+  }
+  
+  /**
+   * One page of records in sort order (keyset pagination, see pagination.js)
+   * @param {Array|null} after - Sort key values of the previous page's last row
+   * @param {number} limit - Page size
+   * @returns {Promise<{ records: AirtableRecord[], after: Array|null }>}
+   *   after is null on the last page
+   */
+  _fetchPage(after, limit) {
+    return withReadSavepoint(this.adapter, () => this._readPage(after, limit));
+  }
+  
+  async _readPage(after, limit) {
+    const client = await this.adapter.connect();
     
     try {
-      // Get column mapping for this table
-      const fieldMapping = await this._getFieldMapping(client);
+      // Get column mapping for this table (validated against information_schema);
+      // select({ deleted: true }) reads its tombstones instead (soft-delete.js)
+      const loaded = await getTableSchema(client, this.tableName, this.adapter.access);
+      const table = this.options.deleted === true ? tombstones(loaded) : loaded;
+      const byFieldId = this.options.returnFieldsByFieldId === true;
+      const fieldMapping = this._getFieldMapping(table, byFieldId);
+      const source = new AirtableTable(this.adapter, table.name);
       
-      // Build SQL query
-      let sql = `SELECT * FROM "${this.tableName}"`;
+      // Named view supplies defaults; explicit options are combined on top (views.js)
+      const view = this.options.view ? await getView(client, table, this.options.view) : null;
+      const options = applyView(view, this.options);
+      
+      // Linked records to embed (expand.js); the link columns must be selected
+      const expand = parseExpand(this.options.expand || []);
+      const projection = options.fields && options.fields.length > 0
+        ? [...options.fields, ...expand.map(spec => spec.field)]
+        : options.fields;
+      
+      // Sort keys (id is always the final key, so pages never overlap)
+      const sortKeys = table.resolveSort(options.sort);
+      const keyColumns = keySelectList(sortKeys);
+      
+      // Build SQL query (fields option projects columns like Airtable's fields[])
+      let sql = `SELECT ${table.selectList(projection)}${keyColumns ? `, ${keyColumns}` : ''} FROM ${table.sql}`;
       const params = [];
       
-      // Parse filterByFormula (now async to support linked record resolution)
-      if (this.options.filterByFormula) {
-        const whereClause = await this._parseFilterFormula(this.options.filterByFormula, fieldMapping, client);
+      // Partner-scoped bases only see that partner's rows (tenancy.js)
+      const conditions = [];
+      const tenant = tenantCondition(table, params);
+      if (tenant) {
+        conditions.push(tenant);
+      }
+      
+      // Soft-deleted records are hidden (or, with deleted: true, the only ones read)
+      const tombstone = table.tombstoneCondition();
+      if (tombstone) {
+        conditions.push(tombstone);
+      }
+      
+      // Parse filterByFormula (linked record lookups are shared across formulas)
+      const links = new LinkResolver(client, this.adapter.access);
+      for (const formula of options.formulas) {
+        const whereClause = await this._parseFilterFormula(formula, table, links, params);
         if (whereClause) {
-          sql += ` WHERE ${whereClause.sql}`;
-          params.push(...whereClause.params);
+          conditions.push(whereClause.sql);
         }
       }
       
-      // Add sorting
-      if (this.options.sort && this.options.sort.length > 0) {
-        const sortClauses = this.options.sort.map(s => {
-          const col = this._findColumn(s.field, fieldMapping);
-          return `"${col}" ${s.direction === 'desc' ? 'DESC' : 'ASC'}`;
-        });
-        sql += ` ORDER BY ${sortClauses.join(', ')}`;
+      // Rows after the previous page's last row
+      if (after) {
+        conditions.push(keysetCondition(sortKeys, after, params));
+      }
+      if (conditions.length > 0) {
+        sql += ` WHERE ${conditions.join(' AND ')}`;
       }
       
-      // Add limit
-      sql += ` LIMIT ${limit}`;
+      // Add sorting (same ORDER BY as the REST API: NULLS LAST, id tiebreaker)
+      sql += ` ${table.orderBy(options.sort)}`;
+      
+      // One extra row tells whether there is another page
+      sql += ` LIMIT ${limit + 1}`;
       
       // Execute query
       const result = await client.query(sql, params);
+      const rows = result.rows.slice(0, limit);
+      
+      // Strip the sort key aliases, keeping the last row's for the next page
+      let lastKeyValues = null;
+      for (const row of result.rows) {
+        const values = extractKeyValues(row, sortKeys.length);
+        if (row === rows[rows.length - 1]) {
+          lastKeyValues = values;
+        }
+      }
+      
+      // Reads of sensitive tables are logged (AUDIT_READ_TABLES, audit.js)
+      const audit = new AuditLog(client, this.adapter.actor);
+      await audit.read(table, rows);
+      
+      // One batched query per expanded link field, whatever the page size
+      const expanded = expand.length > 0
+        ? await expandRows(rows, table, expand, {
+          client,
+          links,
+          accessFor: () => this.adapter.access,
+          toRecord: (row, rowTable, nested) => new AirtableRecord(
+            row, this._getFieldMapping(rowTable, byFieldId), rowTable, nested, new AirtableTable(this.adapter, rowTable.name)
+          ),
+          byFieldId,
+          audit
+        })
+        : null;
       
       // Convert to AirtableRecord objects
-      return result.rows.map(row => new AirtableRecord(row, fieldMapping));
+      return {
+        records: rows.map((row, i) => new AirtableRecord(row, fieldMapping, table, expanded && expanded[i], source)),
+        after: result.rows.length > limit ? lastKeyValues : null
+      };
       
+    } catch (error) {
+      // pg errors surface as AirtableErrors, like the REST API (pg-errors.js)
+      throw toAirtableError(error);
     } finally {
       client.release();
     }
   }
   
-  async _getFieldMapping(client) {
-    // Get column names from PostgreSQL
-    const result = await client.query(`
-      SELECT column_name 
-      FROM information_schema.columns 
-      WHERE table_name = $1 AND table_schema IN (${DB_SCHEMA_FILTER})
-    `, [this.tableName]);
-    
+  _getFieldMapping(table, byFieldId = false) {
     // Build mapping: PostgreSQL column -> Airtable field name
-    // For exact replication, they should be the same (with quotes)
+    // (display name from the fields table, the column name by default)
     const mapping = {};
-    for (const row of result.rows) {
-      mapping[row.column_name] = row.column_name;
+    for (const column of table.columnNames) {
+      mapping[column] = table.recordKey(column, byFieldId);
     }
     return mapping;
   }
   
-  _findColumn(fieldName, fieldMapping) {
-    // Find PostgreSQL column for Airtable field name
-    for (const [pgCol, airtableField] of Object.entries(fieldMapping)) {
-      if (airtableField === fieldName || pgCol === fieldName.toLowerCase().replace(/[^a-z0-9_]/g, '_')) {
-        return pgCol;
-      }
-    }
-    return fieldName.toLowerCase().replace(/[^a-z0-9_]/g, '_');
-  }
-  
   /**
    * Parse Airtable filterByFormula to SQL WHERE clause
-   * Supports common patterns:
-   *   - {field} = "value"
-   *   - {field} = 'value'
-   *   - AND({field1} = 'value1', {field2} = 'value2')
-   *   - SEARCH("value", {field})
-   *   - SEARCH("value", ARRAYJOIN({field}))
-   *   - {enabled} = TRUE()
+   * Uses the shared formula compiler (filter-formula.js), so the adapter and
+   * the REST API accept exactly the same grammar.
    * 
-   * Also handles linked record resolution for fields like report_id
+   * Linked record fields (report_id, patient, ...) resolve human-readable
+   * ids through the query's LinkResolver (links.js)
    */
-  async _parseFilterFormula(formula, fieldMapping, client) {
-    if (!formula || formula.trim() === '') {
-      return null;
-    }
-    
-    const params = [];
-    let paramIndex = 1;
-    
-    // Handle AND(...) wrapper
-    let innerFormula = formula;
-    const andMatch = formula.match(/^AND\((.+)\)$/i);
-    if (andMatch) {
-      innerFormula = andMatch[1];
-    }
-    
-    // Split by comma for AND conditions (simple split, doesn't handle nested)
-    const conditions = [];
-    
-    // Handle SEARCH pattern: SEARCH("value", {field}) or SEARCH("value", ARRAYJOIN({field}))
-    const searchPattern = /SEARCH\s*\(\s*["']([^"']+)["']\s*,\s*(?:ARRAYJOIN\s*\(\s*)?\{([^}]+)\}(?:\s*\))?\s*\)/gi;
-    let searchMatch;
-    let tempFormula = innerFormula;
-    
-    while ((searchMatch = searchPattern.exec(innerFormula)) !== null) {
-      const value = searchMatch[1];
-      const field = searchMatch[2];
-      const col = this._findColumn(field, fieldMapping);
-      
-      // For JSONB arrays, use LIKE or @> operator
-      conditions.push(`"${col}"::text LIKE $${paramIndex}`);
-      params.push(`%${value}%`);
-      paramIndex++;
-      
-      // Remove this match from formula
-      tempFormula = tempFormula.replace(searchMatch[0], 'TRUE');
-    }
-    
-    // Handle simple equality: {field} = "value" or {field} = 'value'
-    const eqPattern = /\{([^}]+)\}\s*=\s*["']([^"']*)["']/g;
-    let eqMatch;
-    
-    while ((eqMatch = eqPattern.exec(tempFormula)) !== null) {
-      const field = eqMatch[1];
-      const value = eqMatch[2];
-      const col = this._findColumn(field, fieldMapping);
-      
-      // Try to resolve linked record ID (pass current table name to avoid self-resolution)
-      const linkedRecordId = await this._resolveLinkedRecordId(field, value, client, this.tableName);
-      
-      if (linkedRecordId) {
-        // Use LIKE for linked record fields (they store ["recXXX"])
-        conditions.push(`"${col}"::text LIKE $${paramIndex}`);
-        params.push(`%${linkedRecordId}%`);
-        paramIndex++;
-      } else {
-        // Regular equality or LIKE for text that might be in JSON array
-        conditions.push(`("${col}" = $${paramIndex} OR "${col}"::text LIKE $${paramIndex + 1})`);
-        params.push(value);
-        params.push(`%"${value}"%`);
-        paramIndex += 2;
-      }
-    }
-    
-    // Handle TRUE() pattern: {field} = TRUE()
-    const truePattern = /\{([^}]+)\}\s*=\s*TRUE\(\)/gi;
-    let trueMatch;
-    
-    while ((trueMatch = truePattern.exec(tempFormula)) !== null) {
-      const field = trueMatch[1];
-      const col = this._findColumn(field, fieldMapping);
-      
-      conditions.push(`("${col}" = 'true' OR "${col}" = '1' OR "${col}"::boolean = true)`);
-    }
+  async _parseFilterFormula(formula, table, links, params = []) {
+    // Column names, display names and field ids; unknown fields throw
+    const resolveField = (field) => table.column(field);
+    const { sql } = await compileFormula(formula, {
+      params,
+      resolveField,
+      resolveLinkedRecordId: links.forTable(table, resolveField)
+    });
     
-    if (conditions.length === 0) {
+    if (!sql) {
       return null;
     }
     
-    return {
-      sql: conditions.join(' AND '),
-      params: params
-    };
-  }
-  
-  /**
-   * Resolve a human-readable ID to an Airtable record ID
-   * Maps common linked record fields to their source tables
-   */
-  async _resolveLinkedRecordId(field, value, client, currentTable) {
-    // Skip if value already looks like an Airtable record ID
-    if (value.startsWith('rec')) {
-      return value;
-    }
-    
-    // Map of linked record fields to their source tables and lookup columns
-    const LINKED_RECORD_MAP = {
-      'report_id': { table: 'reports', lookupCol: 'report_id' },
-      'patient_id': { table: 'patients', lookupCol: 'patient_id' },
-      'patient': { table: 'patients', lookupCol: 'patient_id' },
-      'marker': { table: 'markers', lookupCol: 'marker_id' },
-      'marker_link': { table: 'markers', lookupCol: 'marker_id' },
-      'client_id': { table: 'partners', lookupCol: 'partner_id' }
-    };
-    
-    const fieldLower = field.toLowerCase();
-    const mapping = LINKED_RECORD_MAP[fieldLower];
-    
-    if (!mapping) {
-      return null; // Not a known linked record field
-    }
-    
-    // Don't resolve if we're querying the source table itself
-    // e.g., don't resolve report_id when querying reports table
-    if (currentTable === mapping.table) {
-      return null;
-    }
-    
-    try {
-      // Look up the airtable_record_id from the source table
-      const result = await client.query(
-        `SELECT airtable_record_id FROM "${mapping.table}" WHERE "${mapping.lookupCol}" = $1 LIMIT 1`,
-        [value]
-      );
-      
-      if (result.rows.length > 0) {
-        console.log(`   🔗 Resolved ${field}="${value}" → ${result.rows[0].airtable_record_id}`);
-        return result.rows[0].airtable_record_id;
-      }
-    } catch (e) {
-      // Table or column might not exist, fall back to regular equality
-    }
-    
-    return null;
+    return { sql, params };
   }
 }
 
@@ -333,113 +578,395 @@ class AirtableTable {
     return query.select(options);
   }
   
-  async find(recordId) {
-    const client = await this.adapter.pool.connect();
+  /**
+   * find(recordId, [done]) → Promise<AirtableRecord>
+   */
+  find(recordId, done) {
+    return withCallback(this._find(recordId), done);
+  }
+  
+  /**
+   * Update one record, or a batch like the Airtable SDK:
+   *   update(recordId, fields, [{ typecast }], [done])        → AirtableRecord
+   *   update([{ id, fields }, ...], [{ typecast }], [done])   → AirtableRecord[] (one transaction)
+   *   update([{ fields }, ...], { performUpsert: { fieldsToMergeOn } }, [done]) → AirtableRecord[]
+   */
+  update(recordIdOrRecords, ...rest) {
+    const [args, done] = popCallback(rest);
+    return withCallback(this._update(recordIdOrRecords, ...args), done);
+  }
+  
+  /**
+   * Replace one record, or a batch, like the REST API's PUT: fields left out
+   * are cleared (NULL, or the column default)
+   *   replace(recordId, fields, [{ typecast }], [done])        → AirtableRecord
+   *   replace([{ id, fields }, ...], [{ typecast }], [done])   → AirtableRecord[] (one transaction)
+   */
+  replace(recordIdOrRecords, ...rest) {
+    const [args, done] = popCallback(rest);
+    const [fieldsOrOptions, options = {}] = args;
+    return withCallback(this._update(recordIdOrRecords, fieldsOrOptions, options, true), done);
+  }
+  
+  /**
+   * Create or update records by natural key (see upsert.js)
+   *   upsert([{ fields }, ...], fieldsToMergeOn, [{ typecast }], [done])
+   *   → { records, createdRecords, updatedRecords }
+   */
+  upsert(records, fieldsToMergeOn, ...rest) {
+    const [args, done] = popCallback(rest);
+    return withCallback(this._upsert(records, fieldsToMergeOn, ...args), done);
+  }
+  
+  /**
+   * Create one record, or a batch like the Airtable SDK:
+   *   create(fields, [{ typecast, returnFieldsByFieldId }], [done])            → AirtableRecord
+   *   create([{ fields }, ...], [{ typecast, returnFieldsByFieldId }], [done]) → AirtableRecord[] (one transaction)
+   */
+  create(fieldsOrRecords, ...rest) {
+    const [args, done] = popCallback(rest);
+    return withCallback(this._create(fieldsOrRecords, ...args), done);
+  }
+  
+  /**
+   * Delete one record id or an array of ids
+   *   destroy(recordIdOrIds, [done]) → { id, deleted } or an array of them
+   * An array is all-or-nothing: if any id doesn't exist nothing is deleted.
+   */
+  destroy(recordIds, done) {
+    return withCallback(this._destroy(recordIds), done);
+  }
+  
+  /**
+   * Bring soft-deleted records back (tables with a deleted_at field, see soft-delete.js)
+   *   restore(recordIdOrIds, [done]) → AirtableRecord or an array of them
+   * All-or-nothing: if any id isn't a tombstone nothing is restored.
+   */
+  restore(recordIds, done) {
+    return withCallback(this._restore(recordIds), done);
+  }
+  
+  /**
+   * Hard-delete tombstones older than the retention window
+   *   purge([{ olderThanDays }], [done]) → [{ id, deleted }]
+   * olderThanDays defaults to SOFT_DELETE_RETENTION_DAYS (30).
+   */
+  purge(...args) {
+    const [[options = {}], done] = popCallback(args);
+    return withCallback(this._purge(options), done);
+  }
+  
+  _find(recordId) {
+    return withReadSavepoint(this.adapter, () => this._readRecord(recordId));
+  }
+  
+  async _readRecord(recordId) {
+    const client = await this.adapter.connect();
     
     try {
+      const table = await getTableSchema(client, this.tableName, this.adapter.access);
+      const params = [recordId];
+      const where = scopeCondition(table, '"airtable_record_id" = $1', params);
       const result = await client.query(
-        `SELECT * FROM "${this.tableName}" WHERE "airtable_record_id" = $1 LIMIT 1`,
-        [recordId]
+        `SELECT * FROM ${table.sql} WHERE ${where} LIMIT 1`,
+        params
       );
       
       if (result.rows.length === 0) {
-        throw new Error(`Record not found: ${recordId}`);
+        throw new AirtableError('NOT_FOUND', `Record not found: ${recordId}`, 404);
       }
+      await new AuditLog(client, this.adapter.actor).read(table, result.rows);
       
-      const fieldMapping = await this._getFieldMapping(client);
-      return new AirtableRecord(result.rows[0], fieldMapping);
+      const fieldMapping = this._getFieldMapping(table);
+      return new AirtableRecord(result.rows[0], fieldMapping, table, null, this);
       
+    } catch (error) {
+      throw toAirtableError(error);
     } finally {
       client.release();
     }
   }
   
-  async update(recordId, fields) {
-    const client = await this.adapter.pool.connect();
+  /**
+   * @param {boolean} [replace] - Reset the fields left out to their defaults
+   */
+  async _update(recordIdOrRecords, fieldsOrOptions, options = {}, replace = false) {
+    const isBatch = Array.isArray(recordIdOrRecords);
+    const opts = (isBatch ? fieldsOrOptions : options) || {};
+    
+    if (isBatch && opts.performUpsert) {
+      const { records } = await this._upsert(recordIdOrRecords, opts.performUpsert.fieldsToMergeOn, opts, replace);
+      return records;
+    }
+    
+    const updates = isBatch ? recordIdOrRecords : [{ id: recordIdOrRecords, fields: fieldsOrOptions }];
+    const typecast = opts.typecast === true;
+    const client = await this.adapter.connect();
     
     try {
-      const setClauses = [];
-      const params = [recordId];
-      let paramIndex = 2;
+      const table = await getTableSchema(client, this.tableName, this.adapter.access);
+      const audit = new AuditLog(client, this.adapter.actor);
       
-      for (const [field, value] of Object.entries(fields)) {
-        const col = field.toLowerCase().replace(/[^a-z0-9_]/g, '_');
-        setClauses.push(`"${col}" = $${paramIndex}`);
-        params.push(typeof value === 'object' ? JSON.stringify(value) : value);
-        paramIndex++;
-      }
+      const rows = await withTransaction(client, async () => {
+        const updated = [];
+        for (const update of updates) {
+          updated.push(await this._updateRow(client, table, update.id, update.fields || {}, typecast, replace, audit));
+        }
+        return updated;
+      }, this.adapter.openTransaction);
       
-      if (setClauses.length > 0) {
-        await client.query(
-          `UPDATE "${this.tableName}" SET ${setClauses.join(', ')} WHERE "airtable_record_id" = $1`,
-          params
-        );
-      }
+      const fieldMapping = this._getFieldMapping(table, opts.returnFieldsByFieldId === true);
+      const records = rows.map(row => new AirtableRecord(row, fieldMapping, table, null, this));
+      return isBatch ? records : records[0];
+      
+    } catch (error) {
+      throw toAirtableError(error);
+    } finally {
+      client.release();
+    }
+  }
+  
+  /**
+   * @param {Array<{id?: string, fields: Object}>} records
+   * @param {string[]} fieldsToMergeOn - e.g. ['report_id']
+   * @param {Object} [options] - { typecast }
+   * @param {boolean} [replace] - Replace the records that already exist
+   * @returns {Promise<{records: AirtableRecord[], createdRecords: string[], updatedRecords: string[]}>}
+   */
+  async _upsert(records, fieldsToMergeOn, options = {}, replace = false) {
+    const typecast = options.typecast === true;
+    const client = await this.adapter.connect();
+    
+    try {
+      const table = await getTableSchema(client, this.tableName, this.adapter.access);
+      const mergeColumns = resolveMergeColumns(table, { fieldsToMergeOn });
+      const audit = new AuditLog(client, this.adapter.actor);
       
-      return this.find(recordId);
+      const upserted = await withTransaction(client, () => upsertRecords(client, table, records, mergeColumns, {
+        insert: (fields) => this._insertRow(client, table, fields, typecast, audit),
+        update: (id, fields) => this._updateRow(client, table, id, fields, typecast, replace, audit),
+        serialize: (value, column) => toColumnValue(table.columns[column], value, typecast)
+      }), this.adapter.openTransaction);
       
+      const fieldMapping = this._getFieldMapping(table, options.returnFieldsByFieldId === true);
+      return {
+        records: upserted.rows.map(row => new AirtableRecord(row, fieldMapping, table, null, this)),
+        createdRecords: upserted.createdRecords,
+        updatedRecords: upserted.updatedRecords
+      };
+      
+    } catch (error) {
+      throw toAirtableError(error);
     } finally {
       client.release();
     }
   }
   
-  async create(fields) {
-    const client = await this.adapter.pool.connect();
+  async _create(fieldsOrRecords, options = {}) {
+    const isBatch = Array.isArray(fieldsOrRecords);
+    const typecast = options.typecast === true;
+    const creates = isBatch ? fieldsOrRecords.map(record => record.fields || record) : [fieldsOrRecords];
+    const client = await this.adapter.connect();
     
     try {
-      const columns = ['airtable_record_id', 'airtable_created_time'];
-      const values = [this._generateRecordId(), new Date().toISOString()];
-      const placeholders = ['$1', '$2'];
-      let paramIndex = 3;
-      
-      for (const [field, value] of Object.entries(fields)) {
-        const col = field.toLowerCase().replace(/[^a-z0-9_]/g, '_');
-        columns.push(`"${col}"`);
-        values.push(typeof value === 'object' ? JSON.stringify(value) : value);
-        placeholders.push(`$${paramIndex}`);
-        paramIndex++;
-      }
+      const table = await getTableSchema(client, this.tableName, this.adapter.access);
+      const audit = new AuditLog(client, this.adapter.actor);
       
-      const result = await client.query(
-        `INSERT INTO "${this.tableName}" (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
-        values
-      );
+      const rows = await withTransaction(client, async () => {
+        const created = [];
+        for (const fields of creates) {
+          created.push(await this._insertRow(client, table, fields, typecast, audit));
+        }
+        return created;
+      }, this.adapter.openTransaction);
       
-      const fieldMapping = await this._getFieldMapping(client);
-      return new AirtableRecord(result.rows[0], fieldMapping);
+      const fieldMapping = this._getFieldMapping(table, options.returnFieldsByFieldId === true);
+      const records = rows.map(row => new AirtableRecord(row, fieldMapping, table, null, this));
+      return isBatch ? records : records[0];
       
+    } catch (error) {
+      throw toAirtableError(error);
     } finally {
       client.release();
     }
   }
   
-  async destroy(recordIds) {
-    const client = await this.adapter.pool.connect();
-    const ids = Array.isArray(recordIds) ? recordIds : [recordIds];
+  async _destroy(recordIds) {
+    const client = await this.adapter.connect();
+    const isBatch = Array.isArray(recordIds);
+    const ids = isBatch ? recordIds : [recordIds];
     
     try {
-      const result = await client.query(
-        `DELETE FROM "${this.tableName}" WHERE "airtable_record_id" = ANY($1) RETURNING "airtable_record_id"`,
-        [ids]
-      );
+      const table = await getTableSchema(client, this.tableName, this.adapter.access);
+      const audit = new AuditLog(client, this.adapter.actor);
+      
+      return await withTransaction(client, async () => {
+        // Soft-delete tables keep a tombstone (soft-delete.js)
+        const rows = await deleteRows(client, table, '"airtable_record_id" = ANY($1)', [ids], audit);
+        
+        if (isBatch) {
+          const deleted = new Set(rows.map(row => row.airtable_record_id));
+          const missing = ids.find(id => !deleted.has(id));
+          if (missing) {
+            throw new AirtableError('ROW_DOES_NOT_EXIST', `Record ${missing} does not exist`, 404);
+          }
+        }
+        
+        return rows.map(row => ({ id: row.airtable_record_id, deleted: true }));
+      }, this.adapter.openTransaction);
+      
+    } catch (error) {
+      throw toAirtableError(error);
+    } finally {
+      client.release();
+    }
+  }
+  
+  async _restore(recordIds) {
+    const client = await this.adapter.connect();
+    const isBatch = Array.isArray(recordIds);
+    const ids = isBatch ? recordIds : [recordIds];
+    
+    try {
+      const table = await getTableSchema(client, this.tableName, this.adapter.access);
+      const audit = new AuditLog(client, this.adapter.actor);
+      
+      const rows = await withTransaction(client, async () => {
+        const restored = await restoreRows(client, table, ids, audit);
+        const found = new Set(restored.map(row => row.airtable_record_id));
+        const missing = ids.find(id => !found.has(id));
+        if (missing) {
+          throw new AirtableError('ROW_DOES_NOT_EXIST', `Record ${missing} does not exist`, 404);
+        }
+        return restored;
+      }, this.adapter.openTransaction);
+      
+      const fieldMapping = this._getFieldMapping(table);
+      const records = rows.map(row => new AirtableRecord(row, fieldMapping, table, null, this));
+      return isBatch ? records : records[0];
+      
+    } catch (error) {
+      throw toAirtableError(error);
+    } finally {
+      client.release();
+    }
+  }
+  
+  async _purge(options = {}) {
+    const client = await this.adapter.connect();
+    
+    try {
+      const table = await getTableSchema(client, this.tableName, this.adapter.access);
+      const audit = new AuditLog(client, this.adapter.actor);
       
-      return result.rows.map(row => ({ id: row.airtable_record_id, deleted: true }));
+      const rows = await withTransaction(client, () => purgeTombstones(client, table, options.olderThanDays, audit), this.adapter.openTransaction);
+      return rows.map(row => ({ id: row.airtable_record_id, deleted: true }));
       
+    } catch (error) {
+      throw toAirtableError(error);
     } finally {
       client.release();
     }
   }
   
-  async _getFieldMapping(client) {
-    const result = await client.query(`
-      SELECT column_name 
-      FROM information_schema.columns 
-      WHERE table_name = $1 AND table_schema IN (${DB_SCHEMA_FILTER})
-    `, [this.tableName]);
+  /**
+   * @param {AuditLog} [audit] - Logs the create (audit.js)
+   */
+  async _insertRow(client, table, fields, typecast = false, audit = null) {
+    const columns = ['airtable_record_id', 'airtable_created_time'];
+    const values = [this._generateRecordId(), new Date().toISOString()];
+    const placeholders = ['$1', '$2'];
+    let paramIndex = 3;
+    
+    // Partner-scoped bases stamp the partner id on every created row
+    const stamp = tenantStamp(table);
+    if (stamp) {
+      columns.push(quoteIdent(stamp.column));
+      values.push(stamp.value);
+      placeholders.push(`$${paramIndex}`);
+      paramIndex++;
+    }
     
+    for (const [field, value] of Object.entries(withoutSoftDeleteField(table, withoutTenantField(table, fields)))) {
+      const col = table.column(field);
+      columns.push(quoteIdent(col));
+      values.push(toColumnValue(table.columns[col], value, typecast));
+      placeholders.push(`$${paramIndex}`);
+      paramIndex++;
+    }
+    
+    const result = await client.query(
+      `INSERT INTO ${table.sql} (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+      values
+    );
+    
+    if (audit) {
+      await audit.created(table, result.rows[0]);
+    }
+    return result.rows[0];
+  }
+  
+  /**
+   * @param {boolean} [replace] - Also reset every other user column to its
+   *   default (NULL unless the column has one), like Airtable's PUT; system
+   *   columns, deleted_at and the caller's tenant column are kept
+   * @param {AuditLog} [audit] - Logs the change (audit.js); the row is read
+   *   and locked first so the entry has its values before
+   */
+  async _updateRow(client, table, recordId, fields, typecast = false, replace = false, audit = null) {
+    const setClauses = [];
+    const params = [recordId];
+    let paramIndex = 2;
+    const written = new Set();
+    
+    for (const [field, value] of Object.entries(withoutSoftDeleteField(table, withoutTenantField(table, fields)))) {
+      const col = table.column(field);
+      setClauses.push(`${quoteIdent(col)} = $${paramIndex}`);
+      params.push(toColumnValue(table.columns[col], value, typecast));
+      paramIndex++;
+      written.add(col);
+    }
+    
+    if (replace) {
+      const stamp = tenantStamp(table);
+      for (const col of table.columnNames) {
+        if (!written.has(col) && !SYSTEM_COLUMNS.includes(col) && col !== SOFT_DELETE_COLUMN &&
+            table.isVisible(col) && !(stamp && stamp.column === col)) {
+          setClauses.push(`${quoteIdent(col)} = DEFAULT`);
+        }
+      }
+    }
+    
+    // RETURNING * saves a second round trip (and pool client) for find()
+    const where = scopeCondition(table, '"airtable_record_id" = $1', params);
+    
+    let before = null;
+    if (audit) {
+      const lockParams = [recordId];
+      const lockWhere = scopeCondition(table, '"airtable_record_id" = $1', lockParams);
+      const current = await client.query(`SELECT * FROM ${table.sql} WHERE ${lockWhere} FOR UPDATE`, lockParams);
+      before = current.rows[0] || null;
+    }
+    
+    const sql = setClauses.length > 0
+      ? `UPDATE ${table.sql} SET ${setClauses.join(', ')} WHERE ${where} RETURNING *`
+      : `SELECT * FROM ${table.sql} WHERE ${where}`;
+    
+    const result = await client.query(sql, params);
+    if (result.rows.length === 0) {
+      throw new AirtableError('ROW_DOES_NOT_EXIST', `Record ${recordId} does not exist`, 404);
+    }
+    
+    if (audit) {
+      await audit.updated(table, before, result.rows[0]);
+    }
+    return result.rows[0];
+  }
+  
+  _getFieldMapping(table, byFieldId = false) {
     const mapping = {};
-    for (const row of result.rows) {
-      mapping[row.column_name] = row.column_name;
+    for (const column of table.columnNames) {
+      mapping[column] = table.recordKey(column, byFieldId);
     }
     return mapping;
   }
@@ -473,6 +1000,15 @@ class AirtablePostgresAdapter {
     };
     this.pool = new Pool(this.config);
     this.database = database;
+    this.access = null; // { tenant } when limited to one partner (forPartner)
+    this.openTransaction = null; // { client, savepoints, scopes, root } inside transaction()
+    
+    // Who audit entries name for changes made through this adapter (audit.js)
+    this.actor = `adapter:${process.env.AWS_LAMBDA_FUNCTION_NAME || database}`;
+    
+    // Table definitions, shared with every other adapter and the REST API
+    // on this database in the container (schema.js)
+    this.schemaCache = schemaCache(database);
   }
   
   /**
@@ -490,9 +1026,105 @@ class AirtablePostgresAdapter {
    */
   base() {
     const adapter = this;
-    return function(tableName) {
+    const base = function(tableName) {
       return new AirtableTable(adapter, tableName);
     };
+    // base.transaction(fn) is adapter.transaction(fn) (a savepoint when nested)
+    base.transaction = (fn) => adapter.transaction(fn);
+    return base;
+  }
+  
+  /**
+   * Client for one call: a pool client, or the open transaction's client
+   * (whose release() is a no-op; transaction() releases it at the end)
+   */
+  async connect() {
+    if (this.openTransaction) {
+      const { client } = this.openTransaction;
+      return {
+        database: client.database,
+        query: (...args) => client.query(...args),
+        release() {}
+      };
+    }
+    await ensureAuditTable(this.pool, this.database);
+    return this.pool.connect();
+  }
+  
+  /**
+   * Run fn(base) in one transaction: every call made through `base` (select,
+   * find, create, update, replace, upsert, destroy, record methods) shares
+   * one client between BEGIN and COMMIT, and a throw rolls all of it back.
+   * base.transaction(innerFn) inside fn runs in a savepoint, so an inner
+   * failure can be caught without losing the outer work. (adapter.transaction
+   * inside fn would start a second, independent transaction.) Calls may
+   * overlap (Promise.all): their writes take turns on the one connection.
+   * 
+   * Use: await adapter.transaction(async (base) => {
+   *        const report = await base('reports').create({ report_id: 'R-1' });
+   *        await base('markers').create(markers.map(fields => ({ fields })));
+   *        await base('patients').update(patientId, { last_report: report.id });
+   *      });
+   * @returns {Promise<*>} fn's result, once committed
+   */
+  async transaction(fn) {
+    if (this.openTransaction) {
+      return withSavepoint(this.openTransaction, () => fn(this.base()));
+    }
+    
+    await ensureAuditTable(this.pool, this.database);
+    const client = await this.pool.connect();
+    const bound = Object.create(this);
+    bound.openTransaction = {
+      client,
+      savepoints: 0,
+      scopes: new AsyncLocalStorage(), // savepoint queue of the current nested scope
+      root: { queue: Promise.resolve() } // queue of calls made directly in fn
+    };
+    
+    let broken = null;
+    try {
+      await client.query('BEGIN');
+      const result = await fn(bound.base());
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      broken = await rollback(client, 'ROLLBACK');
+      throw toAirtableError(error);
+    } finally {
+      // A connection that couldn't roll back is destroyed, not reused
+      client.release(broken || undefined);
+    }
+  }
+  
+  /**
+   * Callable base limited to one partner's rows (tenancy.js), sharing this pool
+   * Use: const base = adapter.forPartner(partnerId); base('reports').select(...)
+   */
+  forPartner(partnerId) {
+    const scoped = Object.create(this);
+    scoped.access = { tenant: { column: TENANT_COLUMN, partnerId: String(partnerId) } };
+    return scoped.base();
+  }
+  
+  /**
+   * Callable base whose changes are audited as made by `actor` (e.g. the
+   * user a Lambda acts for), sharing this pool
+   * Use: const base = adapter.asActor(userId); base('reports').update(...)
+   */
+  asActor(actor) {
+    const named = Object.create(this);
+    named.actor = String(actor);
+    return named.base();
+  }
+  
+  /**
+   * Forget cached table definitions after a schema change made outside the
+   * metadata API (migration scripts, psql)
+   * @param {string} [tableName] - Changed table; omit to drop every table
+   */
+  invalidateSchema(tableName = null) {
+    this.schemaCache.invalidate(tableName);
   }
   
   /**
@@ -0,0 +1,336 @@
+/**
+ * Audit Trail
+ *
+ * Every record create, update and delete made through the REST API or the
+ * adapter is logged in each base's database, in the same transaction as the
+ * change:
+ *
+ *   CREATE TABLE public._airtable_audit (
+ *     id bigserial PRIMARY KEY,
+ *     table_name text NOT NULL,
+ *     record_id text NOT NULL,        -- airtable_record_id
+ *     action text NOT NULL,           -- create, update, delete, restore, purge, read
+ *     actor text,                     -- caller id (auth.js) or adapter actor
+ *     tenant text,                    -- the row's partner_id (tenancy.js)
+ *     changed_fields text[],          -- columns the change touched
+ *     before jsonb,                   -- their values before (update, delete)
+ *     after jsonb,                    -- and after (create, update)
+ *     created_time timestamptz NOT NULL DEFAULT now()
+ *   );
+ *
+ * Updates only log the columns whose value changed; an update that changes
+ * nothing isn't logged. Entries hold every column, including ones a policy
+ * hides; recordHistory() leaves those out for callers who can't see them.
+ * Soft deletes and restores (soft-delete.js) are logged as "delete" and
+ * "restore" changes to deleted_at; purging a tombstone as "purge".
+ * Renaming a field (migrations.js) renames it in the table's history.
+ *
+ * Reads are logged too for the tables in AUDIT_READ_TABLES (comma separated,
+ * e.g. "patients"): one "read" entry per record a list, find or expand
+ * returns.
+ *
+ * An AuditLog lives for one request (or adapter call) and writes through
+ * that request's client. The table itself is created up front, outside any
+ * request transaction (ensureAuditTable).
+ */
+
+const { AirtableError } = require('./airtable-error');
+const { SYSTEM_COLUMNS, internalTable, queryInternal } = require('./schema');
+const { fromColumnValue } = require('./field-types');
+const { TENANT_COLUMN, tenantMatch, tenantStamp } = require('./tenancy');
+const { encodeOffset, decodeOffset, queryFingerprint } = require('./pagination');
+
+const AUDIT_TABLE = internalTable('audit');
+
+const AUDIT_READ_TABLES = (process.env.AUDIT_READ_TABLES || '')
+  .split(',').map(s => s.trim()).filter(Boolean);
+
+const DEFAULT_HISTORY_PAGE_SIZE = 100;
+const MAX_HISTORY_PAGE_SIZE = 1000;
+
+// database → Promise of the audit table existing (once per container)
+const auditTables = new Map();
+
+// Concurrent CREATE ... IF NOT EXISTS can still collide in the catalogs
+const ALREADY_CREATED = ['23505', '42P07'];
+
+async function createAuditTable(pool) {
+  const statements = [
+    `CREATE TABLE IF NOT EXISTS ${AUDIT_TABLE} (
+      id bigserial PRIMARY KEY,
+      table_name text NOT NULL,
+      record_id text NOT NULL,
+      action text NOT NULL,
+      actor text,
+      tenant text,
+      changed_fields text[],
+      before jsonb,
+      after jsonb,
+      created_time timestamptz NOT NULL DEFAULT now()
+    )`,
+    `CREATE INDEX IF NOT EXISTS _airtable_audit_record_idx ON ${AUDIT_TABLE} (table_name, record_id, id)`
+  ];
+  for (const statement of statements) {
+    try {
+      await pool.query(statement);
+    } catch (error) {
+      if (!ALREADY_CREATED.includes(error.code)) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Create the audit table (and its index) if missing, once per database per
+ * container. Runs on its own pool connection, never inside a request's
+ * transaction: DDL there would hold its locks until commit and make
+ * concurrent writers deadlock. Call before opening the transaction an
+ * AuditLog writes in.
+ * @param {Object} pool - pg Pool of the database
+ * @param {string} database
+ */
+function ensureAuditTable(pool, database) {
+  if (!auditTables.has(database)) {
+    const ready = createAuditTable(pool).catch((error) => {
+      auditTables.delete(database);
+      throw error;
+    });
+    auditTables.set(database, ready);
+  }
+  return auditTables.get(database);
+}
+
+/**
+ * Columns of a row an entry describes (not id, record id or created time)
+ */
+function auditedColumns(row) {
+  return Object.keys(row).filter(column => !SYSTEM_COLUMNS.includes(column));
+}
+
+/**
+ * Column → value for the given columns, as stored in before/after: converted
+ * like record fields (field-types.js), so dates stay calendar dates in JSON
+ */
+function pick(table, row, columns) {
+  const values = {};
+  for (const column of columns) {
+    values[column] = fromColumnValue(table.columns[column], row[column]);
+  }
+  return values;
+}
+
+/**
+ * Partner a row belongs to, when the table is tenant-scoped (projected reads
+ * may leave the column out; they're the caller's partner's rows)
+ */
+function rowTenant(table, row) {
+  if (!table.hasColumn(TENANT_COLUMN)) {
+    return null;
+  }
+  const value = row[TENANT_COLUMN];
+  if (value !== null && value !== undefined) {
+    return String(value);
+  }
+  const stamp = tenantStamp(table);
+  return stamp ? stamp.value : null;
+}
+
+function sameValue(table, column, a, b) {
+  const type = table.columns[column];
+  return JSON.stringify(fromColumnValue(type, a)) === JSON.stringify(fromColumnValue(type, b));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Logging
+// ═══════════════════════════════════════════════════════════════════════════════
+
+class AuditLog {
+  /**
+   * @param {Object} client - pg client the audited changes are made on
+   * @param {string} actor - Who is making them (caller id, service name)
+   */
+  constructor(client, actor) {
+    this.client = client;
+    this.actor = actor || null;
+  }
+
+  async _write(table, row, action, columns, before, after) {
+    await this.client.query(
+      `INSERT INTO ${AUDIT_TABLE} (table_name, record_id, action, actor, tenant, changed_fields, before, after)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        table.name,
+        row.airtable_record_id,
+        action,
+        this.actor,
+        rowTenant(table, row),
+        columns,
+        before && JSON.stringify(before),
+        after && JSON.stringify(after)
+      ]
+    );
+  }
+
+  /**
+   * A created row: every column it was given a value for
+   */
+  async created(table, row) {
+    const columns = auditedColumns(row).filter(column => row[column] !== null);
+    await this._write(table, row, 'create', columns, null, pick(table, row, columns));
+  }
+
+  /**
+   * An updated row, from its state before and after the UPDATE
+   * @param {string} [action] - delete / restore for soft-delete tombstones
+   */
+  async updated(table, before, after, action = 'update') {
+    const columns = auditedColumns(after).filter(column => !sameValue(table, column, before[column], after[column]));
+    if (columns.length === 0) {
+      return;
+    }
+    await this._write(table, after, action, columns, pick(table, before, columns), pick(table, after, columns));
+  }
+
+  /**
+   * Deleted rows (as returned by DELETE ... RETURNING *)
+   * @param {string} [action] - purge for tombstones
+   */
+  async deleted(table, rows, action = 'delete') {
+    for (const row of rows) {
+      const columns = auditedColumns(row).filter(column => row[column] !== null);
+      await this._write(table, row, action, columns, pick(table, row, columns), null);
+    }
+  }
+
+  /**
+   * Rows returned to the caller; only logged for AUDIT_READ_TABLES
+   */
+  async read(table, rows) {
+    if (!AUDIT_READ_TABLES.includes(table.name) || rows.length === 0) {
+      return;
+    }
+    await this.client.query(
+      `INSERT INTO ${AUDIT_TABLE} (table_name, record_id, action, actor, tenant)
+       SELECT $1, unnest($2::text[]), 'read', $3, unnest($4::text[])`,
+      [table.name, rows.map(row => row.airtable_record_id), this.actor, rows.map(row => rowTenant(table, row))]
+    );
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// History
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Logged values → { field: value }, keyed like record fields; columns the
+ * caller can't see (or that no longer exist) are left out
+ */
+function entryFields(table, values, byFieldId) {
+  if (!values) {
+    return null;
+  }
+  const fields = {};
+  for (const [column, value] of Object.entries(values)) {
+    if (table.hasColumn(column) && table.isVisible(column)) {
+      fields[table.recordKey(column, byFieldId)] = value;
+    }
+  }
+  return fields;
+}
+
+/**
+ * One page of a record's audit entries, newest first
+ * @param {Object} client - pg client
+ * @param {TableSchema} table - Loaded with the caller's access
+ * @param {string} recordId
+ * @param {Object} [options]
+ * @param {number} [options.pageSize] - Entries per page (default 100, max 1000)
+ * @param {string} [options.offset] - Token from the previous page
+ * @param {boolean} [options.includeReads] - Also return read entries
+ * @param {boolean} [options.byFieldId] - Key fields by field id
+ * @returns {Promise<{ history: Object[], offset?: string }>}
+ */
+async function recordHistory(client, table, recordId, options = {}) {
+  const pageSize = options.pageSize === undefined ? DEFAULT_HISTORY_PAGE_SIZE : options.pageSize;
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_HISTORY_PAGE_SIZE) {
+    throw new AirtableError('INVALID_REQUEST_UNKNOWN', `pageSize must be an integer from 1 to ${MAX_HISTORY_PAGE_SIZE}`, 422);
+  }
+
+  const includeReads = options.includeReads === true;
+  const fingerprint = queryFingerprint(['history', table.name, recordId, includeReads]);
+  const offset = decodeOffset(options.offset, fingerprint, 1);
+  if (offset.type === 'numeric') {
+    throw new AirtableError('INVALID_OFFSET_VALUE', `The value of offset ${options.offset} is invalid`, 422);
+  }
+
+  const params = [table.name, recordId];
+  const conditions = ['table_name = $1', 'record_id = $2'];
+  if (!includeReads) {
+    conditions.push(`action <> 'read'`);
+  }
+  // Partner callers only see entries for their own partner's rows
+  const stamp = tenantStamp(table);
+  if (stamp) {
+    conditions.push(tenantMatch('tenant', stamp.partnerId, params));
+  }
+  if (offset.type === 'keyset') {
+    params.push(offset.values[0]);
+    conditions.push(`id < $${params.length}`);
+  }
+
+  const rows = await queryInternal(client, AUDIT_TABLE,
+    `SELECT id, action, actor, changed_fields, before, after, created_time FROM ${AUDIT_TABLE}
+     WHERE ${conditions.join(' AND ')} ORDER BY id DESC LIMIT ${pageSize + 1}`,
+    params
+  );
+
+  const page = rows.slice(0, pageSize);
+  const entries = [];
+  for (const row of page) {
+    const visible = (row.changed_fields || []).filter(column => table.hasColumn(column) && table.isVisible(column));
+    // Updates that only touched hidden fields aren't the caller's business
+    if (row.action === 'update' && visible.length === 0) {
+      continue;
+    }
+    entries.push({
+      id: String(row.id),
+      action: row.action,
+      actor: row.actor,
+      createdTime: new Date(row.created_time).toISOString(),
+      changedFields: visible.map(column => table.recordKey(column, options.byFieldId)),
+      before: entryFields(table, row.before, options.byFieldId),
+      after: entryFields(table, row.after, options.byFieldId)
+    });
+  }
+
+  const response = { history: entries };
+  if (rows.length > pageSize) {
+    response.offset = encodeOffset([page[page.length - 1].id], fingerprint);
+  }
+  return response;
+}
+
+/**
+ * Move a renamed column's history over to its new name: changed_fields and
+ * the before/after keys (migrations.js runs this in the rename's transaction)
+ */
+async function renameAuditField(client, table, column, newColumn) {
+  const renamed = values => `CASE WHEN ${values} ? $2 THEN (${values} - $2) || jsonb_build_object($3::text, ${values} -> $2) ELSE ${values} END`;
+  await queryInternal(client, AUDIT_TABLE,
+    `UPDATE ${AUDIT_TABLE} SET
+       changed_fields = array_replace(changed_fields, $2, $3),
+       before = ${renamed('before')},
+       after = ${renamed('after')}
+     WHERE table_name = $1 AND ($2 = ANY(changed_fields) OR before ? $2 OR after ? $2)`,
+    [table.name, column, newColumn]
+  );
+}
+
+module.exports = {
+  AUDIT_READ_TABLES,
+  ensureAuditTable,
+  AuditLog,
+  recordHistory,
+  renameAuditField
+};
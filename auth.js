@@ -0,0 +1,275 @@
+/**
+ * Request Authentication
+ *
+ * Every /v0 and /views request must carry `Authorization: Bearer <token>`,
+ * where the token is either:
+ *
+ *   - a Cognito JWT (id or access token) from COGNITO_USER_POOL_ID, verified
+ *     against the pool's JWKS: RS256 signature, issuer, audience (app client
+ *     ids in JWT_AUDIENCE) and expiry; or
+ *   - a static per-service API key from API_KEYS, for backend Lambdas
+ *     (what the Airtable SDK sends as its apiKey).
+ *
+ * The verified caller is returned as an identity object and put on the
+ * request context; anything else fails with AUTHENTICATION_REQUIRED (401).
+ *
+ * Configuration (env):
+ *   JWKS_URI      - https URL or local file path of the JWKS
+ *                   (default: the user pool's /.well-known/jwks.json)
+ *   JWT_ISSUER    - expected iss (default: the user pool's issuer URL)
+ *   JWT_AUDIENCE  - comma-separated app client ids (required)
+ *   API_KEYS      - comma-separated service:key pairs,
+ *                   e.g. "scoring-lambda:k1,portal-sync:k2"
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const https = require('https');
+const { AirtableError } = require('./airtable-error');
+
+const COGNITO_REGION = process.env.COGNITO_REGION || 'us-east-2';
+const COGNITO_USER_POOL_ID = process.env.COGNITO_USER_POOL_ID || 'us-east-2_k0wuHxKK2';
+const JWT_ISSUER = process.env.JWT_ISSUER || `https://cognito-idp.${COGNITO_REGION}.amazonaws.com/${COGNITO_USER_POOL_ID}`;
+const JWKS_URI = process.env.JWKS_URI || `${JWT_ISSUER}/.well-known/jwks.json`;
+const JWT_AUDIENCE = (process.env.JWT_AUDIENCE || '').split(',').map(s => s.trim()).filter(Boolean);
+
+// Without an audience any app client of the pool could call in: fail the
+// cold start instead
+if (JWT_AUDIENCE.length === 0) {
+  throw new Error('JWT_AUDIENCE must list the app client ids allowed to call the API');
+}
+
+// Allowed clock skew for exp / nbf / iat
+const CLOCK_SKEW_SECONDS = 60;
+
+// Refetch the JWKS at most this often (also bounds refetches for unknown kids,
+// and retries after a failed refetch)
+const JWKS_CACHE_SECONDS = 3600;
+const JWKS_REFRESH_MIN_SECONDS = 60;
+
+const SIGNING_ALGORITHMS = {
+  RS256: 'RSA-SHA256',
+  RS384: 'RSA-SHA384',
+  RS512: 'RSA-SHA512'
+};
+
+function authenticationRequired(message = 'Authentication required') {
+  return new AirtableError('AUTHENTICATION_REQUIRED', message, 401);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// API keys
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+// service name → sha256(key); compared by hash so lookups are constant-time.
+// A malformed entry fails the cold start rather than becoming a key.
+const API_KEYS = (process.env.API_KEYS || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map((entry, i) => {
+    const separator = entry.indexOf(':');
+    const service = entry.slice(0, separator).trim();
+    const key = entry.slice(separator + 1).trim();
+    if (separator < 0 || !service || !key) {
+      // The entry itself may be a key: don't log it
+      throw new Error(`API_KEYS entry ${i + 1} is not in the form service:key`);
+    }
+    return { service, hash: sha256(key) };
+  });
+
+function findApiKey(token) {
+  const hash = sha256(token);
+  return API_KEYS.find(entry => crypto.timingSafeEqual(entry.hash, hash)) || null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// JWKS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+let jwksCache = { keys: new Map(), fetchedAt: 0, failedAt: 0 };
+
+function fetchJson(url) {
+  return new Promise((resolve, reject) => {
+    https.get(url, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          reject(new Error(`JWKS request failed with status ${res.statusCode}`));
+          return;
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch (e) {
+          reject(new Error('Invalid JWKS response'));
+        }
+      });
+    }).on('error', reject);
+  });
+}
+
+async function loadJwks() {
+  if (/^https:\/\//.test(JWKS_URI)) {
+    return fetchJson(JWKS_URI);
+  }
+  // Local file (offline testing): plain path or file:// URL
+  const file = JWKS_URI.replace(/^file:\/\//, '');
+  return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+}
+
+async function refreshJwks() {
+  const jwks = await loadJwks();
+  const keys = new Map();
+  for (const jwk of jwks.keys || []) {
+    if (jwk.kty === 'RSA' && jwk.kid) {
+      keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    }
+  }
+  jwksCache = { keys, fetchedAt: Date.now(), failedAt: 0 };
+}
+
+/**
+ * Public key for a kid; refetches on expiry, and on unknown kids (key
+ * rotation) no more than once per JWKS_REFRESH_MIN_SECONDS. After a failed
+ * refetch the cached keys are used for JWKS_REFRESH_MIN_SECONDS before
+ * trying again.
+ */
+async function getSigningKey(kid) {
+  const age = (Date.now() - jwksCache.fetchedAt) / 1000;
+  const sinceFailure = (Date.now() - jwksCache.failedAt) / 1000;
+  const backingOff = jwksCache.keys.size > 0 && sinceFailure <= JWKS_REFRESH_MIN_SECONDS;
+  if (!backingOff && (age > JWKS_CACHE_SECONDS || (!jwksCache.keys.has(kid) && age > JWKS_REFRESH_MIN_SECONDS))) {
+    try {
+      await refreshJwks();
+    } catch (error) {
+      console.error('[AUTH] Failed to load JWKS:', error.message);
+      if (jwksCache.keys.size === 0) {
+        throw authenticationRequired('Unable to verify token');
+      }
+      jwksCache.failedAt = Date.now();
+    }
+  }
+  return jwksCache.keys.get(kid) || null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// JWT verification
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Verify a Cognito JWT and return its claims
+ */
+async function verifyJwt(token) {
+  const [headerSegment, payloadSegment, signatureSegment] = token.split('.');
+
+  let header, claims;
+  try {
+    header = decodeSegment(headerSegment);
+    claims = decodeSegment(payloadSegment);
+  } catch (e) {
+    throw authenticationRequired('Invalid token');
+  }
+
+  const algorithm = SIGNING_ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw authenticationRequired('Invalid token: unsupported algorithm');
+  }
+
+  const key = await getSigningKey(header.kid);
+  if (!key) {
+    throw authenticationRequired('Invalid token: unknown signing key');
+  }
+
+  const signed = Buffer.from(`${headerSegment}.${payloadSegment}`);
+  if (!crypto.verify(algorithm, signed, key, Buffer.from(signatureSegment, 'base64url'))) {
+    throw authenticationRequired('Invalid token: bad signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.iss !== JWT_ISSUER) {
+    throw authenticationRequired('Invalid token: wrong issuer');
+  }
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) {
+    throw authenticationRequired('Token expired');
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_SKEW_SECONDS > now) {
+    throw authenticationRequired('Token not yet valid');
+  }
+  if (claims.token_use && claims.token_use !== 'id' && claims.token_use !== 'access') {
+    throw authenticationRequired('Invalid token: wrong token_use');
+  }
+
+  // Cognito id tokens carry the app client in aud, access tokens in client_id
+  if (!JWT_AUDIENCE.includes(claims.aud || claims.client_id)) {
+    throw authenticationRequired('Invalid token: wrong audience');
+  }
+
+  return claims;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Request
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function getHeader(event, name) {
+  const headers = event.headers || {};
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+/**
+ * Authenticate a Lambda event
+ * @returns {Promise<Object>} caller identity:
+ *   { type: 'user', id, username, email, groups, claims } or
+ *   { type: 'service', id, service, groups }
+ */
+async function authenticate(event) {
+  const header = getHeader(event, 'authorization');
+  const match = header && header.match(/^Bearer\s+(\S+)\s*$/i);
+  if (!match) {
+    throw authenticationRequired();
+  }
+  const token = match[1];
+
+  // Three base64url segments → JWT; anything else is treated as an API key
+  if (/^[\w-]+\.[\w-]+\.[\w-]+$/.test(token)) {
+    const claims = await verifyJwt(token);
+    return {
+      type: 'user',
+      id: claims.sub,
+      username: claims['cognito:username'] || claims.username || claims.sub,
+      email: claims.email || null,
+      groups: claims['cognito:groups'] || [],
+      claims
+    };
+  }
+
+  const apiKey = findApiKey(token);
+  if (!apiKey) {
+    throw authenticationRequired('Invalid API key');
+  }
+  return {
+    type: 'service',
+    id: `service:${apiKey.service}`,
+    service: apiKey.service,
+    groups: []
+  };
+}
+
+module.exports = {
+  authenticate,
+  authenticationRequired
+};
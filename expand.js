@@ -0,0 +1,200 @@
+/**
+ * Linked Record Expansion
+ *
+ * `expand` embeds the records a link field points at, so a client rendering
+ * a report with its patient and markers needs one request instead of N+1:
+ *
+ *   expand[]=patient&expand[]=marker_link          (whole linked records)
+ *   expand[]=patient.physician                      (nested, one level per dot)
+ *   expand=[{"field":"marker_link","fields":["marker_id","name"],
+ *            "expand":[{"field":"category"}]}]     (with field projection)
+ *
+ * Expanded records go in record.expanded[field] (keyed like record fields:
+ * display name, or field id with returnFieldsByFieldId), in the order the
+ * link field lists them; ids the caller can't see (other tenants, deleted
+ * records) are left out. Each link field costs one batched query per level,
+ * whatever the number of records. Links are defined as in links.js, and the
+ * caller needs read access to every expanded table.
+ *
+ * Nesting is limited to MAX_EXPAND_DEPTH levels, so a request can't walk a
+ * cycle of links (report → patient → report → ...) indefinitely.
+ */
+
+const { AirtableError } = require('./airtable-error');
+const { quoteIdent } = require('./filter-formula');
+const { SYSTEM_COLUMNS, getTableSchema } = require('./schema');
+const { toColumnValue } = require('./field-types');
+const { scopeCondition } = require('./tenancy');
+
+const MAX_EXPAND_DEPTH = 3;
+
+function invalidExpand(message) {
+  return new AirtableError('INVALID_REQUEST_UNKNOWN', message, 422);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Specs
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Normalize expand specs to [{ field, fields, expand }]
+ * Accepts field names, dotted paths ("patient.physician") and
+ * { field, fields, expand } objects; paths sharing a field are merged.
+ * @param {Array} specs
+ */
+function parseExpand(specs, depth = 1) {
+  if (!Array.isArray(specs)) {
+    throw invalidExpand('expand must be an array of field names or { field, fields, expand }');
+  }
+
+  const byField = new Map();
+  for (const spec of specs) {
+    let parsed;
+    if (typeof spec === 'string' && spec.trim() !== '') {
+      const [field, ...rest] = spec.trim().split('.');
+      parsed = { field, fields: [], expand: rest.length > 0 ? [rest.join('.')] : [] };
+    } else if (spec && typeof spec === 'object' && typeof spec.field === 'string') {
+      if (spec.fields !== undefined && !Array.isArray(spec.fields)) {
+        throw invalidExpand(`expand fields for "${spec.field}" must be an array`);
+      }
+      parsed = { field: spec.field, fields: spec.fields || [], expand: spec.expand || [] };
+    } else {
+      throw invalidExpand('expand must be an array of field names or { field, fields, expand }');
+    }
+
+    if (parsed.expand.length > 0 && depth >= MAX_EXPAND_DEPTH) {
+      throw invalidExpand(`expand can be nested at most ${MAX_EXPAND_DEPTH} levels deep`);
+    }
+
+    const existing = byField.get(parsed.field);
+    if (existing) {
+      existing.fields.push(...parsed.fields);
+      existing.expand.push(...parsed.expand);
+    } else {
+      byField.set(parsed.field, parsed);
+    }
+  }
+
+  return [...byField.values()].map(spec => ({
+    field: spec.field,
+    fields: spec.fields,
+    expand: spec.expand.length > 0 ? parseExpand(spec.expand, depth + 1) : []
+  }));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Expansion
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Keys a link field value refers to: an array of record ids (jsonb links,
+ * or text holding the JSON), or a single value (foreign keys)
+ */
+function linkKeys(value) {
+  if (value === null || value === undefined) {
+    return [];
+  }
+  if (typeof value === 'string' && value.startsWith('[')) {
+    try {
+      value = JSON.parse(value);
+    } catch (e) {
+      // Not JSON after all: a single key
+    }
+  }
+  return (Array.isArray(value) ? value : [value])
+    .filter(key => key !== null && typeof key !== 'object')
+    .map(String);
+}
+
+/**
+ * A stored key as a value of the key column, or null if it can't be one
+ */
+function keyValue(column, key) {
+  try {
+    return toColumnValue(column, key, true);
+  } catch (error) {
+    if (error instanceof AirtableError) return null;
+    throw error;
+  }
+}
+
+/**
+ * Expand link fields of already-fetched rows
+ * @param {Object[]} rows - Rows of `table` (must include the link columns)
+ * @param {TableSchema} table
+ * @param {Array} specs - From parseExpand
+ * @param {Object} context
+ * @param {Object} context.client - pg client
+ * @param {LinkResolver} context.links - Request's link definitions (links.js)
+ * @param {Function} context.accessFor - table name → caller's access for reading it
+ * @param {Function} context.toRecord - (row, table, expanded) → record in the caller's shape
+ * @param {boolean} [context.byFieldId] - Key expansions by field id instead of display name
+ * @param {AuditLog} [context.audit] - Logs reads of audited tables (audit.js)
+ * @returns {Promise<Object[]>} per row: { field: [records] }
+ */
+async function expandRows(rows, table, specs, context) {
+  const expanded = rows.map(() => ({}));
+
+  for (const spec of specs) {
+    const column = table.column(spec.field);
+    const definition = await context.links.definition(table, column);
+    if (!definition) {
+      throw invalidExpand(`Field "${spec.field}" is not a linked record field`);
+    }
+
+    const linkedTable = await getTableSchema(
+      context.client,
+      definition.linkedTable.name,
+      context.accessFor(definition.linkedTable.name)
+    );
+    const keyColumn = definition.keyColumn;
+
+    const keysPerRow = rows.map(row => linkKeys(row[column]));
+    const keys = [...new Set(keysPerRow.flat())];
+    const byKey = new Map();
+
+    if (keys.length > 0) {
+      // Projection keeps the key and any nested link columns
+      const fields = spec.fields.length === 0 ? [] : [
+        ...spec.fields,
+        ...(SYSTEM_COLUMNS.includes(keyColumn) ? [] : [keyColumn]),
+        ...spec.expand.map(nested => nested.field)
+      ];
+      // Keys compared as the key column's own type, so its index is used;
+      // stored keys the type can't hold (e.g. "R-1" in an integer link
+      // column) match nothing rather than failing the query
+      const params = [keys.map(key => keyValue(linkedTable.columns[keyColumn], key)).filter(key => key !== null)];
+      const where = scopeCondition(
+        linkedTable,
+        `${quoteIdent(keyColumn)} = ANY($1::${linkedTable.columnType(keyColumn)}[])`,
+        params
+      );
+      const result = await context.client.query(
+        `SELECT ${linkedTable.selectList(fields)} FROM ${linkedTable.sql} WHERE ${where}`,
+        params
+      );
+      if (context.audit) {
+        await context.audit.read(linkedTable, result.rows);
+      }
+
+      const nested = spec.expand.length > 0
+        ? await expandRows(result.rows, linkedTable, spec.expand, context)
+        : null;
+      result.rows.forEach((row, i) => {
+        byKey.set(String(row[keyColumn]), context.toRecord(row, linkedTable, nested && nested[i]));
+      });
+    }
+
+    keysPerRow.forEach((rowKeys, i) => {
+      expanded[i][table.recordKey(column, context.byFieldId)] = rowKeys.filter(key => byKey.has(key)).map(key => byKey.get(key));
+    });
+  }
+
+  return expanded;
+}
+
+module.exports = {
+  MAX_EXPAND_DEPTH,
+  parseExpand,
+  expandRows
+};
@@ -0,0 +1,201 @@
+/**
+ * Column Type Conversion
+ *
+ * Values are converted according to the column's information_schema
+ * data_type, in both directions:
+ *
+ *   column type             read (record.fields)       write (accepted without typecast)
+ *   ─────────────────────   ────────────────────────   ─────────────────────────────────
+ *   boolean                 true / false               true / false
+ *   integer / numeric / ..  number                     number
+ *   date                    "YYYY-MM-DD"               ISO date or datetime string
+ *   timestamp (tz or not)   ISO 8601 string            ISO datetime string
+ *   json / jsonb            object / array             anything (strings holding JSON are stored parsed)
+ *   arrays (text[] ...)     array                      array
+ *   text / varchar          string, unchanged          string; numbers/booleans as text,
+ *                                                      arrays/objects as JSON text
+ *
+ * bigint and numeric values too big for a JS number are read as strings;
+ * those strings are accepted back as they are, so a record read can be
+ * saved unchanged.
+ *
+ * With typecast=true (Airtable's request flag) strings such as "42", "true"
+ * or "2026-01-05" are coerced to the column type (bigint and numeric strings
+ * keep every digit), and a scalar written to an array column becomes a
+ * one-element array. Values that can't be stored, with or without typecast,
+ * are rejected with INVALID_VALUE_FOR_COLUMN (422).
+ */
+
+const { AirtableError } = require('./airtable-error');
+
+const INTEGER_TYPES = new Set(['smallint', 'integer', 'bigint']);
+const NUMBER_TYPES = new Set(['smallint', 'integer', 'bigint', 'numeric', 'real', 'double precision']);
+const TIMESTAMP_TYPES = new Set(['timestamp with time zone', 'timestamp without time zone']);
+const JSON_TYPES = new Set(['json', 'jsonb']);
+
+// Integer columns hold [-limit, limit)
+const INTEGER_LIMITS = { smallint: 2n ** 15n, integer: 2n ** 31n, bigint: 2n ** 63n };
+const EXACT_TYPES = new Set(['bigint', 'numeric']);
+const DECIMAL_TEXT = /^[-+]?(\d+\.?\d*|\.\d+)$/;
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)?)?$/;
+const TRUE_TEXT = new Set(['true', '1', 'yes', 'on', 'checked']);
+const FALSE_TEXT = new Set(['false', '0', 'no', 'off', '']);
+
+function invalidValue(column, value) {
+  return new AirtableError(
+    'INVALID_VALUE_FOR_COLUMN',
+    `Field "${column.name}" cannot accept the provided value: ${JSON.stringify(value)}`,
+    422
+  );
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Read
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Convert a value as returned by pg to its Airtable field value
+ * @param {Object} [column] - TableSchema column; unknown columns pass through
+ */
+function fromColumnValue(column, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const type = column ? column.dataType : null;
+
+  // pg returns bigint/numeric as strings to avoid precision loss; values
+  // that don't fit a JS number stay strings
+  if ((NUMBER_TYPES.has(type) && typeof value === 'string') || typeof value === 'bigint') {
+    const number = Number(value);
+    return Number.isFinite(number) && (type !== 'bigint' || Number.isSafeInteger(number)) ? number : String(value);
+  }
+
+  if (value instanceof Date) {
+    // pg parses a date column as local midnight; keep it a calendar date
+    if (type === 'date') {
+      return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+    return value.toISOString();
+  }
+
+  return value;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Write
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function toBoolean(column, value, typecast) {
+  if (typeof value === 'boolean') return value;
+  if (typecast) {
+    if (typeof value === 'number') return value !== 0;
+    const text = String(value).trim().toLowerCase();
+    if (TRUE_TEXT.has(text)) return true;
+    if (FALSE_TEXT.has(text)) return false;
+  }
+  throw invalidValue(column, value);
+}
+
+/**
+ * Whether a string is a bigint/numeric value as fromColumnValue returns one
+ * too big for a JS number, so records read can be written back unchanged
+ */
+function isReadBackNumber(column, value) {
+  return EXACT_TYPES.has(column.dataType) && DECIMAL_TEXT.test(value) && fromColumnValue(column, value) === value;
+}
+
+function toNumber(column, value, typecast) {
+  const type = column.dataType;
+  let number = value;
+  let exact = null; // decimal text a string was typecast from
+  if (typeof value === 'string' && value.trim() !== '' && (typecast || isReadBackNumber(column, value))) {
+    const text = value.trim().replace(/,/g, '');
+    number = Number(text);
+    exact = DECIMAL_TEXT.test(text) ? text : null;
+  }
+  if (INTEGER_TYPES.has(type) && exact !== null) {
+    exact = /^[-+]?\d+\.?0*$/.test(exact) ? exact.replace(/\.0*$/, '') : null;
+  }
+
+  // bigint/numeric text goes to Postgres as is: a JS number would lose digits
+  const keepText = exact !== null && EXACT_TYPES.has(type);
+  if (!keepText && (typeof number !== 'number' || !Number.isFinite(number) ||
+      (INTEGER_TYPES.has(type) && !Number.isInteger(number)))) {
+    throw invalidValue(column, value);
+  }
+
+  // Out of the column's range: rejected here rather than failing the query
+  if (INTEGER_TYPES.has(type)) {
+    const integer = BigInt(keepText ? exact : number);
+    if (integer < -INTEGER_LIMITS[type] || integer >= INTEGER_LIMITS[type]) {
+      throw invalidValue(column, value);
+    }
+  }
+  return keepText ? exact : number;
+}
+
+function toDate(column, value, typecast) {
+  if (value instanceof Date && !isNaN(value)) {
+    return column.dataType === 'date' ? fromColumnValue(column, value) : value.toISOString();
+  }
+  if (typeof value === 'string' && ISO_DATE.test(value.trim()) && !isNaN(Date.parse(value.trim()))) {
+    return value.trim();
+  }
+  if (typecast && (typeof value === 'string' || typeof value === 'number')) {
+    const date = new Date(value);
+    if (!isNaN(date)) {
+      return column.dataType === 'date' ? date.toISOString().slice(0, 10) : date.toISOString();
+    }
+  }
+  throw invalidValue(column, value);
+}
+
+function toJson(value) {
+  if (typeof value === 'string') {
+    try {
+      JSON.parse(value);
+      return value;
+    } catch (e) {
+      // Plain text is stored as a JSON string
+    }
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Convert an incoming field value to the query param for its column
+ * @param {Object} column - TableSchema column
+ * @param {*} value - Value from the request body / adapter call
+ * @param {boolean} [typecast] - Coerce strings etc. to the column type
+ */
+function toColumnValue(column, value, typecast = false) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const type = column.dataType;
+
+  if (type === 'boolean') return toBoolean(column, value, typecast);
+  if (NUMBER_TYPES.has(type)) return toNumber(column, value, typecast);
+  if (type === 'date' || TIMESTAMP_TYPES.has(type)) return toDate(column, value, typecast);
+  if (JSON_TYPES.has(type)) return toJson(value);
+
+  if (type === 'ARRAY') {
+    if (Array.isArray(value)) return value;
+    if (typecast && typeof value !== 'object') return [value];
+    throw invalidValue(column, value);
+  }
+
+  // Text and anything else Postgres parses from text (uuid, enums, ...)
+  if (value instanceof Date) return value.toISOString();
+  return typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+module.exports = {
+  fromColumnValue,
+  toColumnValue
+};
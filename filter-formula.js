@@ -0,0 +1,743 @@
+/**
+ * Airtable filterByFormula Compiler
+ *
+ * Shared by the REST handler (index.js) and the SDK adapter
+ * (airtable-postgres-adapter.js) so both paths filter identically.
+ *
+ * Pipeline:
+ *   formula string → tokens → AST → parameterized SQL boolean expression
+ *
+ * Anything the compiler does not understand is rejected with an
+ * INVALID_FILTER_BY_FORMULA (422) error rather than silently ignored,
+ * which previously meant "return the whole table".
+ *
+ * Supported grammar:
+ *   - Literals: "text", 'text', 12, 3.5, TRUE(), FALSE(), TRUE, FALSE
+ *   - Field references: {field name}
+ *   - Comparison: =  !=  <  <=  >  >=
+ *   - Text concatenation: &
+ *   - Arithmetic: +  -  *  /  (and unary minus)
+ *   - Logical: AND(...), OR(...), XOR(...), NOT(x)
+ *   - Arbitrary nesting, e.g. AND(OR({a} = 1, {b} != "x"), NOT({c}))
+ *   - Function library (see FUNCTIONS):
+ *       logical  AND OR XOR NOT IF TRUE FALSE BLANK
+ *       text     SEARCH FIND LOWER UPPER LEN ARRAYJOIN
+ *       numeric  VALUE
+ *       date     TODAY NOW IS_BEFORE IS_AFTER IS_SAME DATETIME_DIFF DATEADD
+ *       record   RECORD_ID
+ *
+ * Date functions evaluate in UTC, as Airtable does when no timezone is set;
+ * date strings without an offset are read as UTC.
+ */
+
+const { AirtableError } = require('./airtable-error');
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Helpers
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function formulaError(detail) {
+  return new AirtableError(
+    'INVALID_FILTER_BY_FORMULA',
+    `The formula for filtering records is invalid: ${detail}`,
+    422
+  );
+}
+
+/**
+ * Quote a SQL identifier, doubling embedded quotes
+ */
+function quoteIdent(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Escape LIKE wildcards so user values match literally
+ */
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, '\\$&');
+}
+
+// Text that looks like a number (used to compare numerics stored as text)
+const NUMERIC_TEXT = `'^\\s*[-+]?([0-9]+\\.?[0-9]*|\\.[0-9]+)([eE][-+]?[0-9]+)?\\s*$'`;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Tokenizer
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const OPERATORS = ['!=', '<=', '>=', '=', '<', '>', '&', '+', '-', '*', '/', '(', ')', ','];
+
+function tokenize(formula) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < formula.length) {
+    const ch = formula[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // {field name}
+    if (ch === '{') {
+      const end = formula.indexOf('}', i + 1);
+      if (end === -1) {
+        throw formulaError(`unterminated field reference at position ${i}`);
+      }
+      const name = formula.slice(i + 1, end).trim();
+      if (!name) {
+        throw formulaError(`empty field reference at position ${i}`);
+      }
+      tokens.push({ type: 'field', value: name, pos: i });
+      i = end + 1;
+      continue;
+    }
+
+    // "text" or 'text' with backslash escapes
+    if (ch === '"' || ch === "'") {
+      let value = '';
+      let j = i + 1;
+      while (j < formula.length && formula[j] !== ch) {
+        if (formula[j] === '\\' && j + 1 < formula.length) {
+          j++;
+        }
+        value += formula[j];
+        j++;
+      }
+      if (j >= formula.length) {
+        throw formulaError(`unterminated string at position ${i}`);
+      }
+      tokens.push({ type: 'string', value, pos: i });
+      i = j + 1;
+      continue;
+    }
+
+    const numberMatch = formula.slice(i).match(/^(\d+(\.\d+)?|\.\d+)/);
+    if (numberMatch) {
+      tokens.push({ type: 'number', value: Number(numberMatch[0]), pos: i });
+      i += numberMatch[0].length;
+      continue;
+    }
+
+    const identMatch = formula.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+    if (identMatch) {
+      tokens.push({ type: 'ident', value: identMatch[0].toUpperCase(), pos: i });
+      i += identMatch[0].length;
+      continue;
+    }
+
+    const op = OPERATORS.find(o => formula.startsWith(o, i));
+    if (op) {
+      tokens.push({ type: 'op', value: op, pos: i });
+      i += op.length;
+      continue;
+    }
+
+    throw formulaError(`unexpected character '${ch}' at position ${i}`);
+  }
+
+  return tokens;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Parser (recursive descent)
+//
+// Precedence, lowest first:
+//   comparison  =  !=  <  <=  >  >=
+//   concat      &
+//   additive    +  -
+//   term        *  /
+//   unary       -
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const COMPARISON_OPS = ['=', '!=', '<', '<=', '>', '>='];
+
+function parseFormula(formula) {
+  const tokens = tokenize(formula);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (...ops) => peek() && peek().type === 'op' && ops.includes(peek().value);
+
+  function expect(op) {
+    const token = peek();
+    if (!token || token.type !== 'op' || token.value !== op) {
+      const found = token ? `'${token.value}' at position ${token.pos}` : 'end of formula';
+      throw formulaError(`expected '${op}' but found ${found}`);
+    }
+    pos++;
+  }
+
+  function binaryLevel(ops, next) {
+    return () => {
+      let left = next();
+      while (isOp(...ops)) {
+        const op = tokens[pos++].value;
+        left = { type: 'binary', op, left, right: next() };
+      }
+      return left;
+    };
+  }
+
+  function parseUnary() {
+    if (isOp('-')) {
+      pos++;
+      return { type: 'unary', op: '-', arg: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) {
+      throw formulaError('unexpected end of formula');
+    }
+    pos++;
+
+    switch (token.type) {
+      case 'number':
+        return { type: 'number', value: token.value };
+      case 'string':
+        return { type: 'string', value: token.value };
+      case 'field':
+        return { type: 'field', name: token.value };
+      case 'ident': {
+        if (isOp('(')) {
+          pos++;
+          const args = [];
+          if (!isOp(')')) {
+            args.push(parseExpression());
+            while (isOp(',')) {
+              pos++;
+              args.push(parseExpression());
+            }
+          }
+          expect(')');
+          return { type: 'call', name: token.value, args };
+        }
+        if (token.value === 'TRUE' || token.value === 'FALSE') {
+          return { type: 'call', name: token.value, args: [] };
+        }
+        throw formulaError(`unknown identifier '${token.value}' at position ${token.pos}`);
+      }
+      case 'op':
+        if (token.value === '(') {
+          const inner = parseExpression();
+          expect(')');
+          return inner;
+        }
+        break;
+    }
+
+    throw formulaError(`unexpected '${token.value}' at position ${token.pos}`);
+  }
+
+  const parseTerm = binaryLevel(['*', '/'], parseUnary);
+  const parseAdditive = binaryLevel(['+', '-'], parseTerm);
+  const parseConcat = binaryLevel(['&'], parseAdditive);
+  const parseExpression = binaryLevel(COMPARISON_OPS, parseConcat);
+
+  const ast = parseExpression();
+  if (pos < tokens.length) {
+    throw formulaError(`unexpected '${tokens[pos].value}' at position ${tokens[pos].pos}`);
+  }
+  return ast;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Typed SQL expressions
+//
+// Every compiled node is { sql, type } where type is one of
+// field | text | number | boolean | date | blank. Field values are untyped
+// (columns migrated from Airtable are often text holding numbers, booleans,
+// dates or JSON arrays), so they are converted on demand by the as* helpers.
+//
+// Dates are timestamptz and, like Airtable formulas, are evaluated in UTC.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// ISO 8601 date or datetime, optionally with a UTC offset
+const ISO_DATE_TEXT = "'^\\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\\d|3[01])" +
+  "([T ]([01]\\d|2[0-3]):[0-5]\\d(:[0-5]\\d(\\.\\d+)?)?)?(Z|[+-]([01]\\d|2[0-3])(:?[0-5]\\d)?)?$'";
+const UTC_OFFSET_TEXT = "'(Z|[+-]\\d{2}(:?\\d{2})?)$'";
+
+function asText(expr) {
+  switch (expr.type) {
+    case 'field': return `${expr.sql}::text`;
+    case 'number': return `(${expr.sql})::text`;
+    case 'boolean': return `(CASE WHEN ${expr.sql} THEN '1' ELSE '0' END)`;
+    case 'date': return `to_char(${expr.sql} AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')`;
+    case 'blank': return 'NULL::text';
+    default: return expr.sql;
+  }
+}
+
+function asNumber(expr) {
+  switch (expr.type) {
+    case 'number': return expr.sql;
+    case 'boolean': return `(CASE WHEN ${expr.sql} THEN 1 ELSE 0 END)`;
+    case 'date':
+    case 'blank': return 'NULL::numeric';
+    default: {
+      const text = asText(expr);
+      return `(CASE WHEN ${text} ~ ${NUMERIC_TEXT} THEN trim(${text})::numeric END)`;
+    }
+  }
+}
+
+function asBoolean(expr) {
+  switch (expr.type) {
+    case 'boolean': return expr.sql;
+    case 'number': return `(COALESCE(${expr.sql}, 0) <> 0)`;
+    case 'date': return `(${expr.sql} IS NOT NULL)`;
+    case 'blank': return 'FALSE';
+    case 'field':
+      return `(${expr.sql} IS NOT NULL AND ${expr.sql}::text NOT IN ('', '0', 'false', 'f', '[]'))`;
+    default: return `(COALESCE(${expr.sql}, '') <> '')`;
+  }
+}
+
+/**
+ * Timestamps without an explicit offset are read as UTC, matching Airtable.
+ * Text that is not a valid ISO date (including 2024-02-30) becomes NULL
+ * rather than failing the whole query; the nested CASE keeps Postgres from
+ * attempting the cast until the text is known to be valid.
+ */
+function asDate(expr) {
+  switch (expr.type) {
+    case 'date': return expr.sql;
+    case 'field':
+    case 'text': {
+      const text = `trim(${asText(expr)})`;
+      const monthStart = `make_date(substr(${text}, 1, 4)::int, substr(${text}, 6, 2)::int, 1)`;
+      const dayInMonth = `substr(${text}, 9, 2)::int <= date_part('day', ${monthStart} + INTERVAL '1 month' - INTERVAL '1 day')`;
+      return `(CASE WHEN ${text} ~ ${ISO_DATE_TEXT} THEN CASE WHEN ${dayInMonth} THEN ` +
+        `CASE WHEN ${text} ~ ${UTC_OFFSET_TEXT} THEN ${text}::timestamptz ` +
+        `ELSE ${text}::timestamp AT TIME ZONE 'UTC' END END END)`;
+    }
+    default: return 'NULL::timestamptz';
+  }
+}
+
+function isBlank(expr) {
+  switch (expr.type) {
+    case 'field': return `(${expr.sql} IS NULL OR ${expr.sql}::text IN ('', '[]'))`;
+    case 'number':
+    case 'date': return `(${expr.sql} IS NULL)`;
+    case 'boolean': return `(NOT COALESCE(${expr.sql}, FALSE))`;
+    case 'blank': return 'TRUE';
+    default: return `(COALESCE(${expr.sql}, '') = '')`;
+  }
+}
+
+function negate(sql) {
+  return `(NOT COALESCE(${sql}, FALSE))`;
+}
+
+/**
+ * Join a JSON-array-as-text value (e.g. '["recA","recB"]') with a separator
+ */
+function arrayJoin(textSql, separatorSql) {
+  return `replace(regexp_replace(trim(both '[]' from ${textSql}), '"\\s*,\\s*"', ${separatorSql}, 'g'), '"', '')`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Date units
+// Airtable accepts long names, singular forms and moment.js abbreviations.
+// Abbreviations are case-sensitive ('m' is minutes, 'M' is months).
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const DATE_UNITS = {
+  milliseconds: { interval: '1 millisecond', seconds: 0.001, trunc: 'milliseconds' },
+  seconds: { interval: '1 second', seconds: 1, trunc: 'second' },
+  minutes: { interval: '1 minute', seconds: 60, trunc: 'minute' },
+  hours: { interval: '1 hour', seconds: 3600, trunc: 'hour' },
+  days: { interval: '1 day', seconds: 86400, trunc: 'day' },
+  weeks: { interval: '1 week', seconds: 604800, trunc: 'week' },
+  months: { interval: '1 month', months: 1, trunc: 'month' },
+  quarters: { interval: '3 months', months: 3, trunc: 'quarter' },
+  years: { interval: '1 year', months: 12, trunc: 'year' }
+};
+
+const DATE_UNIT_ABBREVIATIONS = {
+  ms: 'milliseconds', s: 'seconds', m: 'minutes', h: 'hours', d: 'days',
+  w: 'weeks', M: 'months', Q: 'quarters', y: 'years'
+};
+
+/**
+ * Resolve a unit argument; units must be string literals so they can be
+ * compiled into SQL keywords rather than parameters.
+ */
+function dateUnit(node, fnName) {
+  if (!node || node.type !== 'string') {
+    throw formulaError(`${fnName}() unit must be a string literal`);
+  }
+  const raw = node.value.trim();
+  const lower = raw.toLowerCase();
+  const name = DATE_UNIT_ABBREVIATIONS[raw] ||
+    (DATE_UNITS[lower] ? lower : null) ||
+    (DATE_UNITS[`${lower}s`] ? `${lower}s` : null);
+  if (!name) {
+    throw formulaError(`${fnName}() does not support unit '${node.value}'`);
+  }
+  return DATE_UNITS[name];
+}
+
+/**
+ * Truncate a date to the start of a unit in UTC (weeks start on Sunday)
+ */
+function truncDate(dateSql, unit) {
+  const utc = `(${dateSql} AT TIME ZONE 'UTC')`;
+  if (unit.trunc === 'week') {
+    return `(date_trunc('week', ${utc} + INTERVAL '1 day') - INTERVAL '1 day')`;
+  }
+  return `date_trunc('${unit.trunc}', ${utc})`;
+}
+
+/**
+ * 1-based position of needle in haystack from an optional start, 0 if absent
+ */
+function position(haystackSql, needleSql, startSql) {
+  if (!startSql) {
+    return `COALESCE(STRPOS(${haystackSql}, ${needleSql}), 0)`;
+  }
+  const start = `GREATEST(COALESCE(${startSql}, 1)::int, 1)`;
+  const found = `STRPOS(SUBSTR(${haystackSql}, ${start}), ${needleSql})`;
+  return `COALESCE(CASE WHEN ${found} > 0 THEN ${found} + ${start} - 1 ELSE 0 END, 0)`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Function library
+// Each entry: { minArgs, maxArgs, compile(args, ctx, nodes) } → { sql, type }
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function logical(joiner) {
+  return {
+    minArgs: 1,
+    maxArgs: Infinity,
+    compile: (args) => ({
+      sql: `(${args.map(asBoolean).join(` ${joiner} `)})`,
+      type: 'boolean'
+    })
+  };
+}
+
+function dateComparison(sqlOp) {
+  return {
+    minArgs: 2,
+    maxArgs: 2,
+    compile: ([a, b]) => ({ sql: `(${asDate(a)} ${sqlOp} ${asDate(b)})`, type: 'boolean' })
+  };
+}
+
+/**
+ * Branches of IF() must share a type for CASE; mixed branches become text
+ */
+function unifyBranches(a, b) {
+  if (a.type === 'blank') return [b.type === 'field' ? 'text' : b.type, a, b];
+  if (b.type === 'blank') return [a.type === 'field' ? 'text' : a.type, a, b];
+  if (a.type === b.type && a.type !== 'field') return [a.type, a, b];
+  return ['text', { sql: asText(a), type: 'text' }, { sql: asText(b), type: 'text' }];
+}
+
+const FUNCTIONS = {
+  // Logical
+  AND: logical('AND'),
+  OR: logical('OR'),
+  XOR: {
+    minArgs: 1,
+    maxArgs: Infinity,
+    compile: (args) => ({
+      sql: `((${args.map(a => `COALESCE(${asBoolean(a)}, FALSE)::int`).join(' + ')}) % 2 = 1)`,
+      type: 'boolean'
+    })
+  },
+  NOT: {
+    minArgs: 1,
+    maxArgs: 1,
+    compile: ([arg]) => ({ sql: negate(asBoolean(arg)), type: 'boolean' })
+  },
+  IF: {
+    minArgs: 2,
+    maxArgs: 3,
+    compile: ([condition, whenTrue, whenFalse = { sql: 'NULL', type: 'blank' }]) => {
+      const [type, a, b] = unifyBranches(whenTrue, whenFalse);
+      const cast = { text: '::text', number: '::numeric', boolean: '::boolean', date: '::timestamptz' }[type] || '';
+      return {
+        sql: `(CASE WHEN COALESCE(${asBoolean(condition)}, FALSE) THEN ${a.sql}${cast} ELSE ${b.sql}${cast} END)`,
+        type
+      };
+    }
+  },
+  TRUE: { minArgs: 0, maxArgs: 0, compile: () => ({ sql: 'TRUE', type: 'boolean' }) },
+  FALSE: { minArgs: 0, maxArgs: 0, compile: () => ({ sql: 'FALSE', type: 'boolean' }) },
+  BLANK: { minArgs: 0, maxArgs: 0, compile: () => ({ sql: 'NULL', type: 'blank' }) },
+
+  // Text
+  SEARCH: {
+    // Case-insensitive; returns the 1-based position, 0 (falsy) when absent
+    minArgs: 2,
+    maxArgs: 3,
+    compile: ([needle, haystack, start]) => ({
+      sql: position(`LOWER(${asText(haystack)})`, `LOWER(${asText(needle)})`, start && asNumber(start)),
+      type: 'number'
+    })
+  },
+  FIND: {
+    // Case-sensitive counterpart of SEARCH
+    minArgs: 2,
+    maxArgs: 3,
+    compile: ([needle, haystack, start]) => ({
+      sql: position(asText(haystack), asText(needle), start && asNumber(start)),
+      type: 'number'
+    })
+  },
+  LOWER: { minArgs: 1, maxArgs: 1, compile: ([arg]) => ({ sql: `LOWER(${asText(arg)})`, type: 'text' }) },
+  UPPER: { minArgs: 1, maxArgs: 1, compile: ([arg]) => ({ sql: `UPPER(${asText(arg)})`, type: 'text' }) },
+  LEN: { minArgs: 1, maxArgs: 1, compile: ([arg]) => ({ sql: `COALESCE(LENGTH(${asText(arg)}), 0)`, type: 'number' }) },
+  ARRAYJOIN: {
+    minArgs: 1,
+    maxArgs: 2,
+    compile: ([value, separator], ctx) => ({
+      sql: arrayJoin(asText(value), separator ? asText(separator) : ctx.param(', ', 'text')),
+      type: 'text'
+    })
+  },
+
+  // Numeric
+  VALUE: {
+    // Like Airtable, ignores currency symbols and thousands separators: "$1,000" → 1000
+    minArgs: 1,
+    maxArgs: 1,
+    compile: ([arg]) => ({
+      sql: asNumber({ sql: `regexp_replace(${asText(arg)}, '[^0-9.eE+-]', '', 'g')`, type: 'text' }),
+      type: 'number'
+    })
+  },
+
+  // Date
+  TODAY: {
+    minArgs: 0,
+    maxArgs: 0,
+    compile: () => ({ sql: `(date_trunc('day', now() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC')`, type: 'date' })
+  },
+  NOW: { minArgs: 0, maxArgs: 0, compile: () => ({ sql: 'now()', type: 'date' }) },
+  IS_BEFORE: dateComparison('<'),
+  IS_AFTER: dateComparison('>'),
+  IS_SAME: {
+    minArgs: 2,
+    maxArgs: 3,
+    compile: ([a, b], ctx, nodes) => {
+      if (nodes.length < 3) {
+        return { sql: `(${asDate(a)} = ${asDate(b)})`, type: 'boolean' };
+      }
+      const unit = dateUnit(nodes[2], 'IS_SAME');
+      return { sql: `(${truncDate(asDate(a), unit)} = ${truncDate(asDate(b), unit)})`, type: 'boolean' };
+    }
+  },
+  DATETIME_DIFF: {
+    // (date1 - date2) in whole units, truncated toward zero; default unit is seconds
+    minArgs: 2,
+    maxArgs: 3,
+    compile: ([a, b], ctx, nodes) => {
+      const unit = nodes.length < 3 ? DATE_UNITS.seconds : dateUnit(nodes[2], 'DATETIME_DIFF');
+      if (unit.months) {
+        const age = `age(${asDate(a)} AT TIME ZONE 'UTC', ${asDate(b)} AT TIME ZONE 'UTC')`;
+        const months = `(date_part('year', ${age}) * 12 + date_part('month', ${age}))`;
+        return { sql: `trunc(${months} / ${unit.months})::numeric`, type: 'number' };
+      }
+      const seconds = `extract(epoch from (${asDate(a)} - ${asDate(b)}))`;
+      return { sql: `trunc(${seconds} / ${unit.seconds})::numeric`, type: 'number' };
+    }
+  },
+  DATEADD: {
+    minArgs: 3,
+    maxArgs: 3,
+    compile: ([date, count], ctx, nodes) => {
+      const unit = dateUnit(nodes[2], 'DATEADD');
+      return {
+        sql: `((${asDate(date)} AT TIME ZONE 'UTC' + ${asNumber(count)} * INTERVAL '${unit.interval}') AT TIME ZONE 'UTC')`,
+        type: 'date'
+      };
+    }
+  },
+
+  // Record
+  RECORD_ID: { minArgs: 0, maxArgs: 0, compile: () => ({ sql: quoteIdent('airtable_record_id'), type: 'text' }) }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Compiler
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const MIRRORED_OPS = { '=': '=', '!=': '!=', '<': '>', '<=': '>=', '>': '<', '>=': '<=' };
+const SQL_OPS = { '=': '=', '!=': '<>', '<': '<', '<=': '<=', '>': '>', '>=': '>=' };
+
+function isBlankLiteral(node) {
+  return (node.type === 'string' && node.value === '') ||
+    (node.type === 'call' && node.name === 'BLANK' && node.args.length === 0);
+}
+
+async function compileComparison(node, ctx) {
+  let { op, left, right } = node;
+
+  // Keep field references on the left so literal handling below is uniform
+  if (right.type === 'field' && left.type !== 'field') {
+    [left, right] = [right, left];
+    op = MIRRORED_OPS[op];
+  }
+
+  // {field} = "" / {field} = BLANK() → blank check
+  if ((op === '=' || op === '!=') && (isBlankLiteral(left) || isBlankLiteral(right))) {
+    const other = isBlankLiteral(right) ? left : right;
+    const blank = isBlank(await compileNode(other, ctx));
+    return { sql: op === '=' ? blank : negate(blank), type: 'boolean' };
+  }
+
+  // {field} = "value" → exact match, or containment for JSON array fields
+  // like partner_id which stores ["value"]. Linked record fields may resolve
+  // a human-readable id to the recXXX id stored in the array (links.js);
+  // the plain match is kept for rows that store the value itself.
+  if ((op === '=' || op === '!=') && left.type === 'field' && right.type === 'string') {
+    const col = (await compileNode(left, ctx)).sql;
+    let sql = `${col}::text = ${ctx.param(right.value, 'text')} OR ` +
+      `${col}::text LIKE ${ctx.param(`%"${escapeLike(right.value)}"%`, 'text')}`;
+
+    const linkedRecordId = ctx.resolveLinkedRecordId
+      ? await ctx.resolveLinkedRecordId(left.name, right.value)
+      : null;
+
+    if (linkedRecordId) {
+      sql += ` OR ${col}::text LIKE ${ctx.param(`%${escapeLike(linkedRecordId)}%`, 'text')}`;
+    }
+    sql = `(${sql})`;
+    return { sql: op === '=' ? sql : negate(sql), type: 'boolean' };
+  }
+
+  const l = await compileNode(left, ctx);
+  const r = await compileNode(right, ctx);
+  const sqlOp = SQL_OPS[op];
+
+  if ((op === '=' || op === '!=') && (l.type === 'boolean' || r.type === 'boolean')) {
+    const sql = `(COALESCE(${asBoolean(l)}, FALSE) = COALESCE(${asBoolean(r)}, FALSE))`;
+    return { sql: op === '=' ? sql : negate(sql), type: 'boolean' };
+  }
+
+  let sql;
+  if (l.type === 'date' || r.type === 'date') {
+    sql = `(${asDate(l)} ${sqlOp} ${asDate(r)})`;
+  } else if (l.type === 'number' || r.type === 'number') {
+    sql = `(${asNumber(l)} ${sqlOp} ${asNumber(r)})`;
+  } else {
+    // Untyped operands: compare numerically when both sides parse as numbers
+    sql = `COALESCE(${asNumber(l)} ${sqlOp} ${asNumber(r)}, ${asText(l)} ${sqlOp} ${asText(r)})`;
+  }
+  return { sql: op === '!=' ? `COALESCE(${sql}, TRUE)` : sql, type: 'boolean' };
+}
+
+async function compileNode(node, ctx) {
+  switch (node.type) {
+    case 'number':
+      return { sql: ctx.param(node.value, 'numeric'), type: 'number' };
+
+    case 'string':
+      return { sql: ctx.param(node.value, 'text'), type: 'text' };
+
+    case 'field': {
+      const col = await ctx.resolveField(node.name);
+      return { sql: quoteIdent(col), type: 'field' };
+    }
+
+    case 'unary': {
+      const arg = await compileNode(node.arg, ctx);
+      return { sql: `(-${asNumber(arg)})`, type: 'number' };
+    }
+
+    case 'binary': {
+      if (COMPARISON_OPS.includes(node.op)) {
+        return compileComparison(node, ctx);
+      }
+      const l = await compileNode(node.left, ctx);
+      const r = await compileNode(node.right, ctx);
+      if (node.op === '&') {
+        return { sql: `(COALESCE(${asText(l)}, '') || COALESCE(${asText(r)}, ''))`, type: 'text' };
+      }
+      if (node.op === '/') {
+        return { sql: `(${asNumber(l)} / NULLIF(${asNumber(r)}, 0))`, type: 'number' };
+      }
+      return { sql: `(${asNumber(l)} ${node.op} ${asNumber(r)})`, type: 'number' };
+    }
+
+    case 'call': {
+      const fn = ctx.functions[node.name];
+      if (!fn) {
+        throw formulaError(`unsupported function ${node.name}()`);
+      }
+      if (node.args.length < fn.minArgs || node.args.length > fn.maxArgs) {
+        throw formulaError(`wrong number of arguments to ${node.name}()`);
+      }
+      const args = [];
+      for (const arg of node.args) {
+        args.push(await compileNode(arg, ctx));
+      }
+      return fn.compile(args, ctx, node.args);
+    }
+
+    default:
+      throw formulaError(`unsupported expression '${node.type}'`);
+  }
+}
+
+/**
+ * Compile an Airtable formula into a parameterized SQL boolean expression
+ *
+ * @param {string} formula - Airtable filterByFormula
+ * @param {Object} [options]
+ * @param {Array} [options.params] - Existing params to append to ($n numbering continues)
+ * @param {Function} [options.resolveField] - (fieldName) => column name, may be async; throw to reject
+ * @param {Function} [options.resolveLinkedRecordId] - async (fieldName, value) => recId|null
+ * @returns {Promise<{sql: string, params: Array}>} - sql is '' for an empty formula
+ */
+async function compileFormula(formula, options = {}) {
+  const params = options.params || [];
+
+  if (!formula || formula.trim() === '') {
+    return { sql: '', params };
+  }
+
+  // Params are numbered once compilation is done, so arguments that end up
+  // unused (e.g. date unit literals) don't leave gaps in $n
+  const values = [];
+  const ctx = {
+    functions: FUNCTIONS,
+    resolveField: options.resolveField || (name => name),
+    resolveLinkedRecordId: options.resolveLinkedRecordId || null,
+    param(value, cast) {
+      values.push(value);
+      return `\u0000${values.length - 1}\u0000::${cast}`;
+    }
+  };
+
+  const ast = parseFormula(formula);
+  const compiled = await compileNode(ast, ctx);
+
+  const numbering = new Map();
+  const sql = asBoolean(compiled).replace(/\u0000(\d+)\u0000/g, (match, index) => {
+    if (!numbering.has(index)) {
+      params.push(values[index]);
+      numbering.set(index, params.length);
+    }
+    return `$${numbering.get(index)}`;
+  });
+
+  return { sql, params };
+}
+
+module.exports = {
+  compileFormula,
+  parseFormula,
+  tokenize,
+  quoteIdent,
+  escapeLike,
+  FUNCTIONS
+};
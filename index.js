@@ -1,13 +1,23 @@
 /**
  * HAQ Airtable-Compatible REST API for PostgreSQL
- * Version: 3.3 - Auto-create Cognito user when creating users record
+ * Version: 3.26 - Soft delete (deleted_at tombstones) with restore and purge
  * 
  * ARCHITECTURE NOTE:
  * ==================
  * - All PostgreSQL table structures match Airtable exactly (same column names)
  * - This API uses an Airtable-compatible adapter to maintain feature parity
  * - Supports filterByFormula syntax for seamless frontend migration
+ *   (compiled by filter-formula.js; unsupported syntax returns 422)
+ * - {link} = "R-1042" on linked record fields matches the linked record's
+ *   id (links.js: links table, foreign keys and naming conventions)
  * - Supports Airtable-style pagination with offset
+ * - Table and field names are checked against information_schema (schema.js)
+ *   before they reach SQL; unknown fields return UNKNOWN_FIELD_NAME (422).
+ *   Definitions are cached per database for SCHEMA_CACHE_TTL seconds
+ *   (default 300); metadata API changes invalidate the cache
+ * - Fields can be named by column, Airtable display name or field id
+ *   (fldXXXX) in fields, formulas, sorts and writes; records are keyed by
+ *   display name, or by field id with returnFieldsByFieldId
  * - Chat and Portal both use this same adapter pattern
  * 
  * Endpoints:
@@ -15,16 +25,109 @@
  * - GET    /v0/{baseId}/{tableName}/{recordId}   - Get single record
  * - POST   /v0/{baseId}/{tableName}              - Create record
  * - PATCH  /v0/{baseId}/{tableName}/{recordId}   - Update record
+ * - PUT    /v0/{baseId}/{tableName}/{recordId}   - Replace record (fields left out are cleared)
  * - DELETE /v0/{baseId}/{tableName}/{recordId}   - Delete record
+ * - GET    /v0/{baseId}/{tableName}/{recordId}/history - Record's audit entries
+ *   (newest first; pageSize, offset, includeReads)
+ * - POST   /v0/{baseId}/{tableName}/{recordId}/restore - Restore a soft-deleted record
+ * - POST   /v0/{baseId}/{tableName}/purge        - Hard-delete tombstones: { olderThanDays }
+ * - POST   /v0/{baseId}/{tableName}              - Create batch: { records: [{ fields }] }
+ * - PATCH  /v0/{baseId}/{tableName}              - Update batch: { records: [{ id, fields }] }
+ * - DELETE /v0/{baseId}/{tableName}?records[]=.. - Delete batch
+ *   (batches hold up to 10 records and run in a single transaction)
+ * - PATCH  /v0/{baseId}/{tableName}              - Upsert: { performUpsert: { fieldsToMergeOn }, records }
+ * - PUT    /v0/{baseId}/{tableName}              - Replace batch / upsert, same bodies as PATCH
  * - GET    /npi/{npiNumber}                      - Verify NPI (CMS Registry proxy)
+ * - GET    /views/{baseId}/{tableName}[/{view}]  - List views / get one view
+ * - PUT    /views/{baseId}/{tableName}/{view}    - Create or replace a view
+ * - DELETE /views/{baseId}/{tableName}/{view}    - Delete a view
+ * - GET    /v0/meta/bases                        - List bases
+ * - GET    /v0/meta/bases/{baseId}/tables        - List tables with fields and views
+ *   (metadata.js: field types inferred from the column types)
+ * - POST   /v0/meta/bases/{baseId}/tables        - Create a table
+ * - POST   /v0/meta/bases/{baseId}/tables/{tableId}/fields           - Add a field
+ * - PATCH  /v0/meta/bases/{baseId}/tables/{tableId}/fields/{fieldId} - Rename / describe a field
+ *   (migrations.js: Airtable field types mapped to column types; every
+ *   change is recorded in the migrations log)
+ * 
+ * Field values (field-types.js):
+ * - Converted by column type: booleans, numbers, ISO dates, JSON objects;
+ *   text columns are returned unchanged
+ * - Writes must match the column type unless the body sets typecast: true;
+ *   otherwise INVALID_VALUE_FOR_COLUMN (422)
+ * 
+ * Projection params:
+ * - fields[]: return only these fields (repeat the param for several)
+ * - returnFieldsByFieldId=true: key record fields by field id (writes take
+ *   returnFieldsByFieldId: true in the body)
+ * - expand[]: embed linked records in record.expanded (expand.js), e.g.
+ *   expand[]=patient&expand[]=patient.physician, or a JSON array of
+ *   { field, fields, expand } for projection; nesting is limited
+ * 
+ * View params:
+ * - view: apply a named view's filter, sort, fields and page size
+ *   (explicit params are combined on top of the view)
  * 
  * Pagination params:
  * - maxRecords: number of records per page (default 1000, max 10000)
- * - offset: pagination cursor for next page
+ * - offset: opaque cursor for next page (keyset-based, expires; numeric
+ *   row offsets from older clients are still honoured)
+ * 
+ * Authentication (auth.js):
+ * - All /v0 and /views requests need Authorization: Bearer <token>, either a
+ *   Cognito JWT (verified against the pool's JWKS) or a service key from
+ *   API_KEYS; otherwise AUTHENTICATION_REQUIRED (401)
+ * - /npi stays public (it only proxies the public CMS registry)
+ * 
+ * Authorization (policies.js):
+ * - Ordered allow/deny rules by role, base, table, operation and fields;
+ *   denials return NOT_AUTHORIZED (403)
+ * 
+ * Errors:
+ * - Always { error: { type, message } } with an Airtable type and status
+ *   (NOT_FOUND, ROW_DOES_NOT_EXIST, UNKNOWN_FIELD_NAME, INVALID_VALUE_FOR_COLUMN,
+ *   INVALID_REQUEST_UNKNOWN, ...); Postgres errors are mapped by SQLSTATE
+ *   (pg-errors.js) and anything unexpected is a SERVER_ERROR (500)
+ * 
+ * Tenancy (tenancy.js):
+ * - Tables with a partner_id column are scoped to the partner in the
+ *   caller's token: reads, updates and deletes only reach that partner's
+ *   rows, and creates are stamped with it
+ * 
+ * Audit trail (audit.js):
+ * - Every create, update and delete (REST API and adapter) is logged with
+ *   its actor, time, changed fields and before/after values, in the same
+ *   transaction as the change
+ * - Reads of the tables in AUDIT_READ_TABLES (e.g. patients) are logged too
+ * 
+ * Soft delete (soft-delete.js):
+ * - Tables with a deleted_at field keep deleted records as tombstones,
+ *   hidden from every list, find, formula, lookup and update
+ * - GET with deleted=true lists (or finds) the tombstones; restore brings one
+ *   back; purge hard-deletes those older than SOFT_DELETE_RETENTION_DAYS
+ *   (default 30) or olderThanDays
+ * - deleted_at is read-only to POST, PATCH and PUT (only null is accepted)
  */
 
 const { Pool } = require('pg');
 const https = require('https');
+const { AirtableError } = require('./airtable-error');
+const { toAirtableError } = require('./pg-errors');
+const { authenticate } = require('./auth');
+const { authorize } = require('./policies');
+const { callerTenant, tenantCondition, scopeCondition, withoutTenantField, tenantStamp } = require('./tenancy');
+const { compileFormula, quoteIdent } = require('./filter-formula');
+const { SYSTEM_COLUMNS, SOFT_DELETE_COLUMN, getTableSchema, invalidateSchema } = require('./schema');
+const { fromColumnValue, toColumnValue } = require('./field-types');
+const { resolveMergeColumns, upsertRecords } = require('./upsert');
+const { getView, listViews, applyView, saveView, deleteView, viewNotFound } = require('./views');
+const { LinkResolver } = require('./links');
+const { parseExpand, expandRows } = require('./expand');
+const { ensureAuditTable, AuditLog, recordHistory } = require('./audit');
+const { tombstones, withoutSoftDeleteField, deleteRows, restoreRows, purgeTombstones } = require('./soft-delete');
+const { listBases, listBaseTables, describeTable, describeField, findTable, findField } = require('./metadata');
+const { createTable, createField, updateField } = require('./migrations');
+const { encodeOffset, decodeOffset, queryFingerprint, keysetCondition, keySelectList, extractKeyValues } = require('./pagination');
 const { CognitoIdentityProviderClient, AdminCreateUserCommand, AdminSetUserPasswordCommand } = require('@aws-sdk/client-cognito-identity-provider');
 
 // Cognito configuration
@@ -108,9 +211,11 @@ async function verifyNPI(npiNumber) {
 
 /**
  * Convert PostgreSQL row to Airtable record format
- * Preserves exact column names from PostgreSQL (which match Airtable)
+ * Fields are keyed by their display name (the column name unless the fields
+ * table maps one, see schema.js) or, with byFieldId, by field id; values are
+ * converted by column type (see field-types.js)
  */
-function rowToRecord(row) {
+function rowToRecord(row, table, byFieldId = false) {
   const fields = {};
   
   // Always include the PostgreSQL numeric id in fields for proper identification
@@ -119,36 +224,31 @@ function rowToRecord(row) {
   }
   
   for (const [key, value] of Object.entries(row)) {
-    // Skip internal columns from being duplicated
-    if (key === 'id' || key === 'airtable_record_id' || key === 'airtable_created_time') {
+    // Skip internal columns from being duplicated, and columns the caller's
+    // policy hides (writes return the whole row)
+    if (key === 'id' || key === 'airtable_record_id' || key === 'airtable_created_time' || !table.isVisible(key)) {
       continue;
     }
     
-    // Parse JSON strings back to arrays/objects
-    let parsedValue = value;
-    if (typeof value === 'string' && (value.startsWith('[') || value.startsWith('{'))) {
-      try {
-        parsedValue = JSON.parse(value);
-      } catch (e) {
-        // Keep as string if not valid JSON
-      }
-    }
-    
-    // v3.2: Convert string booleans to actual booleans for proper JS handling
-    // This fixes the "flagged" badge showing for needs_review='false'
-    if (parsedValue === 'true') parsedValue = true;
-    if (parsedValue === 'false') parsedValue = false;
-    
-    fields[key] = parsedValue;
+    // v3.12: booleans, numbers, dates and JSON follow the column type;
+    // text columns are returned as-is (no guessing from 'true' / '[...')
+    fields[table.recordKey(key, byFieldId)] = fromColumnValue(table.columns[key], value);
   }
   
   return {
     id: row.airtable_record_id || row.id?.toString(),
     fields,
-    createdTime: row.airtable_created_time || new Date().toISOString()
+    createdTime: fromColumnValue(table.columns.airtable_created_time, row.airtable_created_time) || new Date().toISOString()
   };
 }
 
+/**
+ * Record with its expanded linked records (expand.js), if any
+ */
+function withExpanded(record, expanded) {
+  return expanded ? { ...record, expanded } : record;
+}
+
 /**
  * Generate Airtable-style record ID
  */
@@ -166,151 +266,259 @@ function generateRecordId() {
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /**
- * Parse Airtable filterByFormula to SQL WHERE clause
- * Supports:
- *   - {field} = "value" / {field} = 'value'
- *   - AND({condition1}, {condition2})
- *   - SEARCH("value", {field})
- *   - SEARCH("value", ARRAYJOIN({field}))
- *   - {field} = TRUE()
+ * Parse Airtable filterByFormula to a SQL condition (without WHERE)
+ * Delegates to the shared formula compiler (see filter-formula.js), which
+ * supports the full logical/comparison grammar and rejects anything else
+ * with an INVALID_FILTER_BY_FORMULA 422 error. {field} references must be
+ * columns of the table (UNKNOWN_FIELD_NAME otherwise). Linked record fields
+ * resolve human-readable ids through the request's LinkResolver (links.js).
  */
-async function parseFilterFormula(formula, tableName, client) {
-  if (!formula || formula.trim() === '') {
-    return { sql: '', params: [] };
-  }
-  
-  const params = [];
-  let paramIndex = 1;
-  const conditions = [];
+async function parseFilterFormula(formula, table, links, params = []) {
+  const resolveField = (field) => table.column(field);
+  return compileFormula(formula, {
+    params,
+    resolveField,
+    resolveLinkedRecordId: links.forTable(table, resolveField)
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Query Params
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Merge API Gateway single- and multi-value query params
+ * REST APIs keep only the last value of a repeated key in
+ * queryStringParameters; the full list is in multiValueQueryStringParameters.
+ * HTTP APIs join repeated keys with commas instead.
+ */
+function parseQueryParams(event) {
+  const queryParams = { ...(event.queryStringParameters || {}) };
   
-  // Handle AND(...) wrapper
-  let innerFormula = formula;
-  const andMatch = formula.match(/^AND\((.+)\)$/i);
-  if (andMatch) {
-    innerFormula = andMatch[1];
+  for (const [key, values] of Object.entries(event.multiValueQueryStringParameters || {})) {
+    if (Array.isArray(values) && values.length > 1) {
+      queryParams[key] = values;
+    }
   }
   
-  // Handle SEARCH pattern
-  const searchPattern = /SEARCH\s*\(\s*["']([^"']+)["']\s*,\s*(?:ARRAYJOIN\s*\(\s*)?\{([^}]+)\}(?:\s*\))?\s*\)/gi;
-  let searchMatch;
-  let tempFormula = innerFormula;
+  return queryParams;
+}
+
+/**
+ * Read an Airtable array param: name[]=a&name[]=b or name[0]=a&name[1]=b
+ */
+function getArrayParam(queryParams, name) {
+  const values = [];
   
-  while ((searchMatch = searchPattern.exec(innerFormula)) !== null) {
-    const value = searchMatch[1];
-    const field = searchMatch[2];
-    
-    conditions.push(`"${field}"::text ILIKE $${paramIndex}`);
-    params.push(`%${value}%`);
-    paramIndex++;
-    
-    tempFormula = tempFormula.replace(searchMatch[0], 'TRUE');
+  const bracketed = queryParams[`${name}[]`];
+  if (Array.isArray(bracketed)) {
+    values.push(...bracketed);
+  } else if (typeof bracketed === 'string') {
+    values.push(...bracketed.split(','));
   }
   
-  // Handle equality: {field} = "value" or {field} = 'value'
-  const eqPattern = /\{([^}]+)\}\s*=\s*["']([^"']*)["']/g;
-  let eqMatch;
-  
-  while ((eqMatch = eqPattern.exec(tempFormula)) !== null) {
-    const field = eqMatch[1];
-    const value = eqMatch[2];
-    
-    // Handle JSON array fields (like partner_id which stores ["Formula"])
-    // Check both exact match and JSON array containment
-    conditions.push(`("${field}" = $${paramIndex} OR "${field}"::text LIKE $${paramIndex + 1})`);
-    params.push(value);
-    params.push(`%"${value}"%`);
-    paramIndex += 2;
+  for (let i = 0; queryParams[`${name}[${i}]`] !== undefined; i++) {
+    values.push(queryParams[`${name}[${i}]`]);
   }
   
-  // Handle TRUE() pattern
-  const truePattern = /\{([^}]+)\}\s*=\s*TRUE\(\)/gi;
-  let trueMatch;
+  return values.map(v => v.trim()).filter(v => v !== '');
+}
+
+/**
+ * Read Airtable sort specs from either form:
+ * - sort[0][field]=a&sort[0][direction]=desc&sort[1][field]=b (REST API)
+ * - sort=[{"field":"a","direction":"desc"}] (JSON array, as the SDK builds it)
+ */
+function getSortParam(queryParams) {
+  if (queryParams.sort) {
+    try {
+      return JSON.parse(queryParams.sort);
+    } catch (e) {
+      throw new AirtableError('INVALID_REQUEST_UNKNOWN', 'sort must be a JSON array of { field, direction }', 422);
+    }
+  }
   
-  while ((trueMatch = truePattern.exec(tempFormula)) !== null) {
-    const field = trueMatch[1];
-    conditions.push(`("${field}" = 'true' OR "${field}" = '1' OR "${field}"::text = 'true')`);
+  const sort = [];
+  for (let i = 0; queryParams[`sort[${i}][field]`] !== undefined; i++) {
+    sort.push({
+      field: queryParams[`sort[${i}][field]`],
+      direction: queryParams[`sort[${i}][direction]`]
+    });
   }
+  return sort;
+}
+
+/**
+ * Read a boolean param (returnFieldsByFieldId=true), from the query string or a body
+ */
+function getBooleanParam(params, name) {
+  return params[name] === true || params[name] === 'true';
+}
+
+/**
+ * Read linked record expansions (expand.js) from either form:
+ * - expand[]=patient&expand[]=patient.physician
+ * - expand=[{"field":"marker_link","fields":["name"]}] (JSON array, allows projection)
+ */
+function getExpandParam(queryParams) {
+  let specs = getArrayParam(queryParams, 'expand');
   
-  if (conditions.length === 0) {
-    return { sql: '', params: [] };
+  if (typeof queryParams.expand === 'string' && queryParams.expand.trim() !== '') {
+    if (!queryParams.expand.trim().startsWith('[')) {
+      specs.push(queryParams.expand.trim());
+    } else {
+      try {
+        specs = JSON.parse(queryParams.expand);
+      } catch (e) {
+        throw new AirtableError('INVALID_REQUEST_UNKNOWN', 'expand must be a JSON array of field names or { field, fields, expand }', 422);
+      }
+    }
   }
   
-  return {
-    sql: 'WHERE ' + conditions.join(' AND '),
-    params
-  };
+  return parseExpand(specs);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // Request Handlers
 // ═══════════════════════════════════════════════════════════════════════════════
 
+/**
+ * Expanded linked records for rows, or null when nothing is expanded
+ * Each linked table is read with the caller's own access to it, and reads of
+ * audited tables are logged (audit.js).
+ */
+async function expandLinks(client, table, rows, expand, links, access, byFieldId, audit) {
+  if (expand.length === 0) {
+    return null;
+  }
+  return expandRows(rows, table, expand, {
+    client,
+    links,
+    accessFor: (tableName) => access.forTable(tableName),
+    toRecord: (row, rowTable, expanded) => withExpanded(rowToRecord(row, rowTable, byFieldId), expanded),
+    byFieldId,
+    audit
+  });
+}
+
 /**
  * GET /v0/{baseId}/{tableName} - List records with pagination
  * GET /v0/{baseId}/{tableName}/{recordId} - Get single record
  * 
  * Query params:
  * - maxRecords: number of records (default 1000, max 10000)
- * - offset: pagination offset (number)
+ * - offset: opaque token from the previous page (legacy numeric row offsets still work)
  * - filterByFormula: Airtable-style filter
- * - sort[0][field]: field to sort by
- * - sort[0][direction]: 'asc' or 'desc'
+ * - fields[]: only return these fields (repeatable; also applies to single record)
+ * - sort[n][field]: field to sort by (n = 0, 1, ... for secondary sorts)
+ * - sort[n][direction]: 'asc' or 'desc'
+ * - sort: JSON array of { field, direction } (alternative to sort[n])
+ * - view: named view (views.js); the params above are combined on top of it
+ * - expand[]: link fields whose records to embed (also applies to single record)
+ * - returnFieldsByFieldId: 'true' to key fields by field id (also applies to single record)
+ * - deleted: 'true' to read soft-deleted records instead (soft-delete.js)
  */
-async function handleGet(pool, tableName, recordId, queryParams) {
+async function handleGet(pool, tableName, recordId, queryParams, access) {
   const client = await pool.connect();
   
   try {
-    // Normalize table name (lowercase, replace spaces with underscores)
-    const normalizedTable = tableName.toLowerCase().replace(/[^a-z0-9_]/g, '_');
+    // Table must exist in the mapped database/schemas; deleted=true reads
+    // its tombstones instead of its live records
+    const loaded = await getTableSchema(client, tableName, access);
+    const table = getBooleanParam(queryParams, 'deleted') ? tombstones(loaded) : loaded;
+    const normalizedTable = table.name;
+    
+    // Named view supplies defaults for filter, sort, fields and page size
+    const view = queryParams.view && !recordId ? await getView(client, table, queryParams.view) : null;
+    const options = applyView(view, {
+      filterByFormula: queryParams.filterByFormula,
+      sort: getSortParam(queryParams),
+      fields: getArrayParam(queryParams, 'fields'),
+      maxRecords: parseInt(queryParams.maxRecords) || undefined
+    });
+    
+    // Linked records to embed (expand.js); the link columns must be selected
+    const expand = getExpandParam(queryParams);
+    const links = new LinkResolver(client, access);
+    const byFieldId = getBooleanParam(queryParams, 'returnFieldsByFieldId');
+    
+    // Reads of sensitive tables are logged (AUDIT_READ_TABLES, audit.js)
+    const audit = new AuditLog(client, access.caller.id);
+    
+    // Field projection: lets dashboards skip the large LLM columns entirely
+    const projection = options.fields && options.fields.length > 0
+      ? [...options.fields, ...expand.map(spec => spec.field)]
+      : options.fields;
+    const selectList = table.selectList(projection);
     
     if (recordId) {
-      // Single record lookup
+      // Single record lookup (within the caller's tenant)
+      const params = [recordId];
+      const where = scopeCondition(table, '"airtable_record_id" = $1', params);
       const result = await client.query(
-        `SELECT * FROM "${normalizedTable}" WHERE "airtable_record_id" = $1 LIMIT 1`,
-        [recordId]
+        `SELECT ${selectList} FROM ${table.sql} WHERE ${where} LIMIT 1`,
+        params
       );
       
       if (result.rows.length === 0) {
-        return { statusCode: 404, body: { error: 'Record not found' } };
+        throw recordNotFound(recordId);
       }
       
-      return { statusCode: 200, body: rowToRecord(result.rows[0]) };
+      await audit.read(table, result.rows);
+      const expanded = await expandLinks(client, table, result.rows, expand, links, access, byFieldId, audit);
+      return { statusCode: 200, body: withExpanded(rowToRecord(result.rows[0], table, byFieldId), expanded && expanded[0]) };
     }
     
     // List records with pagination
-    let sql = `SELECT * FROM "${normalizedTable}"`;
-    let countSql = `SELECT COUNT(*) FROM "${normalizedTable}"`;
-    let params = [];
+    const conditions = [];
+    const params = [];
     
-    // Parse filterByFormula
-    if (queryParams.filterByFormula) {
-      const filter = await parseFilterFormula(queryParams.filterByFormula, normalizedTable, client);
+    // Tenant-scoped tables only list the caller's partner's rows
+    const tenant = tenantCondition(table, params);
+    if (tenant) {
+      conditions.push(tenant);
+    }
+    
+    // Soft-deleted records are hidden (or, with deleted=true, the only ones listed)
+    const tombstone = table.tombstoneCondition();
+    if (tombstone) {
+      conditions.push(tombstone);
+    }
+    
+    // Parse filterByFormula (the view's and the request's, AND-ed); linked
+    // record lookups are cached for the request
+    for (const formula of options.formulas) {
+      const filter = await parseFilterFormula(formula, table, links, params);
       if (filter.sql) {
-        sql += ` ${filter.sql}`;
-        countSql += ` ${filter.sql}`;
-        params = filter.params;
+        conditions.push(filter.sql);
       }
     }
     
-    // Add sorting (default to id for consistent pagination)
-    if (queryParams['sort[0][field]']) {
-      const sortField = queryParams['sort[0][field]'];
-      const sortDir = queryParams['sort[0][direction]'] === 'desc' ? 'DESC' : 'ASC';
-      sql += ` ORDER BY "${sortField}" ${sortDir} NULLS LAST, "id" ASC`;
-    } else {
-      sql += ` ORDER BY "id" ASC`;
-    }
+    // Sort keys (id is always the final key for consistent pagination)
+    const sort = options.sort;
+    const sortKeys = table.resolveSort(sort);
     
-    // Pagination
-    const maxRecords = Math.min(parseInt(queryParams.maxRecords) || 1000, 10000);
-    const offset = parseInt(queryParams.offset) || 0;
+    // Pagination: offset is a keyset token bound to this exact query
+    const maxRecords = Math.min(options.maxRecords || 1000, 10000);
+    const fingerprint = queryFingerprint([normalizedTable, options.formulas, sortKeys, ...(table.tombstones ? ['deleted'] : [])]);
+    const offset = decodeOffset(queryParams.offset, fingerprint, sortKeys.length);
     
+    if (offset.type === 'keyset') {
+      conditions.push(keysetCondition(sortKeys, offset.values, params));
+    }
+    
+    const keyColumns = keySelectList(sortKeys);
+    let sql = `SELECT ${selectList}${keyColumns ? `, ${keyColumns}` : ''} FROM ${table.sql}`;
+    if (conditions.length > 0) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    sql += ` ${table.orderBy(sort)}`;
     sql += ` LIMIT ${maxRecords + 1}`; // Fetch one extra to check if there are more
-    if (offset > 0) {
-      sql += ` OFFSET ${offset}`;
+    if (offset.type === 'numeric' && offset.offset > 0) {
+      sql += ` OFFSET ${offset.offset}`;
     }
     
-    console.log(`[GET] ${normalizedTable}: ${sql} (offset: ${offset})`);
+    console.log(`[GET] ${normalizedTable}: ${sql} (offset: ${offset.type})`);
     
     // Execute query
     const result = await client.query(sql, params);
@@ -318,8 +526,18 @@ async function handleGet(pool, tableName, recordId, queryParams) {
     // Check if there are more records
     const hasMore = result.rows.length > maxRecords;
     const records = hasMore ? result.rows.slice(0, maxRecords) : result.rows;
+    
+    // Strip the sort key aliases, keeping the last row's for the next token
+    let lastKeyValues = null;
+    for (const row of result.rows) {
+      const values = extractKeyValues(row, sortKeys.length);
+      if (row === records[records.length - 1]) {
+        lastKeyValues = values;
+      }
+    }
 
     // Truncate large fields to stay within API Gateway 6MB payload limit
+    // (only applies when they're selected; use fields[] to skip them)
     // JSON fields are parsed, trimmed, and re-stringified to stay valid
     const TEXT_LIMIT = 3000;
     const JSON_LIMIT = 2000;
@@ -347,14 +565,16 @@ async function handleGet(pool, tableName, recordId, queryParams) {
       }
     }
 
-    // Build response
+    // Build response (with linked records embedded when expand is given)
+    await audit.read(table, records);
+    const expanded = await expandLinks(client, table, records, expand, links, access, byFieldId, audit);
     const response = {
-      records: records.map(rowToRecord)
+      records: records.map((row, i) => withExpanded(rowToRecord(row, table, byFieldId), expanded && expanded[i]))
     };
     
-    // Add offset for next page if there are more records
+    // Add offset token for next page if there are more records
     if (hasMore) {
-      response.offset = (offset + maxRecords).toString();
+      response.offset = encodeOffset(lastKeyValues, fingerprint);
     }
     
     return {
@@ -367,77 +587,272 @@ async function handleGet(pool, tableName, recordId, queryParams) {
   }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// Record Writes
+// Shared by the single-record and batch (records[]) forms of each method
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Airtable accepts at most 10 records per batch request
+const MAX_BATCH_RECORDS = parseInt(process.env.MAX_BATCH_RECORDS) || 10;
+
 /**
- * POST /v0/{baseId}/{tableName} - Create record
+ * Validate the records array of a batch request body
  */
-async function handlePost(pool, tableName, body) {
-  const client = await pool.connect();
+function getBatchRecords(body, requireId) {
+  const records = body.records;
   
+  if (!Array.isArray(records) || records.length === 0) {
+    throw new AirtableError('INVALID_RECORDS', 'records must be a non-empty array', 422);
+  }
+  if (records.length > MAX_BATCH_RECORDS) {
+    throw new AirtableError('INVALID_RECORDS', `Too many records: at most ${MAX_BATCH_RECORDS} per request`, 422);
+  }
+  for (const record of records) {
+    if (!record || typeof record !== 'object' || (requireId && !record.id)) {
+      throw new AirtableError('INVALID_RECORDS', requireId
+        ? 'Each record must be an object with id and fields'
+        : 'Each record must be an object with fields', 422);
+    }
+  }
+  
+  return records;
+}
+
+function recordNotFound(recordId) {
+  return new AirtableError('NOT_FOUND', `Record not found: ${recordId}`, 404);
+}
+
+/**
+ * Update/delete of a record id that doesn't exist (or belongs to another tenant)
+ */
+function rowDoesNotExist(recordId) {
+  return new AirtableError('ROW_DOES_NOT_EXIST', `Record ${recordId} does not exist`, 404);
+}
+
+/**
+ * Malformed request (missing/invalid params or body)
+ */
+function invalidRequest(message, statusCode = 422) {
+  return new AirtableError('INVALID_REQUEST_UNKNOWN', message, statusCode);
+}
+
+/**
+ * Run fn inside BEGIN/COMMIT on the given client, rolling back if it throws
+ */
+async function withTransaction(client, fn) {
+  await client.query('BEGIN');
   try {
-    const normalizedTable = tableName.toLowerCase().replace(/[^a-z0-9_]/g, '_');
-    const fields = body.fields || body;
+    const result = await fn();
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      // Report what failed, not the rollback (e.g. on a dropped connection)
+      console.error(`[TRANSACTION] ROLLBACK failed: ${rollbackError.message}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * v3.3: Create the Cognito user for a users record with email/password
+ * Note: Cognito isn't transactional, so a user created here survives a
+ * rollback of the surrounding batch.
+ */
+async function createCognitoUser(fields) {
+  try {
+    console.log(`[COGNITO] Creating user: ${fields.email}`);
     
-    // v3.3: If creating a user with email/password, also create Cognito user
-    if (normalizedTable === 'users' && fields.email && fields.password) {
-      try {
-        console.log(`[COGNITO] Creating user: ${fields.email}`);
-        
-        // Create Cognito user
-        const createCommand = new AdminCreateUserCommand({
-          UserPoolId: COGNITO_USER_POOL_ID,
-          Username: fields.email,
-          UserAttributes: [
-            { Name: 'email', Value: fields.email },
-            { Name: 'email_verified', Value: 'true' }
-          ],
-          MessageAction: 'SUPPRESS' // Don't send welcome email
-        });
-        await cognitoClient.send(createCommand);
-        
-        // Set permanent password
-        const passwordCommand = new AdminSetUserPasswordCommand({
-          UserPoolId: COGNITO_USER_POOL_ID,
-          Username: fields.email,
-          Password: fields.password,
-          Permanent: true
-        });
-        await cognitoClient.send(passwordCommand);
-        
-        console.log(`[COGNITO] User created successfully: ${fields.email}`);
-      } catch (cognitoError) {
-        console.error(`[COGNITO] Error creating user: ${cognitoError.message}`);
-        // If user already exists, continue with DB creation
-        if (cognitoError.name !== 'UsernameExistsException') {
-          throw new Error(`Cognito error: ${cognitoError.message}`);
-        }
-        console.log(`[COGNITO] User already exists, continuing with DB record`);
-      }
+    // Create Cognito user
+    const createCommand = new AdminCreateUserCommand({
+      UserPoolId: COGNITO_USER_POOL_ID,
+      Username: fields.email,
+      UserAttributes: [
+        { Name: 'email', Value: fields.email },
+        { Name: 'email_verified', Value: 'true' }
+      ],
+      MessageAction: 'SUPPRESS' // Don't send welcome email
+    });
+    await cognitoClient.send(createCommand);
+    
+    // Set permanent password
+    const passwordCommand = new AdminSetUserPasswordCommand({
+      UserPoolId: COGNITO_USER_POOL_ID,
+      Username: fields.email,
+      Password: fields.password,
+      Permanent: true
+    });
+    await cognitoClient.send(passwordCommand);
+    
+    console.log(`[COGNITO] User created successfully: ${fields.email}`);
+  } catch (cognitoError) {
+    console.error(`[COGNITO] Error creating user: ${cognitoError.message}`);
+    // If user already exists, continue with DB creation
+    if (cognitoError.name === 'InvalidPasswordException' || cognitoError.name === 'InvalidParameterException') {
+      throw new AirtableError('INVALID_VALUE_FOR_COLUMN', cognitoError.message, 422);
+    }
+    if (cognitoError.name !== 'UsernameExistsException') {
+      throw new Error(`Cognito error: ${cognitoError.message}`);
     }
+    console.log(`[COGNITO] User already exists, continuing with DB record`);
+  }
+}
+
+/**
+ * INSERT one record, returning the new row
+ * @param {boolean} [typecast] - Coerce values to the column types (Airtable typecast)
+ * @param {AuditLog} [audit] - Logs the create (audit.js)
+ */
+async function insertRecord(client, table, fields, typecast = false, audit = null) {
+  // If creating a user with email/password, also create Cognito user
+  if (table.name === 'users' && fields.email && fields.password) {
+    await createCognitoUser(fields);
+  }
+  
+  // Build INSERT statement (exclude password from DB storage)
+  const columns = ['airtable_record_id', 'airtable_created_time'];
+  const values = [generateRecordId(), new Date().toISOString()];
+  const placeholders = ['$1', '$2'];
+  let paramIndex = 3;
+  
+  // Tenant-scoped tables: stamp the caller's partner id
+  const stamp = tenantStamp(table);
+  if (stamp) {
+    columns.push(quoteIdent(stamp.column));
+    values.push(stamp.value);
+    placeholders.push(`$${paramIndex}`);
+    paramIndex++;
+  }
+  
+  for (const [field, value] of Object.entries(withoutSoftDeleteField(table, withoutTenantField(table, fields)))) {
+    // Don't store plain password in database
+    if (field === 'password') continue;
     
-    // Build INSERT statement (exclude password from DB storage)
-    const columns = ['airtable_record_id', 'airtable_created_time'];
-    const values = [generateRecordId(), new Date().toISOString()];
-    const placeholders = ['$1', '$2'];
-    let paramIndex = 3;
+    const column = table.column(field);
+    columns.push(quoteIdent(column));
+    values.push(toColumnValue(table.columns[column], value, typecast));
+    placeholders.push(`$${paramIndex}`);
+    paramIndex++;
+  }
+  
+  const sql = `INSERT INTO ${table.sql} (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`;
+  const result = await client.query(sql, values);
+  
+  if (audit) {
+    await audit.created(table, result.rows[0]);
+  }
+  return result.rows[0];
+}
+
+/**
+ * UPDATE one record, returning the updated row (null if it doesn't exist)
+ * With no fields this is a no-op that returns the current row.
+ * @param {boolean} [replace] - PUT: also reset every other user column to its
+ *   default (NULL unless the column has one). id, airtable_record_id,
+ *   airtable_created_time, deleted_at, the caller's tenant column and columns
+ *   hidden by the caller's policy are kept.
+ * @param {AuditLog} [audit] - Logs the change (audit.js); the row is read and
+ *   locked first so the entry has its values before
+ */
+async function updateRecord(client, table, recordId, fields, typecast = false, replace = false, audit = null) {
+  const setClauses = [];
+  const params = [recordId];
+  let paramIndex = 2;
+  const written = new Set();
+  
+  for (const [field, value] of Object.entries(withoutSoftDeleteField(table, withoutTenantField(table, fields)))) {
+    const column = table.column(field);
+    setClauses.push(`${quoteIdent(column)} = $${paramIndex}`);
+    params.push(toColumnValue(table.columns[column], value, typecast));
+    paramIndex++;
+    written.add(column);
+  }
+  
+  if (replace) {
+    const stamp = tenantStamp(table);
+    for (const column of table.columnNames) {
+      if (!written.has(column) && !SYSTEM_COLUMNS.includes(column) && column !== SOFT_DELETE_COLUMN &&
+          table.isVisible(column) && !(stamp && stamp.column === column)) {
+        setClauses.push(`${quoteIdent(column)} = DEFAULT`);
+      }
+    }
+  }
+  
+  // Records of another tenant behave as missing
+  const where = scopeCondition(table, '"airtable_record_id" = $1', params);
+  
+  let before = null;
+  if (audit) {
+    const lockParams = [recordId];
+    const lockWhere = scopeCondition(table, '"airtable_record_id" = $1', lockParams);
+    const current = await client.query(`SELECT * FROM ${table.sql} WHERE ${lockWhere} FOR UPDATE`, lockParams);
+    if (current.rows.length === 0) {
+      return null;
+    }
+    before = current.rows[0];
+  }
+  
+  const sql = setClauses.length > 0
+    ? `UPDATE ${table.sql} SET ${setClauses.join(', ')} WHERE ${where} RETURNING *`
+    : `SELECT * FROM ${table.sql} WHERE ${where}`;
+  
+  const result = await client.query(sql, params);
+  const row = result.rows[0] || null;
+  
+  if (audit && row) {
+    await audit.updated(table, before, row);
+  }
+  return row;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Write Handlers
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * POST /v0/{baseId}/{tableName} - Create record
+ * 
+ * Body: { fields } (or the bare fields object) for one record, or
+ *       { records: [{ fields }, ...] } to create a batch in one transaction
+ * 
+ * Every create is logged in the audit table (audit.js) in the same transaction.
+ */
+async function handlePost(pool, tableName, body, access) {
+  const client = await pool.connect();
+  
+  try {
+    const table = await getTableSchema(client, tableName, access);
+    const normalizedTable = table.name;
+    const typecast = body.typecast === true;
+    const byFieldId = getBooleanParam(body, 'returnFieldsByFieldId');
+    const audit = new AuditLog(client, access.caller.id);
     
-    for (const [field, value] of Object.entries(fields)) {
-      // Don't store plain password in database
-      if (field === 'password') continue;
+    if (Array.isArray(body.records)) {
+      const records = getBatchRecords(body, false);
+      console.log(`[POST] ${normalizedTable}: Creating ${records.length} records`);
       
-      columns.push(`"${field}"`);
-      values.push(typeof value === 'object' ? JSON.stringify(value) : value);
-      placeholders.push(`$${paramIndex}`);
-      paramIndex++;
+      const rows = await withTransaction(client, async () => {
+        const created = [];
+        for (const record of records) {
+          created.push(await insertRecord(client, table, record.fields || {}, typecast, audit));
+        }
+        return created;
+      });
+      
+      return {
+        statusCode: 200,
+        body: { records: rows.map(row => rowToRecord(row, table, byFieldId)) }
+      };
     }
     
-    const sql = `INSERT INTO "${normalizedTable}" (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`;
     console.log(`[POST] ${normalizedTable}: Creating record`);
-    
-    const result = await client.query(sql, values);
+    const row = await withTransaction(client, () => insertRecord(client, table, body.fields || body, typecast, audit));
     
     return {
       statusCode: 200,
-      body: rowToRecord(result.rows[0])
+      body: rowToRecord(row, table, byFieldId)
     };
     
   } finally {
@@ -447,41 +862,97 @@ async function handlePost(pool, tableName, body) {
 
 /**
  * PATCH /v0/{baseId}/{tableName}/{recordId} - Update record
+ * PATCH /v0/{baseId}/{tableName} - Update a batch: { records: [{ id, fields }, ...] }
+ * 
+ * A batch runs in one transaction; any missing record rolls back all of it.
+ * 
+ * Upsert: { performUpsert: { fieldsToMergeOn: ['report_id'] }, records: [{ fields }] }
+ * creates or updates each record by its merge field values and also returns
+ * createdRecords / updatedRecords id lists, like Airtable.
+ * 
+ * Every change is logged in the audit table (audit.js) in the same transaction.
+ * 
+ * @param {boolean} [replace] - PUT semantics (see handlePut)
  */
-async function handlePatch(pool, tableName, recordId, body) {
+async function handlePatch(pool, tableName, recordId, body, access, replace = false) {
   const client = await pool.connect();
+  const method = replace ? 'PUT' : 'PATCH';
   
   try {
-    const normalizedTable = tableName.toLowerCase().replace(/[^a-z0-9_]/g, '_');
-    const fields = body.fields || body;
-    
-    // Build UPDATE statement
-    const setClauses = [];
-    const params = [recordId];
-    let paramIndex = 2;
+    const table = await getTableSchema(client, tableName, access);
+    const normalizedTable = table.name;
+    const typecast = body.typecast === true;
+    const byFieldId = getBooleanParam(body, 'returnFieldsByFieldId');
+    const audit = new AuditLog(client, access.caller.id);
     
-    for (const [field, value] of Object.entries(fields)) {
-      setClauses.push(`"${field}" = $${paramIndex}`);
-      params.push(typeof value === 'object' ? JSON.stringify(value) : value);
-      paramIndex++;
+    if (!recordId && body.performUpsert) {
+      const records = getBatchRecords(body, false);
+      const mergeColumns = resolveMergeColumns(table, body.performUpsert);
+      console.log(`[${method}] ${normalizedTable}: Upserting ${records.length} records on ${mergeColumns.join(', ')}`);
+      
+      const upserted = await withTransaction(client, () => upsertRecords(client, table, records, mergeColumns, {
+        insert: (fields) => insertRecord(client, table, fields, typecast, audit),
+        update: async (id, fields) => {
+          const row = await updateRecord(client, table, id, fields, typecast, replace, audit);
+          if (!row) {
+            throw rowDoesNotExist(id);
+          }
+          return row;
+        },
+        serialize: (value, column) => toColumnValue(table.columns[column], value, typecast)
+      }));
+      
+      return {
+        statusCode: 200,
+        body: {
+          records: upserted.rows.map(row => rowToRecord(row, table, byFieldId)),
+          createdRecords: upserted.createdRecords,
+          updatedRecords: upserted.updatedRecords
+        }
+      };
     }
     
-    if (setClauses.length === 0) {
-      return { statusCode: 400, body: { error: 'No fields to update' } };
+    if (!recordId) {
+      const records = getBatchRecords(body, true);
+      console.log(`[${method}] ${normalizedTable}: Updating ${records.length} records`);
+      
+      const rows = await withTransaction(client, async () => {
+        const updated = [];
+        for (const record of records) {
+          const row = await updateRecord(client, table, record.id, record.fields || {}, typecast, replace, audit);
+          if (!row) {
+            throw rowDoesNotExist(record.id);
+          }
+          updated.push(row);
+        }
+        return updated;
+      });
+      
+      return {
+        statusCode: 200,
+        body: { records: rows.map(row => rowToRecord(row, table, byFieldId)) }
+      };
     }
     
-    const sql = `UPDATE "${normalizedTable}" SET ${setClauses.join(', ')} WHERE "airtable_record_id" = $1 RETURNING *`;
-    console.log(`[PATCH] ${normalizedTable}/${recordId}: Updating ${setClauses.length} fields`);
-    
-    const result = await client.query(sql, params);
+    const fields = body.fields || body;
     
-    if (result.rows.length === 0) {
-      return { statusCode: 404, body: { error: 'Record not found' } };
+    // PUT with no fields is a legitimate way to clear a record
+    if (Object.keys(fields).length === 0 && !replace) {
+      throw invalidRequest('No fields to update');
     }
     
+    console.log(`[${method}] ${normalizedTable}/${recordId}: Updating ${Object.keys(fields).length} fields`);
+    const row = await withTransaction(client, async () => {
+      const updated = await updateRecord(client, table, recordId, fields, typecast, replace, audit);
+      if (!updated) {
+        throw rowDoesNotExist(recordId);
+      }
+      return updated;
+    });
+    
     return {
       statusCode: 200,
-      body: rowToRecord(result.rows[0])
+      body: rowToRecord(row, table, byFieldId)
     };
     
   } finally {
@@ -489,24 +960,64 @@ async function handlePatch(pool, tableName, recordId, body) {
   }
 }
 
+/**
+ * PUT /v0/{baseId}/{tableName}/{recordId} - Replace record
+ * PUT /v0/{baseId}/{tableName} - Replace a batch, or upsert
+ * 
+ * Same bodies and responses as PATCH, but destructive like Airtable's PUT:
+ * every field a record's body leaves out is cleared (NULL, or the column
+ * default). Upserted records that already exist are replaced the same way.
+ */
+async function handlePut(pool, tableName, recordId, body, access) {
+  return handlePatch(pool, tableName, recordId, body, access, true);
+}
+
 /**
  * DELETE /v0/{baseId}/{tableName}/{recordId} - Delete record
+ * DELETE /v0/{baseId}/{tableName}?records[]=recA&records[]=recB - Delete a batch
+ * 
+ * A batch is all-or-nothing: if any id doesn't exist nothing is deleted.
+ * Tables with a deleted_at field keep tombstones instead (soft-delete.js).
+ * Deletions are logged in the audit table (audit.js).
  */
-async function handleDelete(pool, tableName, recordId) {
+async function handleDelete(pool, tableName, recordId, queryParams, access) {
   const client = await pool.connect();
   
   try {
-    const normalizedTable = tableName.toLowerCase().replace(/[^a-z0-9_]/g, '_');
-    
-    const result = await client.query(
-      `DELETE FROM "${normalizedTable}" WHERE "airtable_record_id" = $1 RETURNING "airtable_record_id"`,
-      [recordId]
-    );
+    const table = await getTableSchema(client, tableName, access);
+    const normalizedTable = table.name;
+    const audit = new AuditLog(client, access.caller.id);
     
-    if (result.rows.length === 0) {
-      return { statusCode: 404, body: { error: 'Record not found' } };
+    if (!recordId) {
+      const recordIds = [...new Set(getArrayParam(queryParams, 'records'))];
+      if (recordIds.length > MAX_BATCH_RECORDS) {
+        throw new AirtableError('INVALID_RECORDS', `Too many records: at most ${MAX_BATCH_RECORDS} per request`, 422);
+      }
+      
+      await withTransaction(client, async () => {
+        const rows = await deleteRows(client, table, '"airtable_record_id" = ANY($1)', [recordIds], audit);
+        const deleted = new Set(rows.map(row => row.airtable_record_id));
+        const missing = recordIds.find(id => !deleted.has(id));
+        if (missing) {
+          throw rowDoesNotExist(missing);
+        }
+      });
+      
+      console.log(`[DELETE] ${normalizedTable}: Deleted ${recordIds.length} records`);
+      
+      return {
+        statusCode: 200,
+        body: { records: recordIds.map(id => ({ id, deleted: true })) }
+      };
     }
     
+    await withTransaction(client, async () => {
+      const rows = await deleteRows(client, table, '"airtable_record_id" = $1', [recordId], audit);
+      if (rows.length === 0) {
+        throw rowDoesNotExist(recordId);
+      }
+    });
+    
     console.log(`[DELETE] ${normalizedTable}/${recordId}: Deleted`);
     
     return {
@@ -519,10 +1030,257 @@ async function handleDelete(pool, tableName, recordId) {
   }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// Record History, Restore and Purge
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * GET /v0/{baseId}/{tableName}/{recordId}/history - Audit entries of a record
+ * 
+ * Newest first: { history: [{ id, action, actor, createdTime, changedFields,
+ * before, after }], offset }. Deleted records keep their history; fields the
+ * caller's policy hides are left out (audit.js).
+ * 
+ * Query params:
+ * - pageSize: entries per page (default 100, max 1000)
+ * - offset: token from the previous page
+ * - includeReads: 'true' to include logged reads (AUDIT_READ_TABLES)
+ * - returnFieldsByFieldId: 'true' to key fields by field id
+ */
+async function handleHistory(pool, tableName, recordId, queryParams, access) {
+  const client = await pool.connect();
+  
+  try {
+    const table = await getTableSchema(client, tableName, access);
+    const body = await recordHistory(client, table, recordId, {
+      pageSize: queryParams.pageSize === undefined ? undefined : Number(queryParams.pageSize),
+      offset: queryParams.offset,
+      includeReads: getBooleanParam(queryParams, 'includeReads'),
+      byFieldId: getBooleanParam(queryParams, 'returnFieldsByFieldId')
+    });
+    
+    console.log(`[HISTORY] ${table.name}/${recordId}: ${body.history.length} entries`);
+    
+    return {
+      statusCode: 200,
+      body
+    };
+    
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * POST /v0/{baseId}/{tableName}/{recordId}/restore - Undelete a soft-deleted record
+ * 
+ * Returns the record like PATCH; ROW_DOES_NOT_EXIST (404) unless it is a
+ * tombstone the caller can reach (soft-delete.js).
+ */
+async function handleRestore(pool, tableName, recordId, body, access) {
+  const client = await pool.connect();
+  
+  try {
+    const table = await getTableSchema(client, tableName, access);
+    const audit = new AuditLog(client, access.caller.id);
+    
+    const rows = await withTransaction(client, () => restoreRows(client, table, [recordId], audit));
+    if (rows.length === 0) {
+      throw rowDoesNotExist(recordId);
+    }
+    
+    console.log(`[RESTORE] ${table.name}/${recordId}: Restored`);
+    
+    return {
+      statusCode: 200,
+      body: rowToRecord(rows[0], table, getBooleanParam(body, 'returnFieldsByFieldId'))
+    };
+    
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * POST /v0/{baseId}/{tableName}/purge - Hard-delete old tombstones
+ * 
+ * Body: { olderThanDays } (default SOFT_DELETE_RETENTION_DAYS). Only the
+ * caller's tenant's tombstones are purged; returns { records: [{ id, deleted }] }.
+ */
+async function handlePurge(pool, tableName, body, access) {
+  const client = await pool.connect();
+  
+  try {
+    const table = await getTableSchema(client, tableName, access);
+    const audit = new AuditLog(client, access.caller.id);
+    
+    const rows = await withTransaction(client, () => purgeTombstones(client, table, body.olderThanDays, audit));
+    
+    return {
+      statusCode: 200,
+      body: { records: rows.map(row => ({ id: row.airtable_record_id, deleted: true })) }
+    };
+    
+  } finally {
+    client.release();
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// View Management
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * GET    /views/{baseId}/{tableName}             - List the table's views
+ * GET    /views/{baseId}/{tableName}/{viewName}  - Get one view
+ * PUT    /views/{baseId}/{tableName}/{viewName}  - Create or replace a view
+ * DELETE /views/{baseId}/{tableName}/{viewName}  - Delete a view
+ * 
+ * PUT body: { filterByFormula, sort: [{ field, direction }], fields: [...], pageSize }
+ */
+async function handleViews(pool, method, tableName, viewName, body, access) {
+  const client = await pool.connect();
+  
+  try {
+    const table = await getTableSchema(client, tableName, access);
+    
+    if (!viewName) {
+      if (method !== 'GET') {
+        throw invalidRequest(`Method not allowed: ${method}`, 405);
+      }
+      return { statusCode: 200, body: { views: await listViews(client, table) } };
+    }
+    
+    switch (method) {
+      case 'GET':
+        return { statusCode: 200, body: await getView(client, table, viewName) };
+      case 'PUT': {
+        const view = await saveView(client, table, viewName, body);
+        console.log(`[VIEWS] ${table.name}: Saved view "${viewName}"`);
+        return { statusCode: 200, body: view };
+      }
+      case 'DELETE':
+        if (!await deleteView(client, table, viewName)) {
+          throw viewNotFound(viewName, table);
+        }
+        console.log(`[VIEWS] ${table.name}: Deleted view "${viewName}"`);
+        return { statusCode: 200, body: { name: viewName, deleted: true } };
+      default:
+        throw invalidRequest(`Method not allowed: ${method}`, 405);
+    }
+    
+  } finally {
+    client.release();
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Metadata
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * GET   /v0/meta/bases                                          - List bases
+ * GET   /v0/meta/bases/{baseId}/tables                          - List tables, fields and views
+ * POST  /v0/meta/bases/{baseId}/tables                          - Create a table
+ * POST  /v0/meta/bases/{baseId}/tables/{tableId}/fields         - Add a field
+ * PATCH /v0/meta/bases/{baseId}/tables/{tableId}/fields/{field} - Rename / describe a field
+ * 
+ * Reads are built from information_schema (metadata.js) and leave out what
+ * the caller's policy hides; changes need the "schema" operation and are
+ * logged as migrations (migrations.js). Tables and fields are addressed by
+ * metadata id or name. Cached table definitions are dropped once a change
+ * commits or rolls back.
+ */
+async function handleMeta(method, { baseId, tableId, fieldId }, body, caller) {
+  if (!baseId) {
+    if (method !== 'GET') {
+      throw invalidRequest(`Method not allowed: ${method}`, 405);
+    }
+    return { statusCode: 200, body: listBases(BASE_MAP, caller) };
+  }
+  
+  const database = BASE_MAP[baseId];
+  if (!database) {
+    throw new AirtableError('NOT_FOUND', `Base not found: ${baseId}`, 404);
+  }
+  
+  const allowSchemaChange = (table) => authorize(caller, { database, baseId, table, operations: ['schema'] });
+  const client = await getPool(database).connect();
+  const migrate = async (fn) => {
+    try {
+      return await withTransaction(client, fn);
+    } finally {
+      invalidateSchema(client);
+    }
+  };
+  
+  try {
+    if (!tableId && method === 'GET') {
+      return { statusCode: 200, body: await listBaseTables(client, caller, { database, baseId }) };
+    }
+    
+    if (!tableId && method === 'POST') {
+      allowSchemaChange(String(body.name || ''));
+      const table = await migrate(() => createTable(client, caller, body));
+      return { statusCode: 200, body: await describeTable(client, table) };
+    }
+    
+    if (tableId && !fieldId && method === 'POST') {
+      const table = await findTable(client, decodeURIComponent(tableId));
+      allowSchemaChange(table.name);
+      const created = await migrate(() => createField(client, caller, table, body));
+      return { statusCode: 200, body: await describeField(client, created.table, created.column) };
+    }
+    
+    if (fieldId && method === 'PATCH') {
+      const table = await findTable(client, decodeURIComponent(tableId));
+      allowSchemaChange(table.name);
+      const column = findField(table, decodeURIComponent(fieldId));
+      const updated = await migrate(() => updateField(client, caller, table, column, body));
+      return { statusCode: 200, body: await describeField(client, updated.table, updated.column) };
+    }
+    
+    throw invalidRequest(`Method not allowed: ${method}`, 405);
+    
+  } finally {
+    client.release();
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // Lambda Handler
 // ═══════════════════════════════════════════════════════════════════════════════
 
+/**
+ * Policy operations (policies.js) a record request needs
+ * An upsert both creates and updates, so it needs both.
+ */
+function requestOperations(method, body) {
+  switch (method) {
+    case 'GET':
+      return ['read'];
+    case 'POST':
+      return ['create'];
+    case 'PATCH':
+    case 'PUT':
+      return body.performUpsert ? ['create', 'update'] : ['update'];
+    case 'DELETE':
+      return ['delete'];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Record actions, /v0/{baseId}/{tableName}[/{recordId}]/{action}: the method
+ * each takes, the policy operation it needs and whether it names a record
+ */
+const RECORD_ACTIONS = {
+  history: { method: 'GET', operation: 'read', record: true },
+  restore: { method: 'POST', operation: 'delete', record: true },
+  purge: { method: 'POST', operation: 'delete', record: false }
+};
+
 exports.handler = async (event) => {
   const method = event.httpMethod || event.requestContext?.http?.method;
   
@@ -555,54 +1313,133 @@ exports.handler = async (event) => {
         };
       } catch (err) {
         console.error('[NPI] Error:', err);
-        return {
-          statusCode: 502,
-          headers: corsHeaders,
-          body: JSON.stringify({ error: 'Failed to verify NPI', details: err.message })
-        };
+        throw new AirtableError('NPI_REGISTRY_UNAVAILABLE', `Failed to verify NPI: ${err.message}`, 502);
       }
     }
     
     // ═══════════════════════════════════════════════════════════════════════════
-    // Standard Airtable-compatible API: /v0/{baseId}/{tableName}
+    // Authentication: everything below needs a Cognito JWT or service API key
     // ═══════════════════════════════════════════════════════════════════════════
-    const match = path.match(/\/v0\/([^/]+)\/([^/]+)(?:\/([^/]+))?/);
+    const caller = await authenticate(event);
+    event.requestContext = { ...event.requestContext, caller };
     
-    if (!match) {
+    // Parse query params and body
+    const queryParams = parseQueryParams(event);
+    let body = {};
+    if (event.body) {
+      try {
+        body = JSON.parse(event.body);
+      } catch (e) {
+        throw invalidRequest('Invalid JSON body', 400);
+      }
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw invalidRequest('Request body must be a JSON object', 400);
+      }
+    }
+    
+    // ═══════════════════════════════════════════════════════════════════════════
+    // Metadata API: /v0/meta/bases[/{baseId}/tables[/{tableId}/fields[/{fieldId}]]]
+    // (before the record routes, which would read "meta" as a base id)
+    // ═══════════════════════════════════════════════════════════════════════════
+    const metaMatch = path.match(/\/v0\/meta\/bases(?:\/([^/]+)\/tables(?:\/([^/]+)\/fields(?:\/([^/]+))?)?)?\/?$/);
+    if (metaMatch) {
+      const [, metaBaseId, metaTableId, metaFieldId] = metaMatch;
+      const metaResult = await handleMeta(method, { baseId: metaBaseId, tableId: metaTableId, fieldId: metaFieldId }, body, caller);
       return {
-        statusCode: 400,
+        statusCode: metaResult.statusCode,
         headers: corsHeaders,
-        body: JSON.stringify({ error: 'Invalid path. Expected: /v0/{baseId}/{tableName} or /npi/{npiNumber}' })
+        body: JSON.stringify(metaResult.body)
       };
     }
     
+    // ═══════════════════════════════════════════════════════════════════════════
+    // Standard Airtable-compatible API: /v0/{baseId}/{tableName}
+    // Record actions: /v0/{baseId}/{tableName}/{recordId}/history|restore,
+    //                 /v0/{baseId}/{tableName}/purge
+    // View management: /views/{baseId}/{tableName}[/{viewName}]
+    // ═══════════════════════════════════════════════════════════════════════════
+    const viewsMatch = path.match(/^(?:\/[^/]+)?\/views\/([^/]+)\/([^/]+)(?:\/([^/]+))?\/?$/);
+    const actionMatch = !viewsMatch && path.match(/\/v0\/([^/]+)\/([^/]+)(?:\/([^/]+))?\/(history|restore|purge)\/?$/);
+    const match = viewsMatch || actionMatch || path.match(/\/v0\/([^/]+)\/([^/]+)(?:\/([^/]+))?/);
+    
+    if (!match) {
+      throw new AirtableError(
+        'NOT_FOUND',
+        'Invalid path. Expected: /v0/{baseId}/{tableName}, /views/{baseId}/{tableName} or /npi/{npiNumber}',
+        404
+      );
+    }
+    
     const [, baseId, tableName, recordId] = match;
+    const action = actionMatch ? RECORD_ACTIONS[actionMatch[4]] : null;
+    if (action && Boolean(recordId) !== action.record) {
+      throw new AirtableError('NOT_FOUND', `Invalid path. Expected: /v0/{baseId}/{tableName}/${action.record ? '{recordId}/' : ''}${actionMatch[4]}`, 404);
+    }
+    if (action && method !== action.method) {
+      throw invalidRequest(`Method not allowed: ${method}`, 405);
+    }
     const database = BASE_MAP[baseId];
     
     if (!database) {
-      return {
-        statusCode: 404,
-        headers: corsHeaders,
-        body: JSON.stringify({ error: `Base not found: ${baseId}` })
-      };
+      throw new AirtableError('NOT_FOUND', `Base not found: ${baseId}`, 404);
     }
     
     // Get database pool
     const pool = getPool(database);
     
-    // Parse query params and body
-    const queryParams = event.queryStringParameters || {};
-    let body = {};
-    if (event.body) {
-      try {
-        body = JSON.parse(event.body);
-      } catch (e) {
-        return {
-          statusCode: 400,
-          headers: corsHeaders,
-          body: JSON.stringify({ error: 'Invalid JSON body' })
-        };
+    // Audit entries are written inside the request's transaction; their
+    // table has to exist before it opens (audit.js)
+    await ensureAuditTable(pool, database);
+    
+    // Authorization: the caller's policy must allow this base/table/operation,
+    // and partner callers only see their own rows (tenancy.js)
+    let operations = requestOperations(method, body);
+    if (viewsMatch) {
+      operations = [method === 'GET' ? 'read' : 'views'];
+    } else if (action) {
+      operations = [action.operation];
+    }
+    const access = authorize(caller, {
+      database,
+      baseId,
+      table: tableName,
+      operations
+    });
+    access.tenant = callerTenant(caller);
+    
+    // Other tables the request reads (expanded linked records) need their own read access
+    access.forTable = (otherTable) => ({
+      ...authorize(caller, { database, baseId, table: otherTable, operations: ['read'] }),
+      tenant: access.tenant
+    });
+    
+    if (viewsMatch) {
+      const viewName = recordId ? decodeURIComponent(recordId) : null;
+      const viewResult = await handleViews(pool, method, tableName, viewName, body, access);
+      return {
+        statusCode: viewResult.statusCode,
+        headers: corsHeaders,
+        body: JSON.stringify(viewResult.body)
+      };
+    }
+    
+    if (action) {
+      let actionResult;
+      switch (actionMatch[4]) {
+        case 'history':
+          actionResult = await handleHistory(pool, tableName, recordId, queryParams, access);
+          break;
+        case 'restore':
+          actionResult = await handleRestore(pool, tableName, recordId, body, access);
+          break;
+        default:
+          actionResult = await handlePurge(pool, tableName, body, access);
       }
+      return {
+        statusCode: actionResult.statusCode,
+        headers: corsHeaders,
+        body: JSON.stringify(actionResult.body)
+      };
     }
     
     // Route to appropriate handler
@@ -610,38 +1447,28 @@ exports.handler = async (event) => {
     
     switch (method) {
       case 'GET':
-        result = await handleGet(pool, tableName, recordId, queryParams);
+        result = await handleGet(pool, tableName, recordId, queryParams, access);
         break;
       case 'POST':
-        result = await handlePost(pool, tableName, body);
+        result = await handlePost(pool, tableName, body, access);
         break;
       case 'PATCH':
       case 'PUT':
-        if (!recordId) {
-          return {
-            statusCode: 400,
-            headers: corsHeaders,
-            body: JSON.stringify({ error: 'Record ID required for update' })
-          };
+        if (!recordId && !Array.isArray(body.records)) {
+          throw invalidRequest('Record ID or records[] required for update');
         }
-        result = await handlePatch(pool, tableName, recordId, body);
+        result = method === 'PUT'
+          ? await handlePut(pool, tableName, recordId, body, access)
+          : await handlePatch(pool, tableName, recordId, body, access);
         break;
       case 'DELETE':
-        if (!recordId) {
-          return {
-            statusCode: 400,
-            headers: corsHeaders,
-            body: JSON.stringify({ error: 'Record ID required for delete' })
-          };
+        if (!recordId && getArrayParam(queryParams, 'records').length === 0) {
+          throw invalidRequest('Record ID or records[] required for delete');
         }
-        result = await handleDelete(pool, tableName, recordId);
+        result = await handleDelete(pool, tableName, recordId, queryParams, access);
         break;
       default:
-        return {
-          statusCode: 405,
-          headers: corsHeaders,
-          body: JSON.stringify({ error: `Method not allowed: ${method}` })
-        };
+        throw invalidRequest(`Method not allowed: ${method}`, 405);
     }
     
     return {
@@ -650,12 +1477,26 @@ exports.handler = async (event) => {
       body: JSON.stringify(result.body)
     };
     
-  } catch (error) {
+  } catch (thrown) {
+    // Every error response is { error: { type, message } }; Postgres errors
+    // are mapped by SQLSTATE (pg-errors.js) so raw DB messages never leak
+    const error = toAirtableError(thrown);
+    
+    if (error instanceof AirtableError) {
+      const sqlstate = thrown !== error ? ` (SQLSTATE ${thrown.code}: ${thrown.message})` : '';
+      console.warn(`[${error.error}] ${error.message}${sqlstate}`);
+      return {
+        statusCode: error.statusCode,
+        headers: corsHeaders,
+        body: JSON.stringify(error)
+      };
+    }
+    
     console.error('Error:', error);
     return {
       statusCode: 500,
       headers: corsHeaders,
-      body: JSON.stringify({ error: error.message })
+      body: JSON.stringify(new AirtableError('SERVER_ERROR', 'Internal server error', 500))
     };
   }
 };
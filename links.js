@@ -0,0 +1,287 @@
+/**
+ * Linked Records
+ *
+ * Linked-record fields hold the recXXX ids of another table's records, so a
+ * formula like {report_id} = "R-1042" has to find the record whose lookup
+ * column is "R-1042" first. Link definitions come, per base, from:
+ *
+ *   1. the links table (internalTable('links')), which always wins:
+ *
+ *        CREATE TABLE public._airtable_links (
+ *          table_name text NOT NULL,      -- table holding the field, '*' = any
+ *          field text NOT NULL,           -- the link column
+ *          linked_table text NOT NULL,    -- table the ids point at
+ *          lookup_column text NOT NULL,   -- column matched against formula values
+ *          PRIMARY KEY (table_name, field)
+ *        );
+ *
+ *   2. foreign keys: a column referencing another table's column links to
+ *      that table (ids are resolved for references to airtable_record_id)
+ *
+ *   3. naming conventions: patient, patient_id, patient_link(s) → patients,
+ *      looked up by patient_id (when that table and column exist)
+ *
+ *   plus DEFAULT_LINKS for names no convention derives.
+ *
+ * Renaming a field (migrations.js) renames it in the links table too.
+ *
+ * A LinkResolver lives for one request: definitions are loaded once and
+ * each (field, value) lookup hits the database at most once. The REST API
+ * and the adapter resolve through the same class.
+ */
+
+const { AirtableError } = require('./airtable-error');
+const { quoteIdent } = require('./filter-formula');
+const { toColumnValue } = require('./field-types');
+const { DB_SCHEMAS, internalTable, queryInternal, getTableSchema } = require('./schema');
+const { scopeCondition } = require('./tenancy');
+
+const LINKS_TABLE = internalTable('links');
+
+// Links that predate the links table and don't follow the conventions
+const DEFAULT_LINKS = [
+  { table: '*', field: 'client_id', linkedTable: 'partners', lookupColumn: 'partner_id' }
+];
+
+const RECORD_ID_COLUMN = 'airtable_record_id';
+
+/**
+ * Linked table a field name points at by convention, as [stem, table] candidates
+ * (patient_link → patient → patients / patient)
+ */
+function conventionCandidates(field) {
+  const stem = field.replace(/_(id|ids|link|links)$/, '');
+  return [`${stem}s`, stem].map(linkedTable => ({ stem, linkedTable }));
+}
+
+class LinkResolver {
+  /**
+   * @param {Object} client - pg client for the base's database
+   * @param {Object} [access] - Caller's { fieldAccess, tenant, forTable };
+   *   lookups stay inside the caller's tenant and the linked table's policy
+   *   (forTable(name) → access for reading another table, index.js)
+   */
+  constructor(client, access = null) {
+    this.client = client;
+    this.access = access;
+    this.explicit = null; // Promise<Map> of "table.field" → definition (links table, FKs, defaults)
+    this.tableNames = null; // Promise<Set> of the base's table names
+    this.tables = new Map(); // table name → Promise<TableSchema|null>
+    this.readable = new Map(); // table name → Promise<TableSchema> loaded with the caller's access to it
+    this.lookups = new Map(); // "table.column\0value" → Promise<recId|null>
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Definitions
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  async _queryLinksTable() {
+    // No links table: no links configured
+    const rows = await queryInternal(this.client, LINKS_TABLE,
+      `SELECT table_name, field, linked_table, lookup_column FROM ${LINKS_TABLE}`
+    );
+    return rows.map(row => ({
+      table: row.table_name,
+      field: row.field,
+      linkedTable: row.linked_table,
+      lookupColumn: row.lookup_column
+    }));
+  }
+
+  async _queryForeignKeys() {
+    const result = await this.client.query(`
+      SELECT cl.relname AS table_name, a.attname AS column_name,
+             rcl.relname AS linked_table, ra.attname AS linked_column
+      FROM pg_constraint c
+      JOIN pg_class cl ON cl.oid = c.conrelid
+      JOIN pg_namespace n ON n.oid = cl.relnamespace
+      JOIN pg_class rcl ON rcl.oid = c.confrelid
+      JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = c.conkey[1]
+      JOIN pg_attribute ra ON ra.attrelid = c.confrelid AND ra.attnum = c.confkey[1]
+      WHERE c.contype = 'f' AND cardinality(c.conkey) = 1 AND n.nspname = ANY($1::text[])
+    `, [DB_SCHEMAS]);
+    return result.rows.map(row => ({
+      table: row.table_name,
+      field: row.column_name,
+      linkedTable: row.linked_table,
+      keyColumn: row.linked_column
+    }));
+  }
+
+  /**
+   * Links table rows, foreign keys and defaults, most specific first
+   */
+  _explicitDefinitions() {
+    if (!this.explicit) {
+      this.explicit = Promise.all([this._queryLinksTable(), this._queryForeignKeys()])
+        .then(([configured, foreignKeys]) => {
+          const definitions = new Map();
+          for (const definition of [...configured, ...foreignKeys, ...DEFAULT_LINKS]) {
+            const key = `${definition.table}.${definition.field}`;
+            if (!definitions.has(key)) {
+              definitions.set(key, definition);
+            }
+          }
+          return definitions;
+        });
+    }
+    return this.explicit;
+  }
+
+  /**
+   * Schema of a linked table (null if it doesn't exist); table names are
+   * listed once so conventions don't probe information_schema per field.
+   * Definitions only need its columns, so it's loaded without caller access.
+   */
+  async _table(name) {
+    if (!this.tableNames) {
+      this.tableNames = this.client.query(
+        'SELECT DISTINCT table_name FROM information_schema.tables WHERE table_schema = ANY($1::text[])',
+        [DB_SCHEMAS]
+      ).then(result => new Set(result.rows.map(row => row.table_name)));
+    }
+    if (!(await this.tableNames).has(name)) {
+      return null;
+    }
+    if (!this.tables.has(name)) {
+      this.tables.set(name, getTableSchema(this.client, name));
+    }
+    return this.tables.get(name);
+  }
+
+  /**
+   * Link definition for a column, or null if it isn't a linked-record field
+   * @param {TableSchema} table - Table holding the field
+   * @param {string} column - Validated column name
+   * @returns {Promise<{ linkedTable: TableSchema, lookupColumn: string, keyColumn: string }|null>}
+   */
+  async definition(table, column) {
+    const explicit = await this._explicitDefinitions();
+    const definition = explicit.get(`${table.name}.${column}`) || explicit.get(`*.${column}`);
+
+    if (definition) {
+      const linkedTable = definition.linkedTable === table.name ? null : await this._table(definition.linkedTable);
+      if (!linkedTable) {
+        return null;
+      }
+      // Foreign keys to other columns already hold the lookup value; ones to
+      // airtable_record_id are looked up by the linked table's <name>_id
+      const keyColumn = definition.keyColumn || RECORD_ID_COLUMN;
+      const conventional = `${linkedTable.name.replace(/s$/, '')}_id`;
+      const lookupColumn = definition.lookupColumn ||
+        (keyColumn !== RECORD_ID_COLUMN ? keyColumn : linkedTable.hasColumn(conventional) ? conventional : null);
+      return lookupColumn ? { linkedTable, lookupColumn, keyColumn } : null;
+    }
+
+    // Conventions; a table never links to itself (report_id on reports is its own id)
+    for (const { stem, linkedTable: name } of conventionCandidates(column)) {
+      if (name === table.name) {
+        return null;
+      }
+      const linkedTable = await this._table(name);
+      if (linkedTable && linkedTable.hasColumn(`${stem}_id`)) {
+        return { linkedTable, lookupColumn: `${stem}_id`, keyColumn: RECORD_ID_COLUMN };
+      }
+    }
+    return null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Resolution
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Record id a linked-record field value refers to
+   * e.g. resolve(scores, 'report_id', 'R-1042') → 'recAbc...'
+   * @returns {Promise<string|null>} null if the field isn't a record-id link,
+   *   the value already is a record id, or no (visible) record matches
+   */
+  async resolve(table, column, value) {
+    if (typeof value !== 'string' || value.startsWith('rec')) {
+      return null;
+    }
+
+    const definition = await this.definition(table, column);
+    if (!definition || definition.keyColumn !== RECORD_ID_COLUMN) {
+      return null;
+    }
+
+    const { linkedTable, lookupColumn } = definition;
+    const key = `${linkedTable.name}.${lookupColumn}\u0000${value}`;
+    if (!this.lookups.has(key)) {
+      this.lookups.set(key, this._lookup(linkedTable, lookupColumn, value));
+    }
+    return this.lookups.get(key);
+  }
+
+  /**
+   * A linked table as the caller may read it: with that table's own policy
+   * (access.forTable), not the one of the table being queried. Rejects with
+   * an AirtableError when the policy doesn't let the caller read it.
+   */
+  _readableTable(name) {
+    if (!this.readable.has(name)) {
+      const access = this.access && typeof this.access.forTable === 'function'
+        ? Promise.resolve().then(() => this.access.forTable(name))
+        : Promise.resolve(this.access);
+      this.readable.set(name, access.then(tableAccess => getTableSchema(this.client, name, tableAccess)));
+    }
+    return this.readable.get(name);
+  }
+
+  async _lookup(linkedTable, lookupColumn, value) {
+    // Within the caller's tenant (client_id → partners only sees own partner)
+    const params = [value];
+    let readable, where;
+    try {
+      readable = await this._readableTable(linkedTable.name);
+      const column = readable.column(lookupColumn);
+      // Compared as the column's own type so its index is used; a value the
+      // type can't hold (e.g. "R-1" for an integer column) isn't looked up
+      params[0] = toColumnValue(readable.columns[column], value, true);
+      where = scopeCondition(readable, `${quoteIdent(column)} = $1::${readable.columnType(column)}`, params);
+    } catch (error) {
+      // Missing or hidden lookup column, or a table the caller can't see:
+      // fall back to plain equality
+      if (error instanceof AirtableError) return null;
+      throw error;
+    }
+
+    const result = await this.client.query(
+      `SELECT ${RECORD_ID_COLUMN} FROM ${readable.sql} WHERE ${where} LIMIT 1`,
+      params
+    );
+    return result.rows.length > 0 ? result.rows[0][RECORD_ID_COLUMN] : null;
+  }
+
+  /**
+   * compileFormula's resolveLinkedRecordId hook for one table
+   * @param {TableSchema} table
+   * @param {Function} resolveField - The same field → column resolver the formula uses
+   */
+  forTable(table, resolveField) {
+    return (field, value) => this.resolve(table, resolveField(field), value);
+  }
+}
+
+/**
+ * Point links-table entries at a renamed column, as the link field or as
+ * the lookup column other tables' links match against (migrations.js runs
+ * this in the rename's transaction)
+ */
+async function renameLinkField(client, table, column, newColumn) {
+  await queryInternal(client, LINKS_TABLE,
+    `UPDATE ${LINKS_TABLE} SET field = $3 WHERE table_name = $1 AND field = $2`,
+    [table.name, column, newColumn]
+  );
+  await queryInternal(client, LINKS_TABLE,
+    `UPDATE ${LINKS_TABLE} SET lookup_column = $3 WHERE linked_table = $1 AND lookup_column = $2`,
+    [table.name, column, newColumn]
+  );
+}
+
+module.exports = {
+  LinkResolver,
+  renameLinkField,
+  DEFAULT_LINKS
+};
@@ -0,0 +1,293 @@
+/**
+ * Metadata API
+ *
+ * Airtable's schema discovery endpoints, built from information_schema
+ * instead of a hand-maintained registry:
+ *
+ *   GET /v0/meta/bases                   → { bases: [{ id, name, permissionLevel }] }
+ *   GET /v0/meta/bases/{baseId}/tables   → { tables: [{ id, name, primaryFieldId, fields, views }] }
+ *
+ * Table and view ids are stable hashes of their names (tblXXXX, viwXXXX),
+ * so they survive deploys and match across requests. Field ids and names
+ * come from the fields table (schema.js): a field renamed through the
+ * metadata API keeps its id and display name. Descriptions are the Postgres
+ * comments.
+ * The primary field is the first non-system column, like Airtable's
+ * left-most column. Field types are inferred from the column type:
+ *
+ *   boolean                      → checkbox
+ *   integer / numeric / ..       → number (precision from the column scale)
+ *   date                         → date
+ *   timestamp (tz or not)        → dateTime
+ *   arrays (text[] ...)          → multipleSelects
+ *   json / jsonb holding rec ids → multipleRecordLinks
+ *   other json / jsonb           → multilineText
+ *   anything else                → singleLineText
+ *
+ * Bases, tables and fields the caller's policy hides (policies.js) are left
+ * out; a base's permissionLevel is the caller's (create, edit or read).
+ * Schema changes (creating tables and fields) are in migrations.js.
+ */
+
+const { authorize, basePermissionLevel } = require('./policies');
+const { quoteIdent } = require('./filter-formula');
+const { SYSTEM_COLUMNS, metadataId, getTableSchema, listTables } = require('./schema');
+const { listViews } = require('./views');
+
+// Rows sampled per json column when deciding whether it holds record links
+const LINK_SAMPLE_SIZE = 20;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Field types
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const INTEGER_TYPES = new Set(['smallint', 'integer', 'bigint']);
+const NUMBER_TYPES = new Set(['numeric', 'real', 'double precision']);
+const TIMESTAMP_TYPES = new Set(['timestamp with time zone', 'timestamp without time zone']);
+const JSON_TYPES = new Set(['json', 'jsonb']);
+
+/**
+ * JSON columns whose sampled values are all arrays of record ids
+ * (one query per table; tables without json columns are skipped)
+ * @returns {Promise<Set<string>>} column names
+ */
+async function findLinkColumns(client, table) {
+  const columns = table.columnNames.filter(column => JSON_TYPES.has(table.columns[column].dataType));
+  if (columns.length === 0) {
+    return new Set();
+  }
+
+  const checks = columns.map((column, i) => `(
+    SELECT bool_and(jsonb_typeof(v) = 'array' AND v::text ~ '^\\[("rec[A-Za-z0-9]+"(, )?)*\\]$')
+      AND bool_or(v <> '[]'::jsonb)
+    FROM (
+      SELECT ${quoteIdent(column)}::jsonb AS v FROM ${table.sql}
+      WHERE ${quoteIdent(column)} IS NOT NULL LIMIT ${LINK_SAMPLE_SIZE}
+    ) sample
+  ) AS c${i}`);
+  const result = await client.query(`SELECT ${checks.join(', ')}`);
+
+  return new Set(columns.filter((column, i) => result.rows[0][`c${i}`] === true));
+}
+
+/**
+ * Guess the table a link column points at from its name
+ * (patient → patients, marker_link → markers, report_ids → reports)
+ */
+function linkedTableName(column, tableNames) {
+  const stem = column.replace(/_(id|ids|link|links)$/, '');
+  return [column, `${column}s`, stem, `${stem}s`].find(name => tableNames.has(name)) || null;
+}
+
+/**
+ * Airtable field type (and options) for a column
+ */
+function fieldType(table, column, linkColumns, tableNames) {
+  const { dataType, numericScale } = table.columns[column];
+
+  if (linkColumns.has(column)) {
+    const linkedTable = linkedTableName(column, tableNames);
+    return {
+      type: 'multipleRecordLinks',
+      options: {
+        linkedTableId: linkedTable ? metadataId('tbl', linkedTable) : null,
+        isReversed: false,
+        prefersSingleRecordLink: false
+      }
+    };
+  }
+  if (dataType === 'boolean') {
+    return { type: 'checkbox', options: { icon: 'check', color: 'greenBright' } };
+  }
+  if (INTEGER_TYPES.has(dataType)) {
+    return { type: 'number', options: { precision: 0 } };
+  }
+  if (NUMBER_TYPES.has(dataType)) {
+    return { type: 'number', options: { precision: numericScale === null ? 8 : Math.min(numericScale, 8) } };
+  }
+  if (dataType === 'date') {
+    return { type: 'date', options: { dateFormat: { name: 'iso', format: 'YYYY-MM-DD' } } };
+  }
+  if (TIMESTAMP_TYPES.has(dataType)) {
+    return {
+      type: 'dateTime',
+      options: {
+        dateFormat: { name: 'iso', format: 'YYYY-MM-DD' },
+        timeFormat: { name: '24hour', format: 'HH:mm' },
+        timeZone: 'utc'
+      }
+    };
+  }
+  if (dataType === 'ARRAY') {
+    return { type: 'multipleSelects', options: { choices: [] } };
+  }
+  if (JSON_TYPES.has(dataType)) {
+    return { type: 'multilineText' };
+  }
+  return { type: 'singleLineText' };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Models
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Table and column comments (the descriptions set through migrations.js)
+ * @param {TableSchema[]} tables
+ * @returns {Promise<Map<string, string>>} "table" or "table.column" → description
+ */
+async function loadDescriptions(client, tables) {
+  const result = await client.query(`
+    SELECT c.relname AS table_name, a.attname AS column_name, d.description
+    FROM pg_description d
+    JOIN pg_class c ON c.oid = d.objoid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    LEFT JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum = d.objsubid AND d.objsubid > 0
+    WHERE d.classoid = 'pg_class'::regclass
+      AND (n.nspname, c.relname) IN (SELECT * FROM unnest($1::text[], $2::text[]))
+  `, [tables.map(table => table.schema), tables.map(table => table.name)]);
+
+  const descriptions = new Map();
+  for (const row of result.rows) {
+    descriptions.set(row.column_name ? `${row.table_name}.${row.column_name}` : row.table_name, row.description);
+  }
+  return descriptions;
+}
+
+/**
+ * Airtable field model for a column
+ * @param {Object} context - { linkColumns, tableNames, descriptions }
+ */
+function fieldModel(table, column, { linkColumns, tableNames, descriptions }) {
+  const description = descriptions.get(`${table.name}.${column}`);
+  return {
+    id: table.fieldId(column),
+    name: table.fieldName(column),
+    ...(description ? { description } : {}),
+    ...fieldType(table, column, linkColumns, tableNames)
+  };
+}
+
+/**
+ * Airtable table model: fields the caller may see, plus the table's views
+ * @param {Object} context - { fieldAccess, tableNames, descriptions }
+ */
+async function tableModel(client, table, { fieldAccess, tableNames, descriptions }) {
+  const linkColumns = await findLinkColumns(client, table);
+  const fields = table.columnNames
+    .filter(column => !SYSTEM_COLUMNS.includes(column) && (!fieldAccess || fieldAccess.allows(column)))
+    .map(column => fieldModel(table, column, { linkColumns, tableNames, descriptions }));
+
+  const views = await listViews(client, table);
+  const description = descriptions.get(table.name);
+
+  return {
+    id: metadataId('tbl', table.name),
+    name: table.name,
+    ...(description ? { description } : {}),
+    primaryFieldId: fields.length > 0 ? fields[0].id : null,
+    fields,
+    views: views.map(view => ({ id: metadataId('viw', table.name, view.name), name: view.name, type: 'grid' }))
+  };
+}
+
+/**
+ * Context for describing a single table's model or one of its fields
+ */
+async function describeContext(client, table) {
+  const tableNames = new Set((await listTables(client)).map(candidate => candidate.name));
+  return { fieldAccess: null, tableNames, descriptions: await loadDescriptions(client, [table]) };
+}
+
+async function describeTable(client, table) {
+  return tableModel(client, table, await describeContext(client, table));
+}
+
+async function describeField(client, table, column) {
+  const context = await describeContext(client, table);
+  return fieldModel(table, column, { ...context, linkColumns: await findLinkColumns(client, table) });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Lookup
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Table by metadata id (tblXXXX) or name
+ * @returns {Promise<TableSchema>} (throws TABLE_NOT_FOUND)
+ */
+async function findTable(client, tableIdOrName) {
+  if (/^tbl[A-Za-z0-9]{14}$/.test(tableIdOrName)) {
+    const table = (await listTables(client)).find(candidate => metadataId('tbl', candidate.name) === tableIdOrName);
+    if (table) {
+      return table;
+    }
+  }
+  return getTableSchema(client, tableIdOrName);
+}
+
+/**
+ * Column by field id (fldXXXX), display name or column name
+ * @returns {string} column name (throws UNKNOWN_FIELD_NAME)
+ */
+function findField(table, fieldIdOrName) {
+  return table.column(fieldIdOrName);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Endpoints
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * GET /v0/meta/bases
+ * @param {Object} baseMap - Airtable base id → database name
+ * @param {Object} caller - Identity from auth.js; bases they have no access
+ *   to are left out
+ */
+function listBases(baseMap, caller) {
+  const bases = [];
+  for (const [id, database] of Object.entries(baseMap)) {
+    const permissionLevel = basePermissionLevel(caller, { database, baseId: id });
+    if (permissionLevel) {
+      bases.push({ id, name: database, permissionLevel });
+    }
+  }
+  return { bases };
+}
+
+/**
+ * GET /v0/meta/bases/{baseId}/tables
+ * @param {Object} client - pg client for the base's database
+ * @param {Object} caller - Identity from auth.js
+ * @param {Object} base - { database, baseId }
+ */
+async function listBaseTables(client, caller, { database, baseId }) {
+  const tables = await listTables(client);
+  const tableNames = new Set(tables.map(table => table.name));
+  const descriptions = await loadDescriptions(client, tables);
+  const result = [];
+
+  for (const table of tables) {
+    // Tables the caller can't read don't exist for them
+    let fieldAccess;
+    try {
+      ({ fieldAccess } = authorize(caller, { database, baseId, table: table.name, operations: ['read'] }));
+    } catch (error) {
+      continue;
+    }
+
+    result.push(await tableModel(client, table, { fieldAccess, tableNames, descriptions }));
+  }
+
+  return { tables: result };
+}
+
+module.exports = {
+  metadataId,
+  listBases,
+  listBaseTables,
+  describeTable,
+  describeField,
+  findTable,
+  findField
+};
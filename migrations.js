@@ -0,0 +1,393 @@
+/**
+ * Schema Changes
+ *
+ * The write side of the metadata API: create tables, add fields and rename
+ * or describe fields, as Airtable's
+ *
+ *   POST  /v0/meta/bases/{baseId}/tables
+ *   POST  /v0/meta/bases/{baseId}/tables/{tableIdOrName}/fields
+ *   PATCH /v0/meta/bases/{baseId}/tables/{tableIdOrName}/fields/{fieldIdOrName}
+ *
+ * New tables always get the id, airtable_record_id and airtable_created_time
+ * columns the record handlers rely on. Names are normalized the way record
+ * requests resolve them ("Risk Score" → risk_score); a name that differs
+ * from its column is kept as the field's display name in the fields table
+ * (schema.js), as is the field id of a renamed column. Descriptions are
+ * stored as Postgres comments. Renaming a field also renames it in the
+ * table's views, the links table and the audit history.
+ *
+ * Airtable field types map to column types:
+ *
+ *   singleLineText, multilineText, richText, email, url,
+ *   phoneNumber, singleSelect                     → text
+ *   multipleSelects                               → text[]
+ *   number                                        → bigint (precision 0),
+ *                                                   numeric(38, precision) or numeric
+ *   currency, percent, duration                   → numeric
+ *   rating                                        → integer
+ *   checkbox                                      → boolean
+ *   date                                          → date
+ *   dateTime                                      → timestamptz
+ *   multipleRecordLinks, multipleAttachments      → jsonb (arrays, default [])
+ *
+ * Every change is written to the migrations log (internalTable('migrations'))
+ * with the exact DDL. Callers run these inside a transaction, so a change
+ * and its log row commit or roll back together, and invalidate the schema
+ * cache (schema.js) once the transaction ends. Tables are read uncached here.
+ */
+
+const { AirtableError } = require('./airtable-error');
+const { quoteIdent } = require('./filter-formula');
+const { renameViewField } = require('./views');
+const { renameLinkField } = require('./links');
+const { renameAuditField } = require('./audit');
+const { DB_SCHEMAS, SYSTEM_COLUMNS, internalTable, loadTableSchema, normalizeName } = require('./schema');
+
+const MIGRATIONS_TABLE = internalTable('migrations');
+const FIELDS_TABLE = internalTable('fields');
+
+// Postgres truncates longer identifiers
+const MAX_NAME_LENGTH = 63;
+
+const TEXT_TYPES = ['singleLineText', 'multilineText', 'richText', 'email', 'url', 'phoneNumber', 'singleSelect'];
+
+function invalidRequest(message) {
+  return new AirtableError('INVALID_REQUEST_UNKNOWN', message, 422);
+}
+
+function invalidFieldType(type) {
+  return new AirtableError('INVALID_FIELD_TYPE', `Unsupported field type: ${JSON.stringify(type)}`, 422);
+}
+
+function duplicateFieldName(name) {
+  return new AirtableError('DUPLICATE_OR_EMPTY_FIELD_NAME', `Field "${name}" already exists or is empty`, 422);
+}
+
+/**
+ * SQL string literal (COMMENT ON doesn't take parameters)
+ */
+function quoteLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Column name for a new table or field name
+ */
+function columnName(name, kind) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw invalidRequest(`${kind} name is required`);
+  }
+  const normalized = normalizeName(name.trim());
+  if (Buffer.byteLength(normalized) > MAX_NAME_LENGTH) {
+    throw invalidRequest(`${kind} name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (normalized.startsWith('_airtable_')) {
+    throw invalidRequest(`${kind} name "${name}" is reserved`);
+  }
+  return normalized;
+}
+
+/**
+ * Column type for an Airtable field definition { type, options }
+ */
+function columnType(field) {
+  const { type, options = {} } = field;
+
+  if (TEXT_TYPES.includes(type)) {
+    return 'text';
+  }
+  switch (type) {
+    case 'multipleSelects':
+      return 'text[]';
+    case 'number': {
+      const precision = options.precision;
+      if (precision === undefined || precision === null) {
+        return 'numeric';
+      }
+      if (!Number.isInteger(precision) || precision < 0 || precision > 8) {
+        throw invalidRequest('number options.precision must be an integer from 0 to 8');
+      }
+      return precision === 0 ? 'bigint' : `numeric(38, ${precision})`;
+    }
+    case 'currency':
+    case 'percent':
+    case 'duration':
+      return 'numeric';
+    case 'rating':
+      return 'integer';
+    case 'checkbox':
+      return 'boolean';
+    case 'date':
+      return 'date';
+    case 'dateTime':
+      return 'timestamptz';
+    case 'multipleRecordLinks':
+    case 'multipleAttachments':
+      return `jsonb DEFAULT '[]'::jsonb`;
+    default:
+      throw invalidFieldType(type);
+  }
+}
+
+function checkDescription(description) {
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    throw invalidRequest('description must be a string');
+  }
+}
+
+function commentStatement(target, description) {
+  return `COMMENT ON ${target} IS ${description ? quoteLiteral(description) : 'NULL'}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Migrations log
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+      id bigserial PRIMARY KEY,
+      table_name text NOT NULL,
+      operation text NOT NULL,
+      statements text NOT NULL,
+      definition jsonb,
+      applied_by text,
+      applied_time timestamptz NOT NULL DEFAULT now()
+    )
+  `);
+}
+
+/**
+ * Run a change's DDL statements and log them
+ * @param {string} operation - create_table, create_field, update_field
+ * @param {Object} definition - The request body that asked for the change
+ */
+async function applyMigration(client, caller, tableName, operation, statements, definition) {
+  for (const statement of statements) {
+    await client.query(statement);
+  }
+
+  await ensureMigrationsTable(client);
+  await client.query(
+    `INSERT INTO ${MIGRATIONS_TABLE} (table_name, operation, statements, definition, applied_by) VALUES ($1, $2, $3, $4, $5)`,
+    [tableName, operation, statements.join(';\n'), JSON.stringify(definition), caller.id]
+  );
+
+  console.log(`[MIGRATION] ${operation} ${tableName}: ${statements.join('; ')}`);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Field names
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function ensureFieldsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${FIELDS_TABLE} (
+      table_name text NOT NULL,
+      column_name text NOT NULL,
+      field_id text UNIQUE,
+      display_name text,
+      PRIMARY KEY (table_name, column_name)
+    )
+  `);
+}
+
+/**
+ * Display name to keep for a field name, or null when the column says it
+ */
+function displayName(name, column) {
+  return name.trim() === column ? null : name.trim();
+}
+
+/**
+ * Record a column's field id and/or display name
+ * (nothing to record when both are the defaults)
+ */
+async function saveFieldName(client, tableName, column, { id = null, name = null }) {
+  await ensureFieldsTable(client);
+  await client.query(`DELETE FROM ${FIELDS_TABLE} WHERE table_name = $1 AND column_name = $2`, [tableName, column]);
+  if (id || name) {
+    await client.query(
+      `INSERT INTO ${FIELDS_TABLE} (table_name, column_name, field_id, display_name) VALUES ($1, $2, $3, $4)`,
+      [tableName, column, id, name]
+    );
+  }
+}
+
+/**
+ * Reject a display name another field of the table already uses
+ */
+function checkDisplayName(table, name, column) {
+  const existing = table.findColumn(name.trim());
+  if (existing && existing !== column) {
+    throw duplicateFieldName(name);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Changes
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Schema new tables go in: the first of DB_SCHEMAS that exists
+ */
+async function targetSchema(client) {
+  const result = await client.query(
+    'SELECT nspname FROM pg_namespace WHERE nspname = ANY($1::text[])',
+    [DB_SCHEMAS]
+  );
+  const existing = new Set(result.rows.map(row => row.nspname));
+  const schema = DB_SCHEMAS.find(name => existing.has(name));
+  if (!schema) {
+    throw new Error(`None of the schemas ${DB_SCHEMAS.join(', ')} exist`);
+  }
+  return schema;
+}
+
+/**
+ * Create a table
+ * @param {Object} definition - { name, description, fields: [{ name, type, description, options }] }
+ * @returns {Promise<TableSchema>} the new table
+ */
+async function createTable(client, caller, definition) {
+  const { name, description, fields } = definition;
+  const tableName = columnName(name, 'Table');
+  checkDescription(description);
+  if (!Array.isArray(fields) || fields.length === 0) {
+    throw invalidRequest('fields must list at least one field');
+  }
+
+  const exists = await loadTableSchema(client, tableName).then(() => true, (error) => {
+    if (error.error === 'TABLE_NOT_FOUND') return false;
+    throw error;
+  });
+  if (exists) {
+    throw new AirtableError('DUPLICATE_TABLE_NAME', `Table "${tableName}" already exists`, 422);
+  }
+
+  const table = `${quoteIdent(await targetSchema(client))}.${quoteIdent(tableName)}`;
+  const columns = [
+    'id serial PRIMARY KEY',
+    'airtable_record_id text NOT NULL UNIQUE',
+    'airtable_created_time timestamptz NOT NULL DEFAULT now()'
+  ];
+  const comments = description ? [commentStatement(`TABLE ${table}`, description)] : [];
+  const seen = new Set(SYSTEM_COLUMNS);
+  const names = [];
+
+  for (const field of fields) {
+    const column = columnName(field && field.name, 'Field');
+    if (seen.has(column) || seen.has(field.name.trim())) {
+      throw duplicateFieldName(field.name);
+    }
+    seen.add(column);
+    seen.add(field.name.trim());
+    checkDescription(field.description);
+    columns.push(`${quoteIdent(column)} ${columnType(field)}`);
+    if (field.description) {
+      comments.push(commentStatement(`COLUMN ${table}.${quoteIdent(column)}`, field.description));
+    }
+    if (displayName(field.name, column)) {
+      names.push([column, displayName(field.name, column)]);
+    }
+  }
+
+  const statements = [`CREATE TABLE ${table} (\n  ${columns.join(',\n  ')}\n)`, ...comments];
+  await applyMigration(client, caller, tableName, 'create_table', statements, definition);
+  for (const [column, name] of names) {
+    await saveFieldName(client, tableName, column, { name });
+  }
+  return loadTableSchema(client, tableName);
+}
+
+/**
+ * Add a field to a table
+ * @param {TableSchema} table
+ * @param {Object} definition - { name, type, description, options }
+ * @returns {Promise<{ table: TableSchema, column: string }>}
+ */
+async function createField(client, caller, table, definition) {
+  const column = columnName(definition.name, 'Field');
+  if (table.hasColumn(column) || SYSTEM_COLUMNS.includes(column)) {
+    throw duplicateFieldName(definition.name);
+  }
+  checkDisplayName(table, definition.name, column);
+  checkDescription(definition.description);
+
+  const target = `${table.sql}.${quoteIdent(column)}`;
+  const statements = [`ALTER TABLE ${table.sql} ADD COLUMN ${quoteIdent(column)} ${columnType(definition)}`];
+  if (definition.description) {
+    statements.push(commentStatement(`COLUMN ${target}`, definition.description));
+  }
+
+  await applyMigration(client, caller, table.name, 'create_field', statements, definition);
+  if (displayName(definition.name, column)) {
+    await saveFieldName(client, table.name, column, { name: displayName(definition.name, column) });
+  }
+  return { table: await loadTableSchema(client, table.name), column };
+}
+
+/**
+ * Move what refers to a column by name over to its new name
+ */
+async function renameFieldReferences(client, table, column, newColumn) {
+  await renameViewField(client, table, column, newColumn);
+  await renameLinkField(client, table, column, newColumn);
+  await renameAuditField(client, table, column, newColumn);
+}
+
+/**
+ * Rename a field and/or change its description
+ * @param {TableSchema} table
+ * @param {string} column - Existing column
+ * @param {Object} changes - { name, description }
+ * @returns {Promise<{ table: TableSchema, column: string }>}
+ */
+async function updateField(client, caller, table, column, changes) {
+  const { name, description } = changes;
+  if (name === undefined && description === undefined) {
+    throw invalidRequest('Nothing to update: send name and/or description');
+  }
+  if (SYSTEM_COLUMNS.includes(column)) {
+    throw invalidRequest(`Field "${column}" can't be changed`);
+  }
+  checkDescription(description);
+
+  const statements = [];
+  let newColumn = column;
+  if (name !== undefined) {
+    newColumn = columnName(name, 'Field');
+    if (newColumn !== column) {
+      if (table.hasColumn(newColumn) || SYSTEM_COLUMNS.includes(newColumn)) {
+        throw duplicateFieldName(name);
+      }
+      statements.push(`ALTER TABLE ${table.sql} RENAME COLUMN ${quoteIdent(column)} TO ${quoteIdent(newColumn)}`);
+    }
+    checkDisplayName(table, name, column);
+  }
+  if (description !== undefined) {
+    statements.push(commentStatement(`COLUMN ${table.sql}.${quoteIdent(newColumn)}`, description));
+  }
+
+  if (statements.length > 0 || name !== undefined) {
+    await applyMigration(client, caller, table.name, 'update_field', statements, { field: column, ...changes });
+  }
+  if (name !== undefined) {
+    // The field keeps its id across column renames
+    if (newColumn !== column) {
+      await saveFieldName(client, table.name, column, {});
+      await renameFieldReferences(client, table, column, newColumn);
+    }
+    await saveFieldName(client, table.name, newColumn, {
+      id: newColumn !== column ? table.fieldId(column) : (table.fieldNames.get(column) || {}).id,
+      name: displayName(name, newColumn)
+    });
+  }
+  return { table: await loadTableSchema(client, table.name), column: newColumn };
+}
+
+module.exports = {
+  createTable,
+  createField,
+  updateField
+};
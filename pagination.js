@@ -0,0 +1,195 @@
+/**
+ * Keyset Pagination Cursors
+ *
+ * List responses return an opaque Airtable-style `offset` token instead of a
+ * row count. The token carries the sort key values of the last row on the
+ * page, so the next page is fetched with a WHERE predicate rather than SQL
+ * OFFSET: inserts during paging can't shift rows between pages, and deep
+ * pages cost the same as the first one.
+ *
+ * Key values travel as Postgres text (col::text) and are cast back to the
+ * column's type when compared, so timestamps keep their microseconds and
+ * numerics their full precision.
+ *
+ * Tokens are HMAC-signed with OFFSET_TOKEN_SECRET, bound to the query they
+ * came from (table, filter and sort) and expire after
+ * OFFSET_TOKEN_TTL_SECONDS. Expired or mismatched tokens return
+ * LIST_RECORDS_ITERATOR_NOT_AVAILABLE, like Airtable. Without a configured
+ * secret each container signs with a random one, and a token only works in
+ * the container that issued it.
+ *
+ * Plain numeric offsets are still accepted (SQL OFFSET) for clients written
+ * against the old API.
+ */
+
+const crypto = require('crypto');
+const { AirtableError } = require('./airtable-error');
+const { quoteIdent } = require('./filter-formula');
+
+const OFFSET_TOKEN_SECRET = process.env.OFFSET_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.OFFSET_TOKEN_SECRET) {
+  console.warn('[PAGINATION] OFFSET_TOKEN_SECRET is not set: offset tokens are signed with a per-container key');
+}
+const OFFSET_TOKEN_TTL_SECONDS = parseInt(process.env.OFFSET_TOKEN_TTL_SECONDS) || 600;
+const TOKEN_PREFIX = 'itr';
+
+function iteratorNotAvailable() {
+  return new AirtableError(
+    'LIST_RECORDS_ITERATOR_NOT_AVAILABLE',
+    'The offset has expired or does not match this query. Restart listing from the first page.',
+    422
+  );
+}
+
+function invalidOffset(offset) {
+  return new AirtableError('INVALID_OFFSET_VALUE', `The value of offset ${offset} is invalid`, 422);
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', OFFSET_TOKEN_SECRET).update(payload).digest('base64url').slice(0, 22);
+}
+
+/**
+ * Fingerprint of everything that determines row order and membership
+ */
+function queryFingerprint(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('base64url').slice(0, 16);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Tokens
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * @param {Array} values - Sort key values of the last row on the page, as
+ *   text (extractKeyValues)
+ * @param {string} fingerprint - queryFingerprint() of the current query
+ */
+function encodeOffset(values, fingerprint) {
+  const payload = Buffer.from(JSON.stringify({
+    k: values.map(value => value === undefined ? null : value),
+    q: fingerprint,
+    t: Math.floor(Date.now() / 1000)
+  })).toString('base64url');
+  return `${TOKEN_PREFIX}${payload}.${sign(payload)}`;
+}
+
+/**
+ * Parse the offset query param
+ * @returns {{ type: 'none' } | { type: 'numeric', offset: number } | { type: 'keyset', values: Array }}
+ */
+function decodeOffset(offset, fingerprint, keyCount) {
+  if (offset === undefined || offset === null || offset === '') {
+    return { type: 'none' };
+  }
+  // e.g. a repeated offset query param
+  if (typeof offset !== 'string') {
+    throw invalidOffset(offset);
+  }
+
+  // Legacy numeric offsets (row count)
+  if (/^\d+$/.test(offset)) {
+    return { type: 'numeric', offset: parseInt(offset) };
+  }
+
+  if (!offset.startsWith(TOKEN_PREFIX) || !offset.includes('.')) {
+    throw invalidOffset(offset);
+  }
+
+  const [payload, signature] = offset.slice(TOKEN_PREFIX.length).split('.');
+  const expected = sign(payload);
+  if (!signature || signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw invalidOffset(offset);
+  }
+
+  let token;
+  try {
+    token = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (e) {
+    throw invalidOffset(offset);
+  }
+
+  const age = Math.floor(Date.now() / 1000) - token.t;
+  if (age > OFFSET_TOKEN_TTL_SECONDS || token.q !== fingerprint ||
+      !Array.isArray(token.k) || token.k.length !== keyCount) {
+    throw iteratorNotAvailable();
+  }
+
+  return { type: 'keyset', values: token.k };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Keyset predicate
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * WHERE condition selecting rows strictly after `values` in the order given
+ * by `keys` (as returned by TableSchema.resolveSort, which sorts NULLS LAST):
+ *
+ *   (k1 after v1) OR (k1 = v1 AND k2 after v2) OR ...
+ *
+ * Nothing non-null sorts after a NULL key, and NULLs sort after every value.
+ *
+ * @param {Array<{column: string, direction: string, type: string}>} keys
+ * @param {Array} values - One text value per key, cast back to the key's type
+ * @param {Array} params - Query params to append to
+ */
+function keysetCondition(keys, values, params) {
+  const param = (value, key) => {
+    params.push(value);
+    return `$${params.length}::${key.type}`;
+  };
+
+  const branches = keys.map((key, i) => {
+    const col = quoteIdent(key.column);
+    const value = values[i];
+    if (value === null) {
+      return null;
+    }
+
+    const equalities = keys.slice(0, i).map((prev, j) => values[j] === null
+      ? `${quoteIdent(prev.column)} IS NULL`
+      : `${quoteIdent(prev.column)} = ${param(values[j], prev)}`);
+
+    const op = key.direction === 'desc' ? '<' : '>';
+    const after = `(${col} ${op} ${param(value, key)} OR ${col} IS NULL)`;
+
+    return `(${[...equalities, after].join(' AND ')})`;
+  }).filter(Boolean);
+
+  return branches.length > 0 ? `(${branches.join(' OR ')})` : 'FALSE';
+}
+
+/**
+ * Aliased SELECT expressions for the sort keys, so the next token can be
+ * built even when fields[] leaves the sort columns out of the projection.
+ * Selected as text: a JS Date would cut timestamps to milliseconds and the
+ * next page would repeat or skip rows.
+ */
+const KEY_ALIAS_PREFIX = '__sort_key_';
+
+function keySelectList(keys) {
+  return keys.map((key, i) => `${quoteIdent(key.column)}::text AS ${quoteIdent(KEY_ALIAS_PREFIX + i)}`).join(', ');
+}
+
+/**
+ * Pull the aliased key values off a row (and remove them from it)
+ */
+function extractKeyValues(row, keyCount) {
+  const values = [];
+  for (let i = 0; i < keyCount; i++) {
+    values.push(row[KEY_ALIAS_PREFIX + i]);
+    delete row[KEY_ALIAS_PREFIX + i];
+  }
+  return values;
+}
+
+module.exports = {
+  encodeOffset,
+  decodeOffset,
+  queryFingerprint,
+  keysetCondition,
+  keySelectList,
+  extractKeyValues
+};
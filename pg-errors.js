@@ -0,0 +1,123 @@
+/**
+ * Postgres Error Mapping
+ *
+ * Turns pg errors into Airtable-style AirtableErrors by SQLSTATE, so clients
+ * get { error: { type, message } } with a meaningful status instead of a 500
+ * carrying the raw database message. Messages name the field involved but
+ * never echo values, constraint names or SQL.
+ *
+ *   23505 unique_violation          → INVALID_VALUE_FOR_COLUMN (422)
+ *   23502 not_null_violation        → INVALID_VALUE_FOR_COLUMN (422)
+ *   23503 foreign_key_violation     → ROW_DOES_NOT_EXIST (422)
+ *   23514 check_violation           → INVALID_VALUE_FOR_COLUMN (422)
+ *   22xxx data exceptions (22P02..) → INVALID_VALUE_FOR_COLUMN (422)
+ *   42703 undefined_column          → UNKNOWN_FIELD_NAME (422)
+ *   42P01 undefined_table           → TABLE_NOT_FOUND (404)
+ *   42P07 duplicate_table           → DUPLICATE_TABLE_NAME (422)
+ *   42701 duplicate_column          → DUPLICATE_OR_EMPTY_FIELD_NAME (422)
+ *   42501 insufficient_privilege    → NOT_AUTHORIZED (403)
+ *   40001 / 40P01 serialization     → CONFLICT (409, safe to retry)
+ *   57014 query_canceled            → TIMEOUT (503)
+ *
+ * Anything else (connection failures, bugs) is left as is and becomes a
+ * generic SERVER_ERROR in the handler.
+ */
+
+const { AirtableError } = require('./airtable-error');
+
+/**
+ * Column named in a pg error: the column field, or "Key (col)=(...)" in detail
+ */
+function errorColumn(error) {
+  if (error.column) {
+    return error.column;
+  }
+  const match = /^Key \(([^)]+)\)/.exec(error.detail || '');
+  return match ? match[1] : null;
+}
+
+function fieldPhrase(error) {
+  const column = errorColumn(error);
+  return column ? `Field "${column}"` : 'A field';
+}
+
+const SQLSTATE_MAP = {
+  '23505': error => new AirtableError(
+    'INVALID_VALUE_FOR_COLUMN',
+    `${fieldPhrase(error)} must be unique; a record with this value already exists`,
+    422
+  ),
+  '23502': error => new AirtableError(
+    'INVALID_VALUE_FOR_COLUMN',
+    `${fieldPhrase(error)} cannot be empty`,
+    422
+  ),
+  '23503': error => new AirtableError(
+    'ROW_DOES_NOT_EXIST',
+    `${fieldPhrase(error)} refers to a record that does not exist (or is still referenced)`,
+    422
+  ),
+  '23514': error => new AirtableError(
+    'INVALID_VALUE_FOR_COLUMN',
+    `${fieldPhrase(error)} cannot accept the provided value`,
+    422
+  ),
+  '42703': (error) => {
+    const match = /column "([^"]+)"/.exec(error.message);
+    return new AirtableError('UNKNOWN_FIELD_NAME', `Unknown field name: "${match ? match[1] : 'unknown'}"`, 422);
+  },
+  '42P01': (error) => {
+    const match = /relation "([^"]+)"/.exec(error.message);
+    return new AirtableError('TABLE_NOT_FOUND', `Could not find table ${match ? match[1] : ''} in this base`, 404);
+  },
+  '42P07': () => new AirtableError(
+    'DUPLICATE_TABLE_NAME',
+    'A table with this name already exists',
+    422
+  ),
+  '42701': () => new AirtableError(
+    'DUPLICATE_OR_EMPTY_FIELD_NAME',
+    'A field with this name already exists',
+    422
+  ),
+  '42501': () => new AirtableError(
+    'NOT_AUTHORIZED',
+    'You are not authorized to perform this operation',
+    403
+  ),
+  '40001': () => new AirtableError(
+    'CONFLICT',
+    'The record was changed by another request; please retry',
+    409
+  ),
+  '57014': () => new AirtableError(
+    'TIMEOUT',
+    'The request took too long to complete',
+    503
+  )
+};
+SQLSTATE_MAP['40P01'] = SQLSTATE_MAP['40001'];
+
+/**
+ * @param {Error} error - Anything thrown while handling a request
+ * @returns {Error} the mapped AirtableError, or the error unchanged
+ */
+function toAirtableError(error) {
+  if (error instanceof AirtableError || !error || typeof error.code !== 'string') {
+    return error;
+  }
+
+  const map = SQLSTATE_MAP[error.code];
+  if (map) {
+    return map(error);
+  }
+
+  // Remaining data exceptions: bad input syntax, out of range, too long, ...
+  if (error.code.startsWith('22')) {
+    return new AirtableError('INVALID_VALUE_FOR_COLUMN', `${fieldPhrase(error)} cannot accept the provided value`, 422);
+  }
+
+  return error;
+}
+
+module.exports = { toAirtableError };
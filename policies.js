@@ -0,0 +1,218 @@
+/**
+ * Permission Policies
+ *
+ * Declarative rules deciding what an authenticated caller (auth.js) may do.
+ * Rules are checked in order and the first one that matches the request
+ * decides; a request no rule matches is denied.
+ *
+ *   {
+ *     "effect": "allow" | "deny",
+ *     "roles": ["portal"],          // Cognito groups or API key service names; "*" = anyone
+ *     "bases": ["haq_scoring"],     // database names or Airtable base ids (omit = all)
+ *     "tables": ["reports"],        // omit = all
+ *     "operations": ["read"],       // read, create, update, delete, views, schema (omit = all)
+ *     "fields": ["report_id"],      // allow only: the only fields readable/writable
+ *     "deniedFields": ["notes"]     // allow only: fields hidden from the caller
+ *   }
+ *
+ * Rules come from POLICIES_FILE (path to a JSON array) or POLICIES (the JSON
+ * itself), falling back to DEFAULT_POLICIES below. Denials return Airtable's
+ * NOT_AUTHORIZED (403).
+ */
+
+const fs = require('fs');
+const { AirtableError } = require('./airtable-error');
+const { SYSTEM_COLUMNS, normalizeName } = require('./schema');
+
+const OPERATIONS = ['read', 'create', 'update', 'delete', 'views', 'schema'];
+const WRITE_OPERATIONS = ['create', 'update', 'delete'];
+
+const DEFAULT_POLICIES = [
+  // Admins can do anything
+  { effect: 'allow', roles: ['admin'] },
+  // Only admins write users
+  { effect: 'deny', roles: ['*'], tables: ['users'], operations: WRITE_OPERATIONS },
+  // The chat service is read-only on the ontology
+  { effect: 'deny', roles: ['chat'], bases: ['haq_ontology'], operations: WRITE_OPERATIONS },
+  // The portal can read reports but not delete them
+  { effect: 'deny', roles: ['portal'], tables: ['reports'], operations: ['delete'] },
+  // Only admins manage views and change the schema (metadata API)
+  { effect: 'deny', roles: ['*'], operations: ['views', 'schema'] },
+  { effect: 'allow', roles: ['*'] }
+];
+
+function notAuthorized(message = 'You are not authorized to perform this operation') {
+  return new AirtableError('NOT_AUTHORIZED', message, 403);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Loading
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function validateRule(rule, index) {
+  const where = `Policy rule ${index}`;
+  if (!rule || (rule.effect !== 'allow' && rule.effect !== 'deny')) {
+    throw new Error(`${where}: effect must be "allow" or "deny"`);
+  }
+  for (const key of ['roles', 'bases', 'tables', 'operations', 'fields', 'deniedFields']) {
+    if (rule[key] !== undefined && !Array.isArray(rule[key])) {
+      throw new Error(`${where}: ${key} must be an array`);
+    }
+  }
+  const unknown = (rule.operations || []).filter(op => op !== '*' && !OPERATIONS.includes(op));
+  if (unknown.length > 0) {
+    throw new Error(`${where}: unknown operation(s) ${unknown.join(', ')}`);
+  }
+  return rule;
+}
+
+function loadPolicies() {
+  let rules = DEFAULT_POLICIES;
+  if (process.env.POLICIES_FILE) {
+    rules = JSON.parse(fs.readFileSync(process.env.POLICIES_FILE, 'utf8'));
+  } else if (process.env.POLICIES) {
+    rules = JSON.parse(process.env.POLICIES);
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error('Policies must be a JSON array of rules');
+  }
+  return rules.map(validateRule);
+}
+
+// Loaded on first use so a bad config fails requests, not the cold start
+let policies = null;
+
+function getPolicies() {
+  if (!policies) {
+    policies = loadPolicies();
+  }
+  return policies;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Evaluation
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Names a caller's rules can refer to: Cognito groups for users,
+ * the service name for API keys
+ */
+function callerRoles(caller) {
+  return caller.type === 'service' ? [caller.service] : caller.groups;
+}
+
+function matches(list, ...values) {
+  return !list || list.includes('*') || values.some(value => list.includes(value));
+}
+
+/**
+ * Field restrictions of the matched allow rules, as used by TableSchema;
+ * a field must pass every rule (e.g. both create and update for an upsert)
+ */
+class FieldAccess {
+  constructor(rules) {
+    this.rules = rules
+      .filter(rule => rule.fields || rule.deniedFields)
+      .map(rule => ({
+        allowed: rule.fields ? new Set(rule.fields.map(normalizeName)) : null,
+        denied: new Set((rule.deniedFields || []).map(normalizeName))
+      }));
+  }
+
+  get restricted() {
+    return this.rules.length > 0;
+  }
+
+  allows(column) {
+    if (SYSTEM_COLUMNS.includes(column)) {
+      return true;
+    }
+    return this.rules.every(rule => (!rule.allowed || rule.allowed.has(column)) && !rule.denied.has(column));
+  }
+
+  deniedError(column) {
+    return notAuthorized(`You are not authorized to access field "${column}"`);
+  }
+}
+
+/**
+ * Check one or more operations against the policies
+ * @param {Object} caller - Identity from auth.js
+ * @param {Object} request
+ * @param {string} request.database - e.g. haq_scoring
+ * @param {string} request.baseId - e.g. appgiPT2PnR2JrVzI
+ * @param {string} request.table - Table name as sent
+ * @param {string[]} request.operations - All must be allowed (e.g. upsert = create + update)
+ * @returns {{ caller: Object, fieldAccess: FieldAccess|null }} (throws NOT_AUTHORIZED)
+ */
+function authorize(caller, { database, baseId, table, operations }) {
+  const roles = callerRoles(caller);
+  const tableName = normalizeName(table);
+  const matched = [];
+
+  for (const operation of operations) {
+    const rule = getPolicies().find(candidate =>
+      matches(candidate.roles, ...roles) &&
+      matches(candidate.bases, database, baseId) &&
+      matches(candidate.tables, tableName) &&
+      matches(candidate.operations, operation)
+    );
+
+    if (!rule || rule.effect === 'deny') {
+      console.warn(`[POLICY] Denied ${operation} on ${database}.${tableName} for ${caller.id}`);
+      throw notAuthorized();
+    }
+
+    matched.push(rule);
+  }
+
+  const fieldAccess = new FieldAccess(matched);
+  return { caller, fieldAccess: fieldAccess.restricted ? fieldAccess : null };
+}
+
+/**
+ * Whether the policies allow an operation on at least one table of a base
+ */
+function allowsAnyTable(caller, { database, baseId }, operation) {
+  const roles = callerRoles(caller);
+  const denied = new Set(); // tables an earlier rule denied
+
+  for (const rule of getPolicies()) {
+    if (!matches(rule.roles, ...roles) || !matches(rule.bases, database, baseId) || !matches(rule.operations, operation)) {
+      continue;
+    }
+    // A rule for every table decides for the rest of them
+    if (matches(rule.tables)) {
+      return rule.effect === 'allow';
+    }
+    const tables = rule.tables.map(normalizeName).filter(table => !denied.has(table));
+    if (rule.effect === 'allow' && tables.length > 0) {
+      return true;
+    }
+    tables.forEach(table => denied.add(table));
+  }
+  return false;
+}
+
+/**
+ * A caller's Airtable permission level on a base: 'create' if they may
+ * change its schema, 'edit' if they may write records of some table, 'read'
+ * if they may only read, or null for none
+ * @param {Object} base - { database, baseId }
+ */
+function basePermissionLevel(caller, base) {
+  if (allowsAnyTable(caller, base, 'schema')) {
+    return 'create';
+  }
+  if (WRITE_OPERATIONS.some(operation => allowsAnyTable(caller, base, operation))) {
+    return 'edit';
+  }
+  return allowsAnyTable(caller, base, 'read') ? 'read' : null;
+}
+
+module.exports = {
+  authorize,
+  basePermissionLevel,
+  notAuthorized,
+  DEFAULT_POLICIES
+};
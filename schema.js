@@ -0,0 +1,527 @@
+/**
+ * Live Schema Lookups
+ *
+ * Every table and column name that reaches SQL is checked against
+ * information_schema for the connected database, restricted to the schemas
+ * in DB_SCHEMAS. Names are never interpolated into SQL unless they were
+ * found here, so request bodies, sort params and {field} references in
+ * formulas can't smuggle in arbitrary identifiers.
+ *
+ * Errors are Airtable-style:
+ *   - unknown table → TABLE_NOT_FOUND (404)
+ *   - unknown field → UNKNOWN_FIELD_NAME (422)
+ *
+ * Tables the API keeps for itself (views, ...) live in INTERNAL_SCHEMA with
+ * an `_airtable_` prefix and are never exposed as record tables.
+ *
+ * Fields can also carry an Airtable display name and a stable field id
+ * (fldXXXX), mapped per table in internalTable('fields'):
+ *
+ *   table_name, column_name, field_id, display_name
+ *
+ * Columns without a row are named after the column and get an id hashed from
+ * the table and column names. Anywhere a field is named (reads, writes,
+ * formulas, sorts, fields[]) the column name, display name and field id are
+ * all accepted; records use the display name (or the id, with
+ * returnFieldsByFieldId).
+ *
+ * Lookups are cached per database for the life of the Lambda container
+ * (SchemaCache), so hot paths don't re-read information_schema on every
+ * call. Entries expire after SCHEMA_CACHE_TTL seconds; schema changes made
+ * through the metadata API invalidate them right away, changes made outside
+ * it show up once the TTL runs out (or after invalidateSchema).
+ */
+
+const crypto = require('crypto');
+const { AirtableError } = require('./airtable-error');
+const { quoteIdent } = require('./filter-formula');
+
+// Schema configuration - configurable via env var, no code changes needed if schema moves.
+// Order matters: if a table exists in several schemas the first one wins.
+const DB_SCHEMAS = (process.env.DB_SCHEMAS || 'scoring,public')
+  .split(',').map(s => s.trim()).filter(Boolean);
+
+// Columns every table carries for Airtable compatibility; always selected
+// because record ids, createdTime and pagination depend on them
+const SYSTEM_COLUMNS = ['id', 'airtable_record_id', 'airtable_created_time'];
+
+// Tables with this column soft-delete (soft-delete.js): deleting stamps it
+// and queries skip the rows it is set on
+const SOFT_DELETE_COLUMN = process.env.SOFT_DELETE_COLUMN || 'deleted_at';
+
+// Seconds a loaded table definition is reused; 0 turns the cache off
+const SCHEMA_CACHE_TTL = process.env.SCHEMA_CACHE_TTL !== undefined
+  ? parseInt(process.env.SCHEMA_CACHE_TTL) || 0
+  : 300;
+
+// API-owned tables (created on first use)
+const INTERNAL_SCHEMA = process.env.INTERNAL_SCHEMA || 'public';
+const INTERNAL_TABLE_PREFIX = '_airtable_';
+
+/**
+ * Normalize a table/field name the way the API always has
+ * (lowercase, anything else → underscore)
+ */
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9_]/g, '_');
+}
+
+function unknownFieldError(fieldName) {
+  return new AirtableError('UNKNOWN_FIELD_NAME', `Unknown field name: "${fieldName}"`, 422);
+}
+
+function invalidSortError(message) {
+  return new AirtableError('INVALID_REQUEST_UNKNOWN', message, 422);
+}
+
+function tableNotFoundError(tableName) {
+  return new AirtableError('TABLE_NOT_FOUND', `Could not find table ${tableName} in this base`, 404);
+}
+
+/**
+ * Quoted, schema-qualified name of an API-owned table, e.g. internalTable('views')
+ */
+function internalTable(name) {
+  return `${quoteIdent(INTERNAL_SCHEMA)}.${quoteIdent(INTERNAL_TABLE_PREFIX + name)}`;
+}
+
+/**
+ * Rows of a query against an internal table, or [] if the table hasn't been
+ * created yet. Existence is checked first: a failed query would abort the
+ * caller's transaction, and these reads happen inside one.
+ * @param {Object} client - pg client or pool
+ * @param {string} table - internalTable(...) name
+ */
+async function queryInternal(client, table, sql, params = []) {
+  const exists = await client.query('SELECT to_regclass($1) IS NOT NULL AS exists', [table]);
+  if (!exists.rows[0].exists) {
+    return [];
+  }
+  return (await client.query(sql, params)).rows;
+}
+
+const FIELDS_TABLE = internalTable('fields');
+
+const ID_ALPHABET = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+/**
+ * Stable Airtable-style id: prefix + 14 characters derived from the parts
+ * e.g. metadataId('fld', 'reports', 'report_id')
+ */
+function metadataId(prefix, ...parts) {
+  const hash = crypto.createHash('sha256').update(parts.join('\u0000')).digest();
+  let id = prefix;
+  for (let i = 0; i < 14; i++) {
+    id += ID_ALPHABET[hash[i] % ID_ALPHABET.length];
+  }
+  return id;
+}
+
+// information_schema.columns fields behind a TableSchema column
+const COLUMN_FIELDS = 'table_schema, column_name, data_type, udt_schema, udt_name, is_nullable, column_default, numeric_scale';
+
+function toColumn(row) {
+  return {
+    name: row.column_name,
+    dataType: row.data_type,
+    udtSchema: row.udt_schema,
+    udtName: row.udt_name,
+    nullable: row.is_nullable === 'YES',
+    defaultValue: row.column_default,
+    numericScale: row.numeric_scale === null ? null : Number(row.numeric_scale)
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Table schema
+// ═══════════════════════════════════════════════════════════════════════════════
+
+class TableSchema {
+  constructor(name, schema, columns, access = null, fieldNames = new Map()) {
+    this.name = name;
+    this.schema = schema;
+    this.columns = columns; // column_name → { name, dataType, udtSchema, udtName, nullable, defaultValue, numericScale }
+    this.fieldAccess = (access && access.fieldAccess) || null; // policies.js FieldAccess; null = unrestricted
+    this.tenant = (access && access.tenant) || null; // tenancy.js caller tenant; null = unscoped
+    this.fieldNames = fieldNames; // column_name → { id, name } from the fields table
+    this.tombstones = false; // true for soft-delete.js tombstones(): queries reach deleted rows only
+  }
+
+  /**
+   * Schema-qualified, quoted identifier for use in SQL
+   */
+  get sql() {
+    return `${quoteIdent(this.schema)}.${quoteIdent(this.name)}`;
+  }
+
+  get columnNames() {
+    return Object.keys(this.columns);
+  }
+
+  hasColumn(columnName) {
+    return Object.prototype.hasOwnProperty.call(this.columns, columnName);
+  }
+
+  /**
+   * SQL type of a column, for casting text back to it, e.g.
+   * "pg_catalog"."timestamptz"; schema-qualified, since enum and domain
+   * types may live outside the search_path
+   */
+  columnType(columnName) {
+    const { udtSchema, udtName } = this.columns[columnName];
+    const type = `${quoteIdent(udtSchema)}.${quoteIdent(udtName.replace(/^_/, ''))}`;
+    return udtName.startsWith('_') ? `${type}[]` : type;
+  }
+
+  /**
+   * Whether deleting leaves a tombstone instead of removing the row
+   */
+  get softDeletes() {
+    return this.hasColumn(SOFT_DELETE_COLUMN);
+  }
+
+  /**
+   * Condition skipping tombstoned rows (or, for tombstones(), selecting only
+   * them); null when the table doesn't soft-delete
+   */
+  tombstoneCondition() {
+    if (!this.softDeletes) {
+      return null;
+    }
+    return `${quoteIdent(SOFT_DELETE_COLUMN)} IS ${this.tombstones ? 'NOT NULL' : 'NULL'}`;
+  }
+
+  /**
+   * Whether the caller's policy lets them see/use a column
+   */
+  isVisible(columnName) {
+    return !this.fieldAccess || this.fieldAccess.allows(columnName);
+  }
+
+  /**
+   * Stable field id (fldXXXX) of a column
+   */
+  fieldId(column) {
+    const names = this.fieldNames.get(column);
+    return (names && names.id) || metadataId('fld', this.name, column);
+  }
+
+  /**
+   * Airtable display name of a column (the column name unless mapped)
+   */
+  fieldName(column) {
+    const names = this.fieldNames.get(column);
+    return (names && names.name) || column;
+  }
+
+  /**
+   * Key a column's value goes under in a record's fields
+   */
+  recordKey(column, returnFieldsByFieldId = false) {
+    return returnFieldsByFieldId ? this.fieldId(column) : this.fieldName(column);
+  }
+
+  /**
+   * Column a field name refers to, or null; no policy check
+   * Column name first, then field id, display name and the normalized form
+   * (e.g. "Report ID" → report_id)
+   */
+  findColumn(fieldName) {
+    if (typeof fieldName !== 'string') {
+      return null;
+    }
+    if (this.hasColumn(fieldName)) {
+      return fieldName;
+    }
+    for (const column of this.columnNames) {
+      if (fieldName === this.fieldId(column) || fieldName === this.fieldName(column)) {
+        return column;
+      }
+    }
+    return this.hasColumn(normalizeName(fieldName)) ? normalizeName(fieldName) : null;
+  }
+
+  /**
+   * Resolve a user-supplied field name (column, display name or field id)
+   * to a column name
+   * Columns hidden by the caller's policy are rejected with NOT_AUTHORIZED.
+   */
+  column(fieldName) {
+    const column = this.findColumn(fieldName);
+    if (!column) {
+      throw unknownFieldError(fieldName);
+    }
+    if (!this.isVisible(column)) {
+      throw this.fieldAccess.deniedError(column);
+    }
+    return column;
+  }
+
+  /**
+   * SELECT list for an optional field projection (Airtable fields[])
+   * @param {string[]} [fields] - Requested field names; empty/omitted → all columns
+   */
+  selectList(fields) {
+    if (!fields || fields.length === 0) {
+      return this.fieldAccess
+        ? this.columnNames.filter(column => this.isVisible(column)).map(quoteIdent).join(', ')
+        : '*';
+    }
+    const columns = new Set(SYSTEM_COLUMNS.filter(column => this.hasColumn(column)));
+    for (const field of fields) {
+      columns.add(this.column(field));
+    }
+    return [...columns].map(quoteIdent).join(', ');
+  }
+
+  /**
+   * Resolve Airtable sort specs to validated columns, with "id" appended as a
+   * stable tiebreaker so paging never reorders rows with equal sort keys
+   * @param {Array<{field: string, direction?: string}>} [sort]
+   * @returns {Array<{column: string, direction: string, type: string}>}
+   */
+  resolveSort(sort = []) {
+    if (!Array.isArray(sort)) {
+      throw invalidSortError('sort must be an array of { field, direction }');
+    }
+
+    const keys = sort.map((spec) => {
+      if (!spec || typeof spec !== 'object') {
+        throw invalidSortError('sort must be an array of { field, direction }');
+      }
+      const direction = typeof spec.direction === 'string' ? spec.direction.toLowerCase() : spec.direction || 'asc';
+      if (direction !== 'asc' && direction !== 'desc') {
+        throw invalidSortError(`Invalid sort direction: "${spec.direction}"`);
+      }
+      const column = this.column(spec.field);
+      return { column, direction, type: this.columnType(column) };
+    });
+
+    if (this.hasColumn('id') && !keys.some(key => key.column === 'id')) {
+      keys.push({ column: 'id', direction: 'asc', type: this.columnType('id') });
+    }
+    return keys;
+  }
+
+  /**
+   * ORDER BY clause shared by the REST handler and the adapter so both return
+   * rows in the same order (NULLS LAST on every key, like Airtable)
+   */
+  orderBy(sort) {
+    const keys = this.resolveSort(sort);
+    if (keys.length === 0) {
+      return '';
+    }
+    return 'ORDER BY ' + keys
+      .map(key => `${quoteIdent(key.column)} ${key.direction.toUpperCase()} NULLS LAST`)
+      .join(', ');
+  }
+}
+
+/**
+ * Field ids and display names from the fields table
+ * @param {string|null} [tableName] - One table, or null for all
+ * @returns {Promise<Map<string, Map>>} table name → (column → { id, name })
+ */
+async function loadFieldNames(client, tableName = null) {
+  const rows = await queryInternal(client, FIELDS_TABLE,
+    `SELECT table_name, column_name, field_id, display_name FROM ${FIELDS_TABLE}
+     WHERE $1::text IS NULL OR table_name = $1`,
+    [tableName]
+  );
+
+  const byTable = new Map();
+  for (const row of rows) {
+    if (!byTable.has(row.table_name)) {
+      byTable.set(row.table_name, new Map());
+    }
+    byTable.get(row.table_name).set(row.column_name, { id: row.field_id, name: row.display_name });
+  }
+  return byTable;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Schema cache
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const LIST_KEY = '\u0000tables';
+
+/**
+ * Loaded table definitions of one database, reused for `ttl` seconds
+ * Entries hold the pending load, so concurrent lookups share one query;
+ * failed loads (unknown tables included) are never kept.
+ */
+class SchemaCache {
+  constructor(ttl = SCHEMA_CACHE_TTL) {
+    this.ttl = ttl;
+    this.entries = new Map(); // table name (or LIST_KEY) → { value: Promise, expires }
+  }
+
+  get(key, load) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expires > Date.now()) {
+      return entry.value;
+    }
+
+    const value = load();
+    if (this.ttl > 0) {
+      this.entries.set(key, { value, expires: Date.now() + this.ttl * 1000 });
+      value.catch(() => {
+        if (this.entries.get(key) && this.entries.get(key).value === value) {
+          this.entries.delete(key);
+        }
+      });
+    }
+    return value;
+  }
+
+  /**
+   * Drop one table (and the table list), or everything
+   */
+  invalidate(tableName = null) {
+    if (tableName === null) {
+      this.entries.clear();
+    } else {
+      this.entries.delete(normalizeName(tableName));
+      this.entries.delete(LIST_KEY);
+    }
+  }
+}
+
+const schemaCaches = new Map(); // database → SchemaCache
+
+/**
+ * The container's schema cache for a database
+ */
+function schemaCache(database) {
+  const key = database || '';
+  if (!schemaCaches.has(key)) {
+    schemaCaches.set(key, new SchemaCache());
+  }
+  return schemaCaches.get(key);
+}
+
+/**
+ * Schema cache for the database a pg client is connected to
+ */
+function clientCache(client) {
+  return schemaCache(client.database || (client.options && client.options.database));
+}
+
+/**
+ * Forget cached definitions after a schema change
+ * @param {Object} client - pg client for the changed database
+ * @param {string} [tableName] - Changed table; omit to drop the whole database
+ */
+function invalidateSchema(client, tableName = null) {
+  clientCache(client).invalidate(tableName);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Loading
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Load a table's columns from information_schema (cached, see SchemaCache)
+ * @param {Object} client - pg client or pool
+ * @param {string} tableName - Table name as sent by the caller
+ * @param {Object} [access] - Caller's { fieldAccess, tenant } (policies.js, tenancy.js)
+ * @returns {Promise<TableSchema>}
+ */
+async function getTableSchema(client, tableName, access = null) {
+  const name = normalizeName(tableName);
+  if (name.startsWith(INTERNAL_TABLE_PREFIX)) {
+    throw tableNotFoundError(tableName);
+  }
+
+  const table = await clientCache(client).get(name, () => loadTableSchema(client, tableName));
+  return new TableSchema(table.name, table.schema, table.columns, access, table.fieldNames);
+}
+
+/**
+ * Load a table's columns, bypassing the cache
+ * Schema changes use this inside their transaction, where the cache
+ * (shared with other connections) can't be trusted or updated.
+ * @returns {Promise<TableSchema>} without caller access
+ */
+async function loadTableSchema(client, tableName) {
+  const name = normalizeName(tableName);
+  if (name.startsWith(INTERNAL_TABLE_PREFIX)) {
+    throw tableNotFoundError(tableName);
+  }
+
+  const result = await client.query(`
+    SELECT ${COLUMN_FIELDS}
+    FROM information_schema.columns
+    WHERE table_name = $1 AND table_schema = ANY($2::text[])
+    ORDER BY array_position($2::text[], table_schema::text), ordinal_position
+  `, [name, DB_SCHEMAS]);
+
+  if (result.rows.length === 0) {
+    throw tableNotFoundError(tableName);
+  }
+
+  const schema = result.rows[0].table_schema;
+  const columns = {};
+  for (const row of result.rows) {
+    if (row.table_schema !== schema) continue;
+    columns[row.column_name] = toColumn(row);
+  }
+
+  const fieldNames = (await loadFieldNames(client, name)).get(name);
+  return new TableSchema(name, schema, columns, null, fieldNames);
+}
+
+/**
+ * Load every record table of the connected database (metadata API)
+ * Same rules as getTableSchema: DB_SCHEMAS order decides which schema wins,
+ * and the API's own `_airtable_` tables are left out. Cached like
+ * getTableSchema.
+ * @returns {Promise<TableSchema[]>} sorted by name, without caller access
+ */
+async function listTables(client) {
+  return clientCache(client).get(LIST_KEY, () => loadTables(client));
+}
+
+async function loadTables(client) {
+  const result = await client.query(`
+    SELECT table_name, ${COLUMN_FIELDS}
+    FROM information_schema.columns
+    WHERE table_schema = ANY($1::text[]) AND left(table_name, ${INTERNAL_TABLE_PREFIX.length}) <> $2
+    ORDER BY table_name, array_position($1::text[], table_schema::text), ordinal_position
+  `, [DB_SCHEMAS, INTERNAL_TABLE_PREFIX]);
+
+  const fieldNames = await loadFieldNames(client);
+  const tables = new Map();
+  for (const row of result.rows) {
+    let table = tables.get(row.table_name);
+    if (!table) {
+      table = new TableSchema(row.table_name, row.table_schema, {}, null, fieldNames.get(row.table_name));
+      tables.set(row.table_name, table);
+    }
+    if (row.table_schema !== table.schema) continue;
+    table.columns[row.column_name] = toColumn(row);
+  }
+
+  return [...tables.values()];
+}
+
+module.exports = {
+  DB_SCHEMAS,
+  SYSTEM_COLUMNS,
+  SOFT_DELETE_COLUMN,
+  INTERNAL_SCHEMA,
+  internalTable,
+  queryInternal,
+  metadataId,
+  TableSchema,
+  SchemaCache,
+  schemaCache,
+  invalidateSchema,
+  getTableSchema,
+  loadTableSchema,
+  listTables,
+  normalizeName,
+  unknownFieldError,
+  tableNotFoundError
+};
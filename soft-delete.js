@@ -0,0 +1,173 @@
+/**
+ * Soft Delete
+ *
+ * Tables with a SOFT_DELETE_COLUMN (deleted_at, see schema.js) keep deleted
+ * records as tombstones: deleting sets deleted_at = now() instead of
+ * removing the row. Every query scoped through tenancy.js (lists, finds,
+ * formulas, linked record lookups, expands, updates, upserts) skips
+ * tombstones, so a deleted record behaves as missing; only an upsert whose
+ * key matches a tombstone is rejected (upsert.js). Soft delete is turned
+ * on per table by adding the column (e.g. a dateTime field named deleted_at
+ * through the metadata API); tables without it keep hard deletes.
+ *
+ * Tombstones can be listed (tombstones(table) scopes queries to them),
+ * restored, and purged: hard-deleted once they are older than a retention
+ * window (SOFT_DELETE_RETENTION_DAYS, default 30). Unique columns still
+ * count tombstones, so a deleted record's unique values stay taken until it
+ * is purged.
+ *
+ * deleted_at itself is read-only to creates and updates
+ * (withoutSoftDeleteField). Deletes and restores are audited as changes to
+ * deleted_at, purges with the row's last values (audit.js).
+ */
+
+const { AirtableError } = require('./airtable-error');
+const { quoteIdent } = require('./filter-formula');
+const { SOFT_DELETE_COLUMN } = require('./schema');
+const { scopeCondition } = require('./tenancy');
+
+const SOFT_DELETE_RETENTION_DAYS = parseInt(process.env.SOFT_DELETE_RETENTION_DAYS) || 30;
+
+function notSoftDeleting(table) {
+  return new AirtableError(
+    'INVALID_REQUEST_UNKNOWN',
+    `Table ${table.name} does not soft-delete records (it has no ${SOFT_DELETE_COLUMN} field)`,
+    422
+  );
+}
+
+/**
+ * The table with its queries scoped to tombstoned rows instead of live ones
+ * (throws for tables that don't soft-delete)
+ * @param {TableSchema} table
+ */
+function tombstones(table) {
+  if (!table.softDeletes) {
+    throw notSoftDeleting(table);
+  }
+  const view = Object.create(table);
+  view.tombstones = true;
+  return view;
+}
+
+/**
+ * Fields of a write with the soft-delete column removed: deleted_at only
+ * changes through delete, restore and purge, which are audited as such and
+ * need their own permissions. null is dropped (clients send back a live
+ * record's fields); any other value is rejected.
+ */
+function withoutSoftDeleteField(table, fields) {
+  if (!table.softDeletes) {
+    return fields;
+  }
+  const result = {};
+  for (const [field, value] of Object.entries(fields)) {
+    if (table.findColumn(field) === SOFT_DELETE_COLUMN) {
+      if (value !== null && value !== undefined) {
+        throw new AirtableError(
+          'INVALID_VALUE_FOR_COLUMN',
+          `Field "${field}" can't be written: delete or restore the record instead`,
+          422
+        );
+      }
+      continue;
+    }
+    result[field] = value;
+  }
+  return result;
+}
+
+/**
+ * Delete the caller's rows matching `condition`: a tombstone on soft-delete
+ * tables, a DELETE otherwise
+ * e.g. deleteRows(client, table, '"airtable_record_id" = ANY($1)', [ids], audit)
+ * @param {AuditLog} [audit] - Logs each deletion (audit.js)
+ * @returns {Promise<Object[]>} The deleted rows
+ */
+async function deleteRows(client, table, condition, params, audit = null) {
+  const where = scopeCondition(table, condition, params);
+
+  if (!table.softDeletes) {
+    const result = await client.query(`DELETE FROM ${table.sql} WHERE ${where} RETURNING *`, params);
+    if (audit) {
+      await audit.deleted(table, result.rows);
+    }
+    return result.rows;
+  }
+
+  const result = await client.query(
+    `UPDATE ${table.sql} SET ${quoteIdent(SOFT_DELETE_COLUMN)} = now() WHERE ${where} RETURNING *`,
+    params
+  );
+  if (audit) {
+    for (const row of result.rows) {
+      await audit.updated(table, { ...row, [SOFT_DELETE_COLUMN]: null }, row, 'delete');
+    }
+  }
+  return result.rows;
+}
+
+/**
+ * Bring tombstoned records back
+ * @param {string[]} recordIds
+ * @param {AuditLog} [audit] - Logs each restore (audit.js)
+ * @returns {Promise<Object[]>} The restored rows; ids that aren't (the
+ *   caller's) tombstones are left out
+ */
+async function restoreRows(client, table, recordIds, audit = null) {
+  const params = [recordIds];
+  const where = scopeCondition(tombstones(table), '"airtable_record_id" = ANY($1)', params);
+
+  // Read first (and lock) so the audit entry has the deletion time
+  const current = await client.query(`SELECT * FROM ${table.sql} WHERE ${where} FOR UPDATE`, params);
+  if (current.rows.length === 0) {
+    return [];
+  }
+
+  const result = await client.query(
+    `UPDATE ${table.sql} SET ${quoteIdent(SOFT_DELETE_COLUMN)} = NULL WHERE "id" = ANY($1) RETURNING *`,
+    [current.rows.map(row => row.id)]
+  );
+  if (audit) {
+    const before = new Map(current.rows.map(row => [row.id, row]));
+    for (const row of result.rows) {
+      await audit.updated(table, before.get(row.id), row, 'restore');
+    }
+  }
+  return result.rows;
+}
+
+/**
+ * Hard-delete the caller's tombstones older than the retention window
+ * @param {number} [olderThanDays] - Defaults to SOFT_DELETE_RETENTION_DAYS
+ * @param {AuditLog} [audit] - Logs each purged row (audit.js)
+ * @returns {Promise<Object[]>} The purged rows
+ */
+async function purgeTombstones(client, table, olderThanDays = SOFT_DELETE_RETENTION_DAYS, audit = null) {
+  if (!Number.isInteger(olderThanDays) || olderThanDays < 0) {
+    throw new AirtableError('INVALID_REQUEST_UNKNOWN', 'olderThanDays must be a non-negative integer', 422);
+  }
+
+  const params = [olderThanDays];
+  const where = scopeCondition(
+    tombstones(table),
+    `${quoteIdent(SOFT_DELETE_COLUMN)} < now() - $1::int * interval '1 day'`,
+    params
+  );
+  const result = await client.query(`DELETE FROM ${table.sql} WHERE ${where} RETURNING *`, params);
+
+  if (audit) {
+    await audit.deleted(table, result.rows, 'purge');
+  }
+  console.log(`[PURGE] ${table.name}: ${result.rows.length} tombstones older than ${olderThanDays} days`);
+  return result.rows;
+}
+
+module.exports = {
+  SOFT_DELETE_RETENTION_DAYS,
+  tombstones,
+  withoutSoftDeleteField,
+  deleteRows,
+  restoreRows,
+  purgeTombstones
+};
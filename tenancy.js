@@ -0,0 +1,164 @@
+/**
+ * Tenant Scoping
+ *
+ * Partners share the haq_scoring tables. Any table with a TENANT_COLUMN
+ * (partner_id) is tenant-scoped: for a partner caller the server limits
+ * every list, find, update, delete and linked-record lookup to rows of the
+ * caller's partner, and stamps the partner on every create. Isolation no
+ * longer depends on the frontend sending the right filterByFormula.
+ *
+ * partner_id holds a JSON array of partner ids, e.g. ["P1"] (the Airtable
+ * link field it was migrated from); a row belongs to a partner when the
+ * column is the bare id or an array containing it, as the old formula
+ * matched. Created rows are stamped as an array too.
+ *
+ * The partner comes from the TENANT_CLAIM of the caller's Cognito token.
+ * Service API keys and TENANT_EXEMPT_ROLES (Cognito groups) are unscoped;
+ * any other user without the claim can't touch tenant-scoped tables.
+ *
+ * A TableSchema carries the tenant it was loaded for (getTableSchema's
+ * access argument), so the helpers below only need the table.
+ */
+
+const { AirtableError } = require('./airtable-error');
+const { quoteIdent } = require('./filter-formula');
+
+const TENANT_COLUMN = process.env.TENANT_COLUMN || 'partner_id';
+const TENANT_CLAIM = process.env.TENANT_CLAIM || 'custom:partner_id';
+const TENANT_EXEMPT_ROLES = (process.env.TENANT_EXEMPT_ROLES || 'admin')
+  .split(',').map(s => s.trim()).filter(Boolean);
+
+function tenantError(message) {
+  return new AirtableError('NOT_AUTHORIZED', message, 403);
+}
+
+/**
+ * Tenant for a caller identity (auth.js)
+ * @returns {{ column: string, partnerId: string|null }|null} null = unscoped
+ */
+function callerTenant(caller) {
+  if (caller.type === 'service' || caller.groups.some(group => TENANT_EXEMPT_ROLES.includes(group))) {
+    return null;
+  }
+  const partnerId = caller.claims[TENANT_CLAIM];
+  return { column: TENANT_COLUMN, partnerId: partnerId ? String(partnerId) : null };
+}
+
+/**
+ * Tenant of a table load, if the table is tenant-scoped for it
+ */
+function activeTenant(table) {
+  const tenant = table.tenant;
+  if (!tenant || !table.hasColumn(tenant.column)) {
+    return null;
+  }
+  if (!tenant.partnerId) {
+    throw tenantError(`You are not authorized to access table ${table.name}: no partner in token`);
+  }
+  return tenant;
+}
+
+/**
+ * Stored form of a partner id
+ */
+function storedTenant(partnerId) {
+  return JSON.stringify([partnerId]);
+}
+
+/**
+ * Condition matching a text expression holding a partner: the bare id, or
+ * a JSON array with the id as an element
+ * @param {string} expression - SQL text expression, e.g. '"partner_id"::text'
+ * @param {string} partnerId
+ * @param {Array} params - Query params to append to
+ */
+function tenantMatch(expression, partnerId, params) {
+  params.push(partnerId);
+  const exact = `${expression} = $${params.length}`;
+  params.push(`%${JSON.stringify(partnerId).replace(/[\\%_]/g, '\\$&')}%`);
+  return `(${exact} OR ${expression} LIKE $${params.length})`;
+}
+
+/**
+ * WHERE condition limiting a query to the caller's rows, or null
+ * @param {TableSchema} table
+ * @param {Array} params - Query params to append to
+ */
+function tenantCondition(table, params) {
+  const tenant = activeTenant(table);
+  if (!tenant) {
+    return null;
+  }
+  return tenantMatch(`${quoteIdent(tenant.column)}::text`, tenant.partnerId, params);
+}
+
+/**
+ * `condition` AND-ed with the tenant condition (if the table is scoped) and
+ * the tombstone condition (if it soft-deletes, see soft-delete.js)
+ * e.g. scopeCondition(table, '"airtable_record_id" = $1', params)
+ */
+function scopeCondition(table, condition, params) {
+  const scope = [tenantCondition(table, params), table.tombstoneCondition()].filter(Boolean);
+  return scope.length > 0 ? `(${condition}) AND ${scope.join(' AND ')}` : condition;
+}
+
+/**
+ * Whether a written tenant value is just the caller's partner: the bare id,
+ * [id] or its JSON text
+ */
+function isOwnTenant(value, partnerId) {
+  if (typeof value === 'string' && value.startsWith('[')) {
+    try {
+      value = JSON.parse(value);
+    } catch (e) {
+      return false;
+    }
+  }
+  if (Array.isArray(value)) {
+    return value.length === 1 && String(value[0]) === partnerId;
+  }
+  return String(value) === partnerId;
+}
+
+/**
+ * Fields of a write with the tenant column removed. Callers may send their
+ * own partner id (existing frontends do); any other value is rejected.
+ * Creates then add it back with tenantStamp().
+ */
+function withoutTenantField(table, fields) {
+  const tenant = activeTenant(table);
+  if (!tenant) {
+    return fields;
+  }
+  const result = {};
+  for (const [field, value] of Object.entries(fields)) {
+    if (table.findColumn(field) === tenant.column) {
+      if (value !== null && value !== undefined && !isOwnTenant(value, tenant.partnerId)) {
+        throw tenantError('You are not authorized to write records for another partner');
+      }
+      continue;
+    }
+    result[field] = value;
+  }
+  return result;
+}
+
+/**
+ * Column/value every created row must carry, or null
+ * @returns {{ column: string, value: string, partnerId: string }|null}
+ *   value is the stored form (a JSON array)
+ */
+function tenantStamp(table) {
+  const tenant = activeTenant(table);
+  return tenant ? { column: tenant.column, value: storedTenant(tenant.partnerId), partnerId: tenant.partnerId } : null;
+}
+
+module.exports = {
+  TENANT_COLUMN,
+  callerTenant,
+  tenantMatch,
+  tenantCondition,
+  scopeCondition,
+  withoutTenantField,
+  tenantStamp
+};
@@ -0,0 +1,128 @@
+process.env.OFFSET_TOKEN_SECRET = 'test-secret';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, testConfig, testPool } = require('./db');
+
+// Paging, callbacks and record methods of the SDK-like interface
+describe('adapter in Postgres', { skip: skipWithoutDatabase }, () => {
+  const TABLE = 'test_adapter_reports';
+  let pool, adapter, reports;
+
+  before(async () => {
+    const { AirtablePostgresAdapter } = require('../airtable-postgres-adapter');
+    pool = testPool();
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE}`);
+    await pool.query(`
+      CREATE TABLE ${TABLE} (
+        id serial PRIMARY KEY,
+        airtable_record_id text NOT NULL UNIQUE,
+        airtable_created_time timestamptz NOT NULL DEFAULT now(),
+        report_id text,
+        measured_at timestamptz,
+        score numeric,
+        total numeric,
+        counter bigint,
+        notes text DEFAULT 'none'
+      )
+    `);
+    const config = testConfig();
+    adapter = new AirtablePostgresAdapter(config, config.database);
+    reports = () => adapter.base()(TABLE);
+  });
+
+  after(async () => {
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE}`);
+    await pool.end();
+    await adapter.close();
+  });
+
+  // Five rows a microsecond apart, inserted out of order
+  async function reset() {
+    await pool.query(`TRUNCATE ${TABLE}`);
+    await pool.query(`
+      INSERT INTO ${TABLE} (airtable_record_id, report_id, measured_at, score)
+      SELECT 'rec' || i, 'R-' || i, timestamptz '2026-01-01 00:00:00.5' + i * interval '1 microsecond', i
+      FROM unnest(ARRAY[3, 1, 5, 2, 4]) i
+    `);
+  }
+
+  it('pages through records with eachPage', async () => {
+    await reset();
+    const pages = [];
+    await reports().select({ pageSize: 2, sort: [{ field: 'measured_at', direction: 'desc' }] }).eachPage((records, fetchNextPage) => {
+      pages.push(records.map(record => record.get('report_id')).join(','));
+      fetchNextPage();
+    });
+    assert.deepEqual(pages, ['R-5,R-4', 'R-3,R-2', 'R-1']);
+
+    const capped = await reports().select({ pageSize: 2, maxRecords: 3, sort: [{ field: 'measured_at' }] }).all();
+    assert.deepEqual(capped.map(record => record.get('report_id')), ['R-1', 'R-2', 'R-3']);
+  });
+
+  it('stops paging when fetchNextPage isn\'t called, and reports errors to done', async () => {
+    await reset();
+    const seen = await new Promise((resolve, reject) => {
+      const pages = [];
+      reports().select({ pageSize: 2 }).eachPage((records) => {
+        pages.push(records.length);
+        resolve(pages);
+      }, reject);
+    });
+    assert.deepEqual(seen, [2]);
+
+    const error = await new Promise((resolve) => {
+      reports().select({ sort: [{ field: 'missing' }] }).eachPage(() => assert.fail('paged'), resolve);
+    });
+    assert.equal(error.statusCode, 422);
+  });
+
+  it('takes SDK-style callbacks', async () => {
+    await reset();
+    const record = await new Promise((resolve, reject) => {
+      reports().find('rec2', (err, found) => (err ? reject(err) : resolve(found)));
+    });
+    assert.equal(record.get('report_id'), 'R-2');
+
+    const error = await new Promise((resolve) => reports().find('recMissing', resolve));
+    assert.equal(error.statusCode, 404);
+  });
+
+  it('updates, replaces, reloads and deletes through record methods', async () => {
+    await reset();
+    const record = await reports().find('rec1');
+
+    await record.patchUpdate({ notes: 'checked' });
+    assert.equal(record.get('notes'), 'checked');
+    assert.equal(record.get('report_id'), 'R-1');
+
+    record.set('score', 7);
+    await record.save();
+    assert.equal((await reports().find('rec1')).get('score'), 7);
+
+    await record.replaceFields({ report_id: 'R-1b' });
+    assert.equal(record.get('score'), null);
+    assert.equal(record.get('notes'), 'none');
+
+    await pool.query(`UPDATE ${TABLE} SET score = 9 WHERE airtable_record_id = 'rec1'`);
+    await record.fetch();
+    assert.equal(record.get('score'), 9);
+
+    await record.destroy();
+    await assert.rejects(reports().find('rec1'), { statusCode: 404 });
+  });
+
+  it('saves numbers too big for JS back unchanged', async () => {
+    await reset();
+    const huge = `1${'0'.repeat(400)}`;
+    await pool.query(`UPDATE ${TABLE} SET counter = 9007199254740993, total = $1 WHERE airtable_record_id = 'rec2'`, [huge]);
+
+    const record = await reports().find('rec2');
+    assert.equal(record.get('counter'), '9007199254740993');
+    record.set('notes', 'saved');
+    await record.save();
+
+    const stored = await pool.query(`SELECT counter::text, total::text, notes FROM ${TABLE} WHERE airtable_record_id = 'rec2'`);
+    assert.deepEqual(stored.rows[0], { counter: '9007199254740993', total: huge, notes: 'saved' });
+  });
+});
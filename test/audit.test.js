@@ -0,0 +1,133 @@
+process.env.AUDIT_READ_TABLES = 'test_audit_patients';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ensureAuditTable, AuditLog } = require('../audit');
+const { skipWithoutDatabase, testConfig, testPool } = require('./db');
+
+// Records every statement; fails the ones matching failure.pattern
+function fakeClient(failure = null) {
+  const statements = [];
+  return {
+    statements,
+    async query(sql) {
+      statements.push(sql);
+      if (failure && failure.pattern.test(sql)) {
+        throw Object.assign(new Error(failure.message), { code: failure.code });
+      }
+      return { rows: [] };
+    }
+  };
+}
+
+const reports = {
+  name: 'test_audit_reports',
+  columns: { report_id: { dataType: 'text' }, score: { dataType: 'numeric' } },
+  hasColumn: column => column !== 'partner_id'
+};
+
+describe('AuditLog', () => {
+  it('only inserts into the audit table', async () => {
+    const client = fakeClient();
+    const audit = new AuditLog(client, 'user-1');
+    const row = { id: 1, airtable_record_id: 'recA', report_id: 'R-1', score: '2' };
+
+    await audit.created(reports, row);
+    await audit.updated(reports, row, { ...row, score: '3' });
+    await audit.deleted(reports, [row]);
+    await audit.read({ ...reports, name: 'test_audit_patients' }, [row]);
+
+    assert.equal(client.statements.length, 4);
+    for (const sql of client.statements) {
+      assert.match(sql.trim(), /^INSERT INTO "public"\."_airtable_audit"/);
+    }
+  });
+
+  it('skips updates that change nothing and reads of unlisted tables', async () => {
+    const client = fakeClient();
+    const audit = new AuditLog(client, 'user-1');
+    const row = { id: 1, airtable_record_id: 'recA', report_id: 'R-1', score: '2' };
+
+    await audit.updated(reports, row, { ...row });
+    await audit.read(reports, [row]);
+    assert.deepEqual(client.statements, []);
+  });
+});
+
+describe('ensureAuditTable', () => {
+  it('creates the table once per database', async () => {
+    const pool = fakeClient();
+    await Promise.all([ensureAuditTable(pool, 'audit_once'), ensureAuditTable(pool, 'audit_once')]);
+    await ensureAuditTable(pool, 'audit_once');
+    assert.equal(pool.statements.length, 2);
+    assert.match(pool.statements[0], /CREATE TABLE IF NOT EXISTS/);
+    assert.match(pool.statements[1], /CREATE INDEX IF NOT EXISTS/);
+  });
+
+  it('tolerates losing the creation race to another container', async () => {
+    const pool = fakeClient({ pattern: /CREATE TABLE/, code: '23505', message: 'duplicate key value' });
+    await ensureAuditTable(pool, 'audit_race');
+    assert.equal(pool.statements.length, 2);
+  });
+
+  it('retries after a failure', async () => {
+    const pool = fakeClient({ pattern: /CREATE TABLE/, code: '42501', message: 'permission denied' });
+    await assert.rejects(ensureAuditTable(pool, 'audit_retry'), /permission denied/);
+    await assert.rejects(ensureAuditTable(pool, 'audit_retry'), /permission denied/);
+    assert.equal(pool.statements.length, 2);
+  });
+});
+
+// Concurrent writes through the adapter, each audited in its own transaction
+describe('audited writes in Postgres', { skip: skipWithoutDatabase }, () => {
+  const TABLE = 'test_audit_reports';
+  let pool, adapter;
+
+  before(async () => {
+    const { AirtablePostgresAdapter } = require('../airtable-postgres-adapter');
+    pool = testPool();
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE}`);
+    await pool.query(`
+      CREATE TABLE ${TABLE} (
+        id serial PRIMARY KEY,
+        airtable_record_id text NOT NULL UNIQUE,
+        airtable_created_time timestamptz NOT NULL DEFAULT now(),
+        report_id text,
+        score numeric
+      )
+    `);
+    const config = testConfig();
+    adapter = new AirtablePostgresAdapter(config, config.database);
+    // Entries left by an earlier run
+    await ensureAuditTable(adapter.pool, adapter.database);
+    await pool.query('DELETE FROM public._airtable_audit WHERE table_name = $1', [TABLE]);
+  });
+
+  after(async () => {
+    await pool.query('DELETE FROM public._airtable_audit WHERE table_name = $1', [TABLE]);
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE}`);
+    await pool.end();
+    await adapter.close();
+  });
+
+  async function entries(action) {
+    const result = await pool.query(
+      'SELECT record_id FROM public._airtable_audit WHERE table_name = $1 AND action = $2',
+      [TABLE, action]
+    );
+    return result.rows.map(row => row.record_id).sort();
+  }
+
+  it('logs every one of many concurrent creates and updates', async () => {
+    const base = adapter.asActor('test-user');
+    const created = await Promise.all([1, 2, 3, 4, 5, 6].map(i => base(TABLE).create({ report_id: `R-${i}`, score: i })));
+    const ids = created.map(record => record.id).sort();
+    assert.deepEqual(await entries('create'), ids);
+
+    await Promise.all(created.map(record => base(TABLE).update(record.id, { score: 10 })));
+    assert.deepEqual(await entries('update'), ids);
+
+    const actors = await pool.query('SELECT DISTINCT actor FROM public._airtable_audit WHERE table_name = $1', [TABLE]);
+    assert.deepEqual(actors.rows, [{ actor: 'test-user' }]);
+  });
+});
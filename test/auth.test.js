@@ -0,0 +1,175 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ISSUER = 'https://issuer.test/pool';
+const AUDIENCE = 'portal-client';
+
+/**
+ * Fresh auth module with the given env: auth.js reads its configuration
+ * once, at load
+ */
+function loadAuth(env) {
+  const saved = {};
+  for (const [name, value] of Object.entries(env)) {
+    saved[name] = process.env[name];
+    process.env[name] = value;
+  }
+  try {
+    delete require.cache[require.resolve('../auth')];
+    return require('../auth');
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  }
+}
+
+function bearer(token) {
+  return { headers: { Authorization: `Bearer ${token}` } };
+}
+
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function signJwt(claims, { key, kid = 'test-key', alg = 'RS256' }) {
+  const signed = `${base64url({ alg, kid, typ: 'JWT' })}.${base64url(claims)}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(signed), key).toString('base64url');
+  return `${signed}.${signature}`;
+}
+
+async function authError(auth, event) {
+  try {
+    await auth.authenticate(event);
+  } catch (error) {
+    return error;
+  }
+  assert.fail('authenticated');
+}
+
+describe('API keys', () => {
+  const auth = loadAuth({ API_KEYS: 'scoring-lambda:k1, portal-sync : k2', JWT_AUDIENCE: AUDIENCE });
+
+  it('identify the calling service', async () => {
+    assert.deepEqual(await auth.authenticate(bearer('k1')), {
+      type: 'service',
+      id: 'service:scoring-lambda',
+      service: 'scoring-lambda',
+      groups: []
+    });
+    assert.equal((await auth.authenticate(bearer('k2'))).service, 'portal-sync');
+  });
+
+  it('reject unknown keys and missing headers with 401', async () => {
+    for (const event of [bearer('k3'), bearer('scoring-lambda:k1'), {}, { headers: { Authorization: 'k1' } }]) {
+      const error = await authError(auth, event);
+      assert.equal(error.error, 'AUTHENTICATION_REQUIRED');
+      assert.equal(error.statusCode, 401);
+    }
+  });
+
+  it('fail to load with a malformed API_KEYS entry', () => {
+    for (const API_KEYS of ['scoring-lambda:k1,k2', 'scoring-lambda:', ':k1']) {
+      assert.throws(() => loadAuth({ API_KEYS, JWT_AUDIENCE: AUDIENCE }), /API_KEYS entry \d is not in the form service:key/, API_KEYS);
+    }
+  });
+});
+
+describe('configuration', () => {
+  it('fails to load without JWT_AUDIENCE', () => {
+    for (const JWT_AUDIENCE of ['', ' , ']) {
+      assert.throws(() => loadAuth({ JWT_AUDIENCE, API_KEYS: '' }), /JWT_AUDIENCE must list the app client ids/);
+    }
+  });
+});
+
+describe('JWTs', () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwksFile = path.join(os.tmpdir(), `auth-test-jwks-${process.pid}.json`);
+  const now = Math.floor(Date.now() / 1000);
+  const claims = {
+    sub: 'user-1',
+    iss: ISSUER,
+    aud: AUDIENCE,
+    exp: now + 300,
+    token_use: 'id',
+    'cognito:username': 'clinician',
+    'cognito:groups': ['partner-a']
+  };
+  let auth;
+
+  before(() => {
+    fs.writeFileSync(jwksFile, JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key' }] }));
+    auth = loadAuth({ JWKS_URI: jwksFile, JWT_ISSUER: ISSUER, JWT_AUDIENCE: AUDIENCE, API_KEYS: '' });
+  });
+
+  after(() => {
+    fs.unlinkSync(jwksFile);
+  });
+
+  it('identify the user', async () => {
+    const identity = await auth.authenticate(bearer(signJwt(claims, { key: privateKey })));
+    assert.equal(identity.type, 'user');
+    assert.equal(identity.id, 'user-1');
+    assert.equal(identity.username, 'clinician');
+    assert.deepEqual(identity.groups, ['partner-a']);
+  });
+
+  it('reject invalid tokens with 401', async () => {
+    const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const tokens = {
+      'bad signature': signJwt(claims, { key: otherKey }),
+      'wrong issuer': signJwt({ ...claims, iss: 'https://issuer.test/other' }, { key: privateKey }),
+      'expired': signJwt({ ...claims, exp: now - 3600 }, { key: privateKey }),
+      'not yet valid': signJwt({ ...claims, nbf: now + 3600 }, { key: privateKey }),
+      'wrong audience': signJwt({ ...claims, aud: 'other-client' }, { key: privateKey }),
+      'wrong token_use': signJwt({ ...claims, token_use: 'refresh' }, { key: privateKey }),
+      'unknown signing key': signJwt(claims, { key: privateKey, kid: 'rotated-away' }),
+      'unsupported algorithm': signJwt(claims, { key: privateKey, alg: 'HS256' })
+    };
+
+    for (const [name, token] of Object.entries(tokens)) {
+      const error = await authError(auth, bearer(token));
+      assert.equal(error.error, 'AUTHENTICATION_REQUIRED', name);
+      assert.equal(error.statusCode, 401, name);
+      assert.ok(error.message.includes(name), `${name}: ${error.message}`);
+    }
+  });
+
+  it('check access tokens against client_id', async () => {
+    const token = signJwt({ ...claims, aud: undefined, token_use: 'access', client_id: AUDIENCE }, { key: privateKey });
+    assert.equal((await auth.authenticate(bearer(token))).id, 'user-1');
+  });
+
+  it('keep the cached keys, and wait before retrying, when the JWKS can\'t be refetched', async () => {
+    const { publicKey: rotatedPublic, privateKey: rotatedKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const later = { ...claims, exp: now + 3 * 3600 };
+    const errors = mock.method(console, 'error', () => {});
+    const clock = mock.method(Date, 'now', () => (now + 2 * 3600) * 1000);
+    try {
+      // Cache expired, refetch fails: the cached key still verifies
+      fs.writeFileSync(jwksFile, 'unavailable');
+      assert.equal((await auth.authenticate(bearer(signJwt(later, { key: privateKey })))).id, 'user-1');
+      assert.equal(errors.mock.callCount(), 1);
+
+      // Rotated while backing off: not refetched yet
+      fs.writeFileSync(jwksFile, JSON.stringify({ keys: [{ ...rotatedPublic.export({ format: 'jwk' }), kid: 'rotated' }] }));
+      const rotated = signJwt(later, { key: rotatedKey, kid: 'rotated' });
+      assert.match((await authError(auth, bearer(rotated))).message, /unknown signing key/);
+
+      clock.mock.mockImplementation(() => (now + 2 * 3600 + 61) * 1000);
+      assert.equal((await auth.authenticate(bearer(rotated))).id, 'user-1');
+      assert.equal(errors.mock.callCount(), 1);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+});
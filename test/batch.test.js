@@ -0,0 +1,78 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, testConfig, testPool } = require('./db');
+
+// Array forms of create, update and destroy: one transaction per batch
+describe('batch writes in Postgres', { skip: skipWithoutDatabase }, () => {
+  const TABLE = 'test_batch_reports';
+  let pool, adapter, reports;
+
+  before(async () => {
+    const { AirtablePostgresAdapter } = require('../airtable-postgres-adapter');
+    pool = testPool();
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE}`);
+    await pool.query(`
+      CREATE TABLE ${TABLE} (
+        id serial PRIMARY KEY,
+        airtable_record_id text NOT NULL UNIQUE,
+        airtable_created_time timestamptz NOT NULL DEFAULT now(),
+        report_id text UNIQUE,
+        status text
+      )
+    `);
+    const config = testConfig();
+    adapter = new AirtablePostgresAdapter(config, config.database);
+    reports = () => adapter.base()(TABLE);
+  });
+
+  after(async () => {
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE}`);
+    await pool.end();
+    await adapter.close();
+  });
+
+  async function reset() {
+    await pool.query(`TRUNCATE ${TABLE}`);
+    await pool.query(`INSERT INTO ${TABLE} (airtable_record_id, report_id, status) VALUES ('rec1', 'R-1', 'new'), ('rec2', 'R-2', 'new')`);
+  }
+
+  async function statuses() {
+    const result = await pool.query(`SELECT report_id, status FROM ${TABLE} ORDER BY report_id`);
+    return result.rows.map(row => `${row.report_id}:${row.status}`).join(',');
+  }
+
+  it('creates a batch of records, or none of them', async () => {
+    await reset();
+    const created = await reports().create([{ fields: { report_id: 'R-3' } }, { fields: { report_id: 'R-4', status: 'new' } }]);
+    assert.equal(created.length, 2);
+    assert.deepEqual(created.map(record => record.get('report_id')), ['R-3', 'R-4']);
+    assert.match(created[0].id, /^rec[A-Za-z0-9]{14}$/);
+
+    await assert.rejects(reports().create([{ fields: { report_id: 'R-5' } }, { fields: { report_id: 'R-1' } }]));
+    assert.equal(await statuses(), 'R-1:new,R-2:new,R-3:null,R-4:new');
+
+    const single = await reports().create({ report_id: 'R-6' });
+    assert.equal(single.get('report_id'), 'R-6');
+  });
+
+  it('updates a batch of records, or none of them', async () => {
+    await reset();
+    const updated = await reports().update([{ id: 'rec1', fields: { status: 'done' } }, { id: 'rec2', fields: { status: 'open' } }]);
+    assert.deepEqual(updated.map(record => record.get('status')), ['done', 'open']);
+
+    await assert.rejects(reports().update([{ id: 'rec1', fields: { status: 'new' } }, { id: 'recMissing', fields: { status: 'new' } }]), /recMissing/);
+    assert.equal(await statuses(), 'R-1:done,R-2:open');
+
+    const single = await reports().update('rec2', { status: 'closed' });
+    assert.equal(single.get('status'), 'closed');
+  });
+
+  it('deletes a batch of records, or none of them', async () => {
+    await reset();
+    await assert.rejects(reports().destroy(['rec1', 'recMissing']), /recMissing/);
+    assert.equal(await statuses(), 'R-1:new,R-2:new');
+
+    assert.deepEqual(await reports().destroy(['rec1', 'rec2']), [{ id: 'rec1', deleted: true }, { id: 'rec2', deleted: true }]);
+    assert.equal(await statuses(), '');
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * Test database
+ *
+ * Tests that need Postgres run against TEST_DATABASE_URL, e.g.
+ *
+ *   TEST_DATABASE_URL=postgres://postgres@localhost:5432/airtable_test npm test
+ *
+ * and are skipped when it isn't set. Each test file creates (and drops) its
+ * own tables, prefixed with the file's name, so files can run in parallel.
+ */
+
+const { Pool } = require('pg');
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+// node:test `skip` option: false, or the reason to skip
+const skipWithoutDatabase = TEST_DATABASE_URL ? false : 'TEST_DATABASE_URL is not set';
+
+/**
+ * Connection config for pg / AirtablePostgresAdapter
+ * @returns {{ connectionString: string, database: string }}
+ */
+function testConfig() {
+  return {
+    connectionString: TEST_DATABASE_URL,
+    database: new URL(TEST_DATABASE_URL).pathname.slice(1)
+  };
+}
+
+function testPool() {
+  return new Pool(testConfig());
+}
+
+module.exports = {
+  skipWithoutDatabase,
+  testConfig,
+  testPool
+};
@@ -0,0 +1,105 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseExpand, expandRows, MAX_EXPAND_DEPTH } = require('../expand');
+const { LinkResolver } = require('../links');
+const { getTableSchema } = require('../schema');
+const { skipWithoutDatabase, testConfig, testPool } = require('./db');
+
+describe('parseExpand', () => {
+  it('normalizes names, dotted paths and objects, merging shared fields', () => {
+    assert.deepEqual(parseExpand(['patient', 'patient.physician', { field: 'marker', fields: ['name'] }]), [
+      { field: 'patient', fields: [], expand: [{ field: 'physician', fields: [], expand: [] }] },
+      { field: 'marker', fields: ['name'], expand: [] }
+    ]);
+  });
+
+  it('rejects malformed specs and deep nesting with 422', () => {
+    const tooDeep = Array.from({ length: MAX_EXPAND_DEPTH + 1 }, (_, i) => `link${i}`).join('.');
+    for (const specs of ['patient', [''], [{ field: 'patient', fields: 'name' }], [42], [tooDeep]]) {
+      assert.throws(() => parseExpand(specs), { error: 'INVALID_REQUEST_UNKNOWN', statusCode: 422 }, JSON.stringify(specs));
+    }
+  });
+});
+
+// Links by foreign key and by naming convention (test_expand_physician_links
+// → test_expand_physicians); both look records up by <table>_id
+describe('expanding linked records in Postgres', { skip: skipWithoutDatabase }, () => {
+  let pool, adapter;
+
+  before(async () => {
+    const { AirtablePostgresAdapter } = require('../airtable-postgres-adapter');
+    pool = testPool();
+    await pool.query('DROP TABLE IF EXISTS test_expand_visits, test_expand_patients, test_expand_physicians');
+    await pool.query(`
+      CREATE TABLE test_expand_physicians (
+        id serial PRIMARY KEY,
+        airtable_record_id text NOT NULL UNIQUE,
+        airtable_created_time timestamptz NOT NULL DEFAULT now(),
+        test_expand_physician_id text,
+        name text
+      );
+      CREATE TABLE test_expand_patients (
+        id serial PRIMARY KEY,
+        airtable_record_id text NOT NULL UNIQUE,
+        airtable_created_time timestamptz NOT NULL DEFAULT now(),
+        test_expand_patient_id text,
+        name text,
+        test_expand_physician_links jsonb
+      );
+      CREATE TABLE test_expand_visits (
+        id serial PRIMARY KEY,
+        airtable_record_id text NOT NULL UNIQUE,
+        airtable_created_time timestamptz NOT NULL DEFAULT now(),
+        visit_id text,
+        patient text REFERENCES test_expand_patients (airtable_record_id),
+        patient_ref integer REFERENCES test_expand_patients (id)
+      );
+      INSERT INTO test_expand_physicians (airtable_record_id, test_expand_physician_id, name) VALUES
+        ('recDocA', 'D-1', 'Dr A'), ('recDocB', 'D-2', 'Dr B');
+      INSERT INTO test_expand_patients (id, airtable_record_id, name, test_expand_physician_links) VALUES
+        (1, 'recPatA', 'Ann', '["recDocB", "recGone", "recDocA"]'), (2, 'recPatB', 'Bob', NULL);
+      INSERT INTO test_expand_visits (airtable_record_id, visit_id, patient, patient_ref) VALUES
+        ('recVisit1', 'V-1', 'recPatA', 1), ('recVisit2', 'V-2', 'recPatB', 2), ('recVisit3', 'V-3', NULL, NULL);
+    `);
+    const config = testConfig();
+    adapter = new AirtablePostgresAdapter(config, config.database);
+  });
+
+  after(async () => {
+    await pool.query('DROP TABLE IF EXISTS test_expand_visits, test_expand_patients, test_expand_physicians');
+    await pool.end();
+    await adapter.close();
+  });
+
+  it('embeds linked records, nested, in link order', async () => {
+    const visits = await adapter.base()('test_expand_visits')
+      .select({ expand: ['patient.test_expand_physician_links'], sort: [{ field: 'visit_id' }] })
+      .all();
+
+    const [ann] = visits[0].expanded.patient;
+    assert.equal(ann.get('name'), 'Ann');
+    assert.deepEqual(ann.expanded.test_expand_physician_links.map(doctor => doctor.get('name')), ['Dr B', 'Dr A']);
+    assert.equal(visits[1].expanded.patient[0].get('name'), 'Bob');
+    assert.deepEqual(visits[1].expanded.patient[0].expanded.test_expand_physician_links, []);
+    assert.deepEqual(visits[2].expanded.patient, []);
+  });
+
+  it('rejects fields that aren\'t links', async () => {
+    await assert.rejects(
+      adapter.base()('test_expand_visits').select({ expand: ['visit_id'] }).all(),
+      { statusCode: 422 }
+    );
+  });
+
+  it('skips stored keys the key column can\'t hold', async () => {
+    const visits = await getTableSchema(pool, 'test_expand_visits');
+    const rows = [{ patient_ref: 'P-1' }, { patient_ref: 2 }, { patient_ref: '99999999999' }];
+    const expanded = await expandRows(rows, visits, parseExpand(['patient_ref']), {
+      client: pool,
+      links: new LinkResolver(pool),
+      accessFor: () => null,
+      toRecord: row => row.name
+    });
+    assert.deepEqual(expanded, [{ patient_ref: [] }, { patient_ref: ['Bob'] }, { patient_ref: [] }]);
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { fromColumnValue, toColumnValue } = require('../field-types');
+
+function column(dataType) {
+  return { name: 'field', dataType };
+}
+
+describe('fromColumnValue', () => {
+  it('returns numbers, keeping bigints a JS number can\'t hold as strings', () => {
+    assert.equal(fromColumnValue(column('numeric'), '12.50'), 12.5);
+    assert.equal(fromColumnValue(column('bigint'), '42'), 42);
+    assert.equal(fromColumnValue(column('bigint'), '9007199254740993'), '9007199254740993');
+  });
+
+  it('returns dates as calendar dates and timestamps as ISO strings', () => {
+    assert.equal(fromColumnValue(column('date'), new Date(2026, 0, 5)), '2026-01-05');
+    assert.equal(fromColumnValue(column('timestamp with time zone'), new Date('2026-01-05T10:00:00Z')), '2026-01-05T10:00:00.000Z');
+  });
+
+  it('passes other values and unknown columns through', () => {
+    assert.deepEqual(fromColumnValue(column('jsonb'), ['recA']), ['recA']);
+    assert.equal(fromColumnValue(undefined, 'text'), 'text');
+    assert.equal(fromColumnValue(column('text'), undefined), null);
+  });
+});
+
+describe('toColumnValue', () => {
+  it('accepts values of the column type as they are', () => {
+    assert.equal(toColumnValue(column('boolean'), false), false);
+    assert.equal(toColumnValue(column('integer'), 7), 7);
+    assert.equal(toColumnValue(column('date'), '2026-01-05'), '2026-01-05');
+    assert.deepEqual(toColumnValue(column('ARRAY'), ['a']), ['a']);
+    assert.equal(toColumnValue(column('text'), 42), 42);
+    assert.equal(toColumnValue(column('integer'), null), null);
+  });
+
+  it('stores JSON as text, keeping strings that already hold JSON', () => {
+    assert.equal(toColumnValue(column('jsonb'), { score: 1 }), '{"score":1}');
+    assert.equal(toColumnValue(column('jsonb'), '["recA"]'), '["recA"]');
+    assert.equal(toColumnValue(column('jsonb'), 'plain'), '"plain"');
+    assert.equal(toColumnValue(column('text'), ['a', 'b']), '["a","b"]');
+  });
+
+  it('coerces strings to the column type with typecast', () => {
+    assert.equal(toColumnValue(column('integer'), ' 42 ', true), 42);
+    assert.equal(toColumnValue(column('double precision'), '1,234.5', true), 1234.5);
+    assert.equal(toColumnValue(column('boolean'), 'Yes', true), true);
+    assert.equal(toColumnValue(column('boolean'), 0, true), false);
+    assert.equal(toColumnValue(column('date'), 'January 5, 2026 12:00 UTC', true), '2026-01-05');
+    assert.deepEqual(toColumnValue(column('ARRAY'), 'a', true), ['a']);
+  });
+
+  it('keeps every digit of bigint and numeric strings with typecast', () => {
+    assert.equal(toColumnValue(column('bigint'), '9007199254740993', true), '9007199254740993');
+    assert.equal(toColumnValue(column('bigint'), '12.00', true), '12');
+    assert.equal(toColumnValue(column('numeric'), '0.1000000000000000001', true), '0.1000000000000000001');
+    assert.equal(toColumnValue(column('numeric'), `1${'0'.repeat(400)}`, true), `1${'0'.repeat(400)}`);
+    assert.equal(toColumnValue(column('integer'), '12.0', true), 12);
+  });
+
+  it('accepts bigint and numeric strings as they are read, without typecast', () => {
+    assert.equal(toColumnValue(column('bigint'), '9007199254740993'), '9007199254740993');
+    assert.equal(toColumnValue(column('numeric'), `1${'0'.repeat(400)}`), `1${'0'.repeat(400)}`);
+    assert.throws(() => toColumnValue(column('bigint'), '42'), { error: 'INVALID_VALUE_FOR_COLUMN' });
+    assert.throws(() => toColumnValue(column('numeric'), '1.5'), { error: 'INVALID_VALUE_FOR_COLUMN' });
+  });
+
+  it('rejects values the column can\'t hold with INVALID_VALUE_FOR_COLUMN', () => {
+    const invalid = [
+      ['integer', '42', false],
+      ['integer', 4.5, true],
+      ['integer', '99999999999', true],
+      ['smallint', 40000, false],
+      ['bigint', '9223372036854775808', true],
+      ['numeric', 'many', true],
+      ['boolean', 'maybe', true],
+      ['date', 'soon', true],
+      ['date', 'January 5, 2026', false],
+      ['ARRAY', 'a', false],
+      ['ARRAY', { a: 1 }, true]
+    ];
+    for (const [dataType, value, typecast] of invalid) {
+      assert.throws(() => toColumnValue(column(dataType), value, typecast),
+        { error: 'INVALID_VALUE_FOR_COLUMN', statusCode: 422 }, `${dataType} ${JSON.stringify(value)}`);
+    }
+  });
+});
@@ -0,0 +1,146 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { compileFormula, parseFormula } = require('../filter-formula');
+const { AirtableError } = require('../airtable-error');
+const { skipWithoutDatabase, testPool } = require('./db');
+
+async function compileError(formula, options) {
+  try {
+    await compileFormula(formula, options);
+  } catch (error) {
+    return error;
+  }
+  assert.fail(`${formula} compiled`);
+}
+
+describe('compileFormula', () => {
+  it('compiles an empty formula to no condition', async () => {
+    assert.deepEqual(await compileFormula(''), { sql: '', params: [] });
+    assert.deepEqual(await compileFormula('   '), { sql: '', params: [] });
+  });
+
+  it('binds every literal as a param', async () => {
+    const { sql, params } = await compileFormula(`{name} = "x'; DROP TABLE reports; --"`);
+    assert.ok(!sql.includes('DROP TABLE'));
+    assert.ok(params.includes("x'; DROP TABLE reports; --"));
+  });
+
+  it('quotes field names as identifiers', async () => {
+    const { sql } = await compileFormula('{risk "score"} > 1');
+    assert.ok(sql.includes('"risk ""score"""'));
+  });
+
+  it('continues $n numbering after existing params', async () => {
+    const { sql, params } = await compileFormula("{a} = 'x'", { params: ['tenant'] });
+    assert.equal(params[0], 'tenant');
+    assert.ok(!sql.includes('$1'));
+    assert.ok(sql.includes('$2'));
+  });
+
+  it('resolves fields through resolveField', async () => {
+    const { sql } = await compileFormula('{Risk Score} > 1', { resolveField: () => 'risk_score' });
+    assert.ok(sql.includes('"risk_score"'));
+  });
+
+  it('passes resolveField errors through', async () => {
+    const resolveField = (name) => {
+      throw new AirtableError('UNKNOWN_FIELD_NAME', `Unknown field name: "${name}"`, 422);
+    };
+    const error = await compileError('{nope} = 1', { resolveField });
+    assert.equal(error.error, 'UNKNOWN_FIELD_NAME');
+  });
+
+  it('rejects malformed formulas with INVALID_FILTER_BY_FORMULA', async () => {
+    for (const formula of ['AND(', "{a} = 'x", '{a} ==', '{a} = 1)', 'UNKNOWNFN(1)']) {
+      const error = await compileError(formula);
+      assert.equal(error.error, 'INVALID_FILTER_BY_FORMULA', formula);
+      assert.equal(error.statusCode, 422, formula);
+    }
+  });
+
+  it('parses operator precedence', () => {
+    const ast = parseFormula('{a} >= 2 + 3 * 4');
+    assert.equal(ast.op, '>=');
+    assert.equal(ast.right.op, '+');
+    assert.equal(ast.right.right.op, '*');
+  });
+});
+
+// Formulas evaluated by Postgres against known rows
+describe('compiled formulas in Postgres', { skip: skipWithoutDatabase }, () => {
+  const TABLE = 'test_filter_formula';
+  let pool;
+
+  before(async () => {
+    pool = testPool();
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE}`);
+    await pool.query(`CREATE TABLE ${TABLE} (name text, status text, score numeric, done boolean, due date, tags jsonb)`);
+    await pool.query(`
+      INSERT INTO ${TABLE} VALUES
+        ('a', 'active', 10, true, '2026-01-10', '["x", "y"]'),
+        ('b', 'Active', 2, false, '2026-03-01', '["y"]'),
+        ('c', 'archived', NULL, NULL, NULL, '[]'),
+        ('d', NULL, 7.5, true, '2025-12-31', NULL)
+    `);
+  });
+
+  after(async () => {
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE}`);
+    await pool.end();
+  });
+
+  async function matching(formula) {
+    const { sql, params } = await compileFormula(formula);
+    const result = await pool.query(`SELECT name FROM ${TABLE} WHERE ${sql} ORDER BY name`, params);
+    return result.rows.map(row => row.name).join(',');
+  }
+
+  it('compares text exactly', async () => {
+    assert.equal(await matching("{status} = 'active'"), 'a');
+    assert.equal(await matching("{status} != 'active'"), 'b,c,d');
+  });
+
+  it('compares numbers numerically', async () => {
+    assert.equal(await matching('{score} > 5'), 'a,d');
+    assert.equal(await matching('{score} >= 1 + 3 * 2'), 'a,d');
+    assert.equal(await matching("{score} < '3'"), 'b');
+  });
+
+  it('combines with AND, OR and NOT', async () => {
+    assert.equal(await matching('AND({done}, {score} > 8)'), 'a');
+    assert.equal(await matching("OR({status} = 'archived', NOT({done}))"), 'b,c');
+    assert.equal(await matching("AND(OR({score} = 2, {score} = 10), NOT({status} = 'Active'))"), 'a');
+  });
+
+  it('treats empty values as blank', async () => {
+    assert.equal(await matching('{score} = BLANK()'), 'c');
+    assert.equal(await matching('{tags} = BLANK()'), 'c,d');
+    assert.equal(await matching('{status}'), 'a,b,c');
+  });
+
+  it('matches linked-record style arrays by element', async () => {
+    assert.equal(await matching("{tags} = 'y'"), 'a,b');
+  });
+
+  it('evaluates text functions', async () => {
+    assert.equal(await matching("LOWER({status}) = 'active'"), 'a,b');
+    assert.equal(await matching("UPPER({name}) = 'B'"), 'b');
+    assert.equal(await matching("FIND('chi', {status})"), 'c');
+    assert.equal(await matching("SEARCH('ACT', {status})"), 'a,b');
+    assert.equal(await matching('LEN({status}) > 6'), 'c');
+  });
+
+  it('evaluates IF, XOR and VALUE', async () => {
+    assert.equal(await matching("IF({done}, {score} > 8, {status} = 'archived')"), 'a,c');
+    assert.equal(await matching('XOR({done}, {score} > 5)'), '');
+    assert.equal(await matching("VALUE('7.5') = {score}"), 'd');
+  });
+
+  it('evaluates date functions', async () => {
+    assert.equal(await matching("IS_BEFORE({due}, '2026-01-01')"), 'd');
+    assert.equal(await matching("IS_AFTER({due}, '2026-01-10')"), 'b');
+    assert.equal(await matching("IS_SAME({due}, '2026-01-10', 'day')"), 'a');
+    assert.equal(await matching("DATETIME_DIFF({due}, '2026-01-01', 'days') > 30"), 'b');
+    assert.equal(await matching("IS_BEFORE(DATEADD({due}, 1, 'days'), '2026-01-01')"), '');
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { LinkResolver } = require('../links');
+const { getTableSchema } = require('../schema');
+const { skipWithoutDatabase, testConfig, testPool } = require('./db');
+
+// Visits linking to patients by convention, to staff through the links
+// table and to sites through a foreign key to their record id
+describe('linked records in Postgres', { skip: skipWithoutDatabase }, () => {
+  let pool, adapter, visits;
+
+  before(async () => {
+    const { AirtablePostgresAdapter } = require('../airtable-postgres-adapter');
+    pool = testPool();
+    await pool.query('DROP TABLE IF EXISTS test_links_visits, test_links_patients, test_links_staff, test_links_sites');
+    await pool.query(`
+      CREATE TABLE test_links_patients (
+        id serial PRIMARY KEY,
+        airtable_record_id text NOT NULL UNIQUE,
+        test_links_patient_id text
+      );
+      CREATE TABLE test_links_staff (
+        id serial PRIMARY KEY,
+        airtable_record_id text NOT NULL UNIQUE,
+        staff_code text
+      );
+      CREATE TABLE test_links_sites (
+        id serial PRIMARY KEY,
+        airtable_record_id text NOT NULL UNIQUE,
+        test_links_site_id text
+      );
+      CREATE TABLE test_links_visits (
+        id serial PRIMARY KEY,
+        airtable_record_id text NOT NULL UNIQUE,
+        airtable_created_time timestamptz NOT NULL DEFAULT now(),
+        test_links_patient jsonb,
+        reviewer text,
+        site text REFERENCES test_links_sites (airtable_record_id)
+      );
+      INSERT INTO test_links_patients (airtable_record_id, test_links_patient_id) VALUES ('recP1', 'P-1'), ('recP2', 'P-2');
+      INSERT INTO test_links_staff (airtable_record_id, staff_code) VALUES ('recS1', 'S-1');
+      INSERT INTO test_links_sites (airtable_record_id, test_links_site_id) VALUES ('recT1', 'T-1');
+      INSERT INTO test_links_visits (airtable_record_id, test_links_patient, reviewer, site)
+      VALUES ('recV1', '["recP1"]', 'recS1', 'recT1'), ('recV2', '["recP2"]', NULL, NULL);
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS public._airtable_links (
+        table_name text NOT NULL,
+        field text NOT NULL,
+        linked_table text NOT NULL,
+        lookup_column text NOT NULL,
+        PRIMARY KEY (table_name, field)
+      )
+    `).catch((error) => {
+      // Another test file creating it at the same time
+      if (error.code !== '23505' && error.code !== '42P07') throw error;
+    });
+    await pool.query(`
+      INSERT INTO public._airtable_links (table_name, field, linked_table, lookup_column)
+      VALUES ('test_links_visits', 'reviewer', 'test_links_staff', 'staff_code')
+    `);
+
+    const config = testConfig();
+    adapter = new AirtablePostgresAdapter(config, config.database);
+    visits = () => adapter.base()('test_links_visits');
+    mock.method(console, 'log', () => {});
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await pool.query('DELETE FROM public._airtable_links WHERE table_name = $1', ['test_links_visits']);
+    await pool.query('DROP TABLE IF EXISTS test_links_visits, test_links_patients, test_links_staff, test_links_sites');
+    await pool.end();
+    await adapter.close();
+  });
+
+  it('resolves values through conventions, the links table and foreign keys', async () => {
+    const table = await getTableSchema(pool, 'test_links_visits');
+    const resolver = new LinkResolver(pool);
+    assert.equal(await resolver.resolve(table, 'test_links_patient', 'P-2'), 'recP2');
+    assert.equal(await resolver.resolve(table, 'reviewer', 'S-1'), 'recS1');
+    assert.equal(await resolver.resolve(table, 'site', 'T-1'), 'recT1');
+
+    assert.equal(await resolver.resolve(table, 'test_links_patient', 'P-9'), null);
+    assert.equal(await resolver.resolve(table, 'test_links_patient', 'recP1'), null);
+    assert.equal(await resolver.resolve(table, 'airtable_record_id', 'P-1'), null);
+  });
+
+  it('looks each value up once per resolver', async () => {
+    const table = await getTableSchema(pool, 'test_links_visits');
+    const sql = [];
+    const client = { query: (text, params) => { sql.push(text); return pool.query(text, params); } };
+    const resolver = new LinkResolver(client);
+
+    await resolver.resolve(table, 'test_links_patient', 'P-1');
+    const queries = sql.length;
+    assert.equal(await resolver.resolve(table, 'test_links_patient', 'P-1'), 'recP1');
+    assert.equal(sql.length, queries);
+  });
+
+  it('matches linked records by their lookup value in adapter formulas', async () => {
+    const byPatient = await visits().select({ filterByFormula: '{test_links_patient} = "P-1"' }).all();
+    assert.deepEqual(byPatient.map(record => record.id), ['recV1']);
+    const byReviewer = await visits().select({ filterByFormula: '{reviewer} = "S-1"' }).all();
+    assert.deepEqual(byReviewer.map(record => record.id), ['recV1']);
+  });
+});
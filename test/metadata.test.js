@@ -0,0 +1,104 @@
+process.env.POLICIES = JSON.stringify([
+  { effect: 'allow', roles: ['admin'] },
+  { effect: 'deny', roles: ['*'], bases: ['haq_ontology'] },
+  { effect: 'allow', roles: ['viewer'], tables: ['test_metadata_reports'], operations: ['read'], deniedFields: ['notes'] },
+  { effect: 'allow', roles: ['sync'], operations: ['read', 'update'] }
+]);
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { listBases, listBaseTables, metadataId } = require('../metadata');
+const { skipWithoutDatabase, testConfig, testPool } = require('./db');
+
+const BASE_MAP = { appScoring: 'haq_scoring', appOntology: 'haq_ontology' };
+
+function user(...groups) {
+  return { type: 'user', id: 'user-1', groups };
+}
+
+describe('listBases', () => {
+  before(() => {
+    mock.method(console, 'warn', () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('lists the bases the caller can use, with their permission level', () => {
+    assert.deepEqual(listBases(BASE_MAP, user('admin')).bases, [
+      { id: 'appScoring', name: 'haq_scoring', permissionLevel: 'create' },
+      { id: 'appOntology', name: 'haq_ontology', permissionLevel: 'create' }
+    ]);
+    assert.deepEqual(listBases(BASE_MAP, user('viewer')).bases, [
+      { id: 'appScoring', name: 'haq_scoring', permissionLevel: 'read' }
+    ]);
+    assert.deepEqual(listBases(BASE_MAP, { type: 'service', id: 'service:sync', service: 'sync', groups: [] }).bases, [
+      { id: 'appScoring', name: 'haq_scoring', permissionLevel: 'edit' }
+    ]);
+    assert.deepEqual(listBases(BASE_MAP, user('portal')).bases, []);
+  });
+});
+
+// Models of a table the viewer may read, with a field their policy hides
+describe('listBaseTables in Postgres', { skip: skipWithoutDatabase }, () => {
+  let pool;
+
+  before(async () => {
+    pool = testPool();
+    await pool.query('DROP TABLE IF EXISTS test_metadata_reports');
+    await pool.query(`
+      CREATE TABLE test_metadata_reports (
+        id serial PRIMARY KEY,
+        airtable_record_id text NOT NULL UNIQUE,
+        airtable_created_time timestamptz NOT NULL DEFAULT now(),
+        report_id text,
+        score numeric(6, 2),
+        visits integer,
+        reviewed boolean,
+        visit_date date,
+        tags text[],
+        test_metadata_reports jsonb,
+        details jsonb,
+        notes text
+      );
+      INSERT INTO test_metadata_reports (airtable_record_id, test_metadata_reports, details)
+      VALUES ('recA', '["recB"]', '{"source": "import"}');
+    `);
+  });
+
+  after(async () => {
+    await pool.query('DROP TABLE IF EXISTS test_metadata_reports');
+    await pool.end();
+  });
+
+  it('describes the readable tables and fields with inferred types', async () => {
+    const { database } = testConfig();
+    const client = await pool.connect();
+    let tables;
+    try {
+      mock.method(console, 'warn', () => {});
+      ({ tables } = await listBaseTables(client, user('viewer'), { database, baseId: 'appScoring' }));
+    } finally {
+      mock.restoreAll();
+      client.release();
+    }
+
+    assert.deepEqual(tables.map(table => table.name), ['test_metadata_reports']);
+    const [reports] = tables;
+    assert.equal(reports.id, metadataId('tbl', 'test_metadata_reports'));
+    assert.equal(reports.primaryFieldId, reports.fields[0].id);
+    assert.deepEqual(reports.fields.map(field => [field.name, field.type]), [
+      ['report_id', 'singleLineText'],
+      ['score', 'number'],
+      ['visits', 'number'],
+      ['reviewed', 'checkbox'],
+      ['visit_date', 'date'],
+      ['tags', 'multipleSelects'],
+      ['test_metadata_reports', 'multipleRecordLinks'],
+      ['details', 'multilineText']
+    ]);
+    assert.deepEqual(reports.fields[1].options, { precision: 2 });
+    assert.equal(reports.fields[6].options.linkedTableId, reports.id);
+  });
+});
@@ -0,0 +1,166 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTable, createField, updateField } = require('../migrations');
+const { getView, saveView } = require('../views');
+const { ensureAuditTable } = require('../audit');
+const { skipWithoutDatabase, testConfig, testPool } = require('./db');
+
+const caller = { type: 'user', id: 'user-1', groups: ['admin'] };
+
+// Tables and fields created, renamed and logged through the metadata API
+describe('migrations in Postgres', { skip: skipWithoutDatabase }, () => {
+  const TABLE = 'test_migrations_reports';
+  const PATIENTS = 'test_migrations_patients';
+  let pool, client, table;
+
+  async function cleanUp() {
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE}, ${PATIENTS}`);
+    for (const internal of ['migrations', 'views', 'fields', 'audit']) {
+      await pool.query(`DELETE FROM public._airtable_${internal} WHERE table_name = ANY($1)`, [[TABLE, PATIENTS]]).catch(() => {});
+    }
+    await pool.query('DELETE FROM public._airtable_links WHERE table_name = $1 OR linked_table = $1', [TABLE]).catch(() => {});
+  }
+
+  // Run a change the way the metadata endpoints do: in a transaction
+  async function migrate(fn) {
+    await client.query('BEGIN');
+    try {
+      const result = await fn();
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  }
+
+  before(async () => {
+    pool = testPool();
+    await cleanUp();
+    client = await pool.connect();
+    mock.method(console, 'log', () => {});
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    client.release();
+    await cleanUp();
+    await pool.end();
+  });
+
+  it('creates tables and fields, logging the DDL', async () => {
+    table = await migrate(() => createTable(client, caller, {
+      name: TABLE,
+      fields: [
+        { name: 'Report ID', type: 'singleLineText' },
+        { name: 'Risk Score', type: 'number', options: { precision: 2 } }
+      ]
+    }));
+    assert.deepEqual(table.columnNames, ['id', 'airtable_record_id', 'airtable_created_time', 'report_id', 'risk_score']);
+
+    let column;
+    ({ table, column } = await migrate(() => createField(client, caller, table, { name: 'notes', type: 'multilineText' })));
+    assert.equal(column, 'notes');
+    await assert.rejects(migrate(() => createField(client, caller, table, { name: 'Report ID', type: 'singleLineText' })), {
+      error: 'DUPLICATE_OR_EMPTY_FIELD_NAME',
+      statusCode: 422
+    });
+
+    const logged = await pool.query('SELECT operation FROM public._airtable_migrations WHERE table_name = $1 ORDER BY id', [TABLE]);
+    assert.deepEqual(logged.rows.map(row => row.operation), ['create_table', 'create_field']);
+  });
+
+  it('renames a field in the views that use it', async () => {
+    await saveView(client, table, 'Risky', {
+      filterByFormula: 'AND({Risk Score} > 2, {notes} != "{risk_score}")',
+      sort: [{ field: 'risk_score', direction: 'desc' }],
+      fields: ['Report ID', 'Risk Score']
+    });
+
+    ({ table } = await migrate(() => updateField(client, caller, table, 'risk_score', { name: 'severity' })));
+    assert.ok(table.hasColumn('severity'));
+
+    const view = await getView(client, table, 'Risky');
+    assert.equal(view.filterByFormula, 'AND({severity} > 2, {notes} != "{risk_score}")');
+    assert.deepEqual(view.sort, [{ field: 'severity', direction: 'desc' }]);
+    assert.deepEqual(view.fields, ['Report ID', 'severity']);
+  });
+
+  it('renames a field in the links table, as a link and as a lookup column', async () => {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS public._airtable_links (
+        table_name text NOT NULL,
+        field text NOT NULL,
+        linked_table text NOT NULL,
+        lookup_column text NOT NULL,
+        PRIMARY KEY (table_name, field)
+      )
+    `).catch((error) => {
+      // Another test file creating it at the same time
+      if (error.code !== '23505' && error.code !== '42P07') throw error;
+    });
+    await pool.query(`
+      INSERT INTO public._airtable_links (table_name, field, linked_table, lookup_column)
+      VALUES ($1, 'notes', 'patients', 'patient_id'), ('test_migrations_visits', 'report', $1, 'report_id')
+    `, [TABLE]);
+
+    ({ table } = await migrate(() => updateField(client, caller, table, 'notes', { name: 'patient' })));
+    ({ table } = await migrate(() => updateField(client, caller, table, 'report_id', { name: 'report_code' })));
+
+    const links = await pool.query(
+      'SELECT table_name, field, lookup_column FROM public._airtable_links WHERE table_name = $1 OR linked_table = $1 ORDER BY table_name',
+      [TABLE]
+    );
+    assert.deepEqual(links.rows, [
+      { table_name: TABLE, field: 'patient', lookup_column: 'patient_id' },
+      { table_name: 'test_migrations_visits', field: 'report', lookup_column: 'report_code' }
+    ]);
+  });
+
+  it('maps display names, keeping field ids across renames', async () => {
+    let patients = await migrate(() => createTable(client, caller, { name: PATIENTS, fields: [{ name: 'Patient Name', type: 'singleLineText' }] }));
+    assert.equal(patients.fieldName('patient_name'), 'Patient Name');
+    const fieldId = patients.fieldId('patient_name');
+    assert.match(fieldId, /^fld[A-Za-z0-9]{14}$/);
+
+    ({ table: patients } = await migrate(() => updateField(client, caller, patients, 'patient_name', { name: 'Full Name' })));
+    assert.equal(patients.column(fieldId), 'full_name');
+    assert.equal(patients.fieldName('full_name'), 'Full Name');
+    assert.equal(patients.column('Full Name'), 'full_name');
+
+    const { AirtablePostgresAdapter } = require('../airtable-postgres-adapter');
+    const config = testConfig();
+    const adapter = new AirtablePostgresAdapter(config, config.database);
+    try {
+      const created = await adapter.base()(PATIENTS).create({ [fieldId]: 'Ann' });
+      assert.deepEqual(created.fields, { 'Full Name': 'Ann' });
+      assert.equal(created.get('full_name'), 'Ann');
+      assert.equal(created.get(fieldId), 'Ann');
+
+      const [byId] = await adapter.base()(PATIENTS).select({ returnFieldsByFieldId: true, sort: [{ field: 'Full Name' }] }).all();
+      assert.deepEqual(byId.fields, { [fieldId]: 'Ann' });
+    } finally {
+      await adapter.close();
+    }
+  });
+
+  it('renames a field in the table\'s audit history', async () => {
+    await ensureAuditTable(pool, testConfig().database);
+    await pool.query(`
+      INSERT INTO public._airtable_audit (table_name, record_id, action, changed_fields, before, after)
+      VALUES ($1, 'rec1', 'update', '{severity}', '{"severity": 1}', '{"severity": 2}'),
+             ($1, 'rec1', 'create', NULL, NULL, '{"severity": 1, "report_code": "R-1"}')
+    `, [TABLE]);
+
+    ({ table } = await migrate(() => updateField(client, caller, table, 'severity', { name: 'risk' })));
+
+    const history = await pool.query(
+      'SELECT changed_fields, before, after FROM public._airtable_audit WHERE table_name = $1 ORDER BY id',
+      [TABLE]
+    );
+    assert.deepEqual(history.rows, [
+      { changed_fields: ['risk'], before: { risk: 1 }, after: { risk: 2 } },
+      { changed_fields: null, before: null, after: { risk: 1, report_code: 'R-1' } }
+    ]);
+  });
+});
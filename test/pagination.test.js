@@ -0,0 +1,163 @@
+process.env.OFFSET_TOKEN_SECRET = 'test-secret';
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeOffset, decodeOffset, queryFingerprint, keysetCondition, keySelectList, extractKeyValues } = require('../pagination');
+const { getTableSchema } = require('../schema');
+const { skipWithoutDatabase, testPool } = require('./db');
+
+function decodeError(offset, fingerprint, keyCount) {
+  try {
+    decodeOffset(offset, fingerprint, keyCount);
+  } catch (error) {
+    return error;
+  }
+  assert.fail(`${offset} decoded`);
+}
+
+describe('offset tokens', () => {
+  const fingerprint = queryFingerprint(['reports', [], [{ column: 'created_at', direction: 'asc' }]]);
+
+  it('round-trip key values exactly, including sub-millisecond timestamps', () => {
+    const values = ['2026-01-01 00:00:00.123457+00', '0.1000000000000000003', null, '42'];
+    const token = encodeOffset(values, fingerprint);
+    assert.ok(token.startsWith('itr'));
+    assert.deepEqual(decodeOffset(token, fingerprint, values.length), { type: 'keyset', values });
+  });
+
+  it('accept no offset and legacy numeric offsets', () => {
+    assert.deepEqual(decodeOffset(undefined, fingerprint, 1), { type: 'none' });
+    assert.deepEqual(decodeOffset('', fingerprint, 1), { type: 'none' });
+    assert.deepEqual(decodeOffset('200', fingerprint, 1), { type: 'numeric', offset: 200 });
+  });
+
+  it('reject tampered, foreign and malformed tokens with INVALID_OFFSET_VALUE', () => {
+    const token = encodeOffset(['1'], fingerprint);
+    const [payload, signature] = token.slice(3).split('.');
+    const forged = Buffer.from(JSON.stringify({ k: ['999'], q: fingerprint, t: Math.floor(Date.now() / 1000) })).toString('base64url');
+
+    for (const offset of [`itr${forged}.${signature}`, `itr${payload}.x${signature.slice(1)}`, 'itrabc', 'abc', ['a', 'b'], { k: 1 }]) {
+      const error = decodeError(offset, fingerprint, 1);
+      assert.equal(error.error, 'INVALID_OFFSET_VALUE', JSON.stringify(offset));
+      assert.equal(error.statusCode, 422);
+    }
+  });
+
+  it('expire, and only work for the query they came from', () => {
+    const token = encodeOffset(['1'], fingerprint);
+    assert.equal(decodeError(token, queryFingerprint(['patients']), 1).error, 'LIST_RECORDS_ITERATOR_NOT_AVAILABLE');
+    assert.equal(decodeError(token, fingerprint, 2).error, 'LIST_RECORDS_ITERATOR_NOT_AVAILABLE');
+
+    const now = Date.now();
+    mock.method(Date, 'now', () => now + 3600 * 1000);
+    try {
+      assert.equal(decodeError(token, fingerprint, 1).error, 'LIST_RECORDS_ITERATOR_NOT_AVAILABLE');
+    } finally {
+      mock.restoreAll();
+    }
+  });
+});
+
+describe('keyset SQL', () => {
+  const keys = [
+    { column: 'created_at', direction: 'desc', type: '"timestamptz"' },
+    { column: 'id', direction: 'asc', type: '"int4"' }
+  ];
+
+  it('selects sort keys as text', () => {
+    assert.equal(keySelectList(keys), '"created_at"::text AS "__sort_key_0", "id"::text AS "__sort_key_1"');
+  });
+
+  it('compares against values cast back to the column type', () => {
+    const params = ['tenant'];
+    const sql = keysetCondition(keys, ['2026-01-01 00:00:00.000001+00', '7'], params);
+    assert.equal(sql,
+      '((("created_at" < $2::"timestamptz" OR "created_at" IS NULL)) OR ' +
+      '("created_at" = $3::"timestamptz" AND ("id" > $4::"int4" OR "id" IS NULL)))');
+    assert.deepEqual(params, ['tenant', '2026-01-01 00:00:00.000001+00', '2026-01-01 00:00:00.000001+00', '7']);
+  });
+
+  it('puts nothing but NULLs after a NULL key', () => {
+    const params = [];
+    assert.equal(keysetCondition(keys, [null, '7'], params), '(("created_at" IS NULL AND ("id" > $1::"int4" OR "id" IS NULL)))');
+  });
+});
+
+// Paging through rows whose sort keys differ by less than a millisecond, or
+// whose type lives outside the search_path
+describe('keyset paging in Postgres', { skip: skipWithoutDatabase }, () => {
+  const TABLE = 'test_pagination_reports';
+  let pool;
+
+  before(async () => {
+    pool = testPool();
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE}`);
+    await pool.query('DROP SCHEMA IF EXISTS test_pagination_types CASCADE');
+    await pool.query('CREATE SCHEMA test_pagination_types');
+    await pool.query("CREATE TYPE test_pagination_types.priority AS ENUM ('low', 'high')");
+    await pool.query(`
+      CREATE TABLE ${TABLE} (
+        id serial PRIMARY KEY,
+        report_id text,
+        created_at timestamptz,
+        amount numeric,
+        priority test_pagination_types.priority
+      )
+    `);
+    await pool.query(`
+      INSERT INTO ${TABLE} (report_id, created_at, amount, priority)
+      SELECT 'M-' || i,
+             timestamptz '2026-01-01 00:00:00.123' + i * interval '1 microsecond',
+             0.1000000000000000001 * i,
+             (CASE WHEN i % 2 = 0 THEN 'high' ELSE 'low' END)::test_pagination_types.priority
+      FROM generate_series(1, 6) i
+    `);
+  });
+
+  after(async () => {
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE}`);
+    await pool.query('DROP SCHEMA IF EXISTS test_pagination_types CASCADE');
+    await pool.end();
+  });
+
+  // Pages of two (plus one row telling whether there's another), each
+  // fetched with the previous page's token
+  async function pages(sort) {
+    const table = await getTableSchema(pool, TABLE);
+    const keys = table.resolveSort(sort);
+    const fingerprint = queryFingerprint([TABLE, sort]);
+    const seen = [];
+    let offset;
+    do {
+      const params = [];
+      const after = decodeOffset(offset, fingerprint, keys.length);
+      const where = after.type === 'keyset' ? `WHERE ${keysetCondition(keys, after.values, params)}` : '';
+      const result = await pool.query(
+        `SELECT report_id, ${keySelectList(keys)} FROM ${table.sql} ${where} ${table.orderBy(sort)} LIMIT 3`,
+        params
+      );
+      seen.push(result.rows.slice(0, 2).map(row => row.report_id).join(','));
+      offset = result.rows.length > 2 ? encodeOffset(extractKeyValues(result.rows[1], keys.length), fingerprint) : null;
+      if (seen.length > 6) {
+        throw new Error(`paging never ends: ${seen.join(' | ')}`);
+      }
+    } while (offset);
+    return seen.join(' | ');
+  }
+
+  it('pages ascending by a microsecond timestamp', async () => {
+    assert.equal(await pages([{ field: 'created_at' }]), 'M-1,M-2 | M-3,M-4 | M-5,M-6');
+  });
+
+  it('pages descending by a microsecond timestamp', async () => {
+    assert.equal(await pages([{ field: 'created_at', direction: 'desc' }]), 'M-6,M-5 | M-4,M-3 | M-2,M-1');
+  });
+
+  it('pages by numerics beyond double precision', async () => {
+    assert.equal(await pages([{ field: 'amount', direction: 'desc' }]), 'M-6,M-5 | M-4,M-3 | M-2,M-1');
+  });
+
+  it('pages by an enum from another schema', async () => {
+    assert.equal(await pages([{ field: 'priority', direction: 'desc' }]), 'M-2,M-4 | M-6,M-1 | M-3,M-5');
+  });
+});
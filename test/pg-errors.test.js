@@ -0,0 +1,95 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { AirtableError } = require('../airtable-error');
+const { toAirtableError } = require('../pg-errors');
+const { skipWithoutDatabase, testConfig, testPool } = require('./db');
+
+function pgError(code, message, extra = {}) {
+  return Object.assign(new Error(message), { code }, extra);
+}
+
+describe('toAirtableError', () => {
+  it('maps SQLSTATEs to Airtable errors naming the field, not the value', () => {
+    const unique = toAirtableError(pgError('23505', 'duplicate key value violates unique constraint "reports_report_id_key"', {
+      detail: 'Key (report_id)=(R-1) already exists.'
+    }));
+    assert.equal(unique.error, 'INVALID_VALUE_FOR_COLUMN');
+    assert.equal(unique.statusCode, 422);
+    assert.match(unique.message, /Field "report_id" must be unique/);
+    assert.doesNotMatch(unique.message, /R-1|reports_report_id_key/);
+
+    const cases = [
+      ['23502', 'null value', 'INVALID_VALUE_FOR_COLUMN', 422],
+      ['23503', 'violates foreign key constraint', 'ROW_DOES_NOT_EXIST', 422],
+      ['22P02', 'invalid input syntax for type integer: "abc"', 'INVALID_VALUE_FOR_COLUMN', 422],
+      ['22003', 'value out of range', 'INVALID_VALUE_FOR_COLUMN', 422],
+      ['42703', 'column "scroe" does not exist', 'UNKNOWN_FIELD_NAME', 422],
+      ['42P01', 'relation "reprots" does not exist', 'TABLE_NOT_FOUND', 404],
+      ['42501', 'permission denied for table reports', 'NOT_AUTHORIZED', 403],
+      ['40P01', 'deadlock detected', 'CONFLICT', 409],
+      ['57014', 'canceling statement due to statement timeout', 'TIMEOUT', 503]
+    ];
+    for (const [code, message, type, statusCode] of cases) {
+      const error = toAirtableError(pgError(code, message));
+      assert.ok(error instanceof AirtableError, code);
+      assert.equal(error.error, type, code);
+      assert.equal(error.statusCode, statusCode, code);
+    }
+  });
+
+  it('leaves AirtableErrors and other errors as they are', () => {
+    const airtable = new AirtableError('NOT_FOUND', 'Record not found', 404);
+    const connection = pgError('ECONNREFUSED', 'connect ECONNREFUSED');
+    const bug = new TypeError('undefined is not a function');
+    assert.equal(toAirtableError(airtable), airtable);
+    assert.equal(toAirtableError(connection), connection);
+    assert.equal(toAirtableError(bug), bug);
+    assert.equal(toAirtableError(pgError('08006', 'connection failure')).error, undefined);
+  });
+});
+
+// What the adapter throws for constraint violations and missing records
+describe('adapter errors from Postgres', { skip: skipWithoutDatabase }, () => {
+  const TABLE = 'test_pg_errors_reports';
+  let pool, adapter;
+
+  before(async () => {
+    const { AirtablePostgresAdapter } = require('../airtable-postgres-adapter');
+    pool = testPool();
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE}`);
+    await pool.query(`
+      CREATE TABLE ${TABLE} (
+        id serial PRIMARY KEY,
+        airtable_record_id text NOT NULL UNIQUE,
+        airtable_created_time timestamptz NOT NULL DEFAULT now(),
+        report_id text UNIQUE,
+        score integer CHECK (score >= 0)
+      )
+    `);
+    const config = testConfig();
+    adapter = new AirtablePostgresAdapter(config, config.database);
+  });
+
+  after(async () => {
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE}`);
+    await pool.end();
+    await adapter.close();
+  });
+
+  it('rejects constraint violations with 422', async () => {
+    await adapter.base()(TABLE).create({ report_id: 'R-1' });
+    await assert.rejects(adapter.base()(TABLE).create({ report_id: 'R-1' }), {
+      error: 'INVALID_VALUE_FOR_COLUMN',
+      statusCode: 422,
+      message: 'Field "report_id" must be unique; a record with this value already exists'
+    });
+    await assert.rejects(adapter.base()(TABLE).create({ report_id: 'R-2', score: -1 }), { error: 'INVALID_VALUE_FOR_COLUMN', statusCode: 422 });
+  });
+
+  it('rejects missing records and tables with 404', async () => {
+    await assert.rejects(adapter.base()(TABLE).find('recMissing'), { statusCode: 404 });
+    await assert.rejects(adapter.base()(TABLE).update('recMissing', { score: 1 }), { statusCode: 404 });
+    await assert.rejects(adapter.base()(TABLE).destroy(['recMissing']), { statusCode: 404 });
+    await assert.rejects(adapter.base()('test_pg_errors_missing').select().all(), { statusCode: 404 });
+  });
+});
@@ -0,0 +1,131 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * Run fn with a fresh policies module reading the given rules: rules are
+ * loaded from POLICIES on first use
+ */
+function withPolicies(rules, fn) {
+  process.env.POLICIES = JSON.stringify(rules);
+  try {
+    delete require.cache[require.resolve('../policies')];
+    return fn(require('../policies'));
+  } finally {
+    delete process.env.POLICIES;
+  }
+}
+
+function user(...groups) {
+  return { type: 'user', id: 'user-1', groups };
+}
+
+function service(name) {
+  return { type: 'service', id: `service:${name}`, service: name, groups: [] };
+}
+
+function request(table, operations, database = 'haq_scoring') {
+  return { database, baseId: 'appTest', table, operations };
+}
+
+describe('authorize', () => {
+  before(() => {
+    mock.method(console, 'warn', () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('applies the default policies', () => {
+    withPolicies(require('../policies').DEFAULT_POLICIES, ({ authorize }) => {
+      const allowed = [
+        [user('admin'), request('users', ['delete'])],
+        [user('portal'), request('reports', ['read', 'update'])],
+        [service('scoring-lambda'), request('patients', ['create'])],
+        [service('chat'), request('concepts', ['read'], 'haq_ontology')]
+      ];
+      for (const [caller, req] of allowed) {
+        assert.deepEqual(authorize(caller, req), { caller, fieldAccess: null }, `${caller.id} ${req.operations}`);
+      }
+
+      const denied = [
+        [user('portal'), request('users', ['create'])],
+        [user('portal'), request('reports', ['delete'])],
+        [service('chat'), request('concepts', ['update'], 'haq_ontology')],
+        [service('scoring-lambda'), request('reports', ['views'])]
+      ];
+      for (const [caller, req] of denied) {
+        assert.throws(() => authorize(caller, req), { error: 'NOT_AUTHORIZED', statusCode: 403 }, `${caller.id} ${req.operations}`);
+      }
+    });
+  });
+
+  it('lets the first matching rule decide, denying what no rule matches', () => {
+    const rules = [
+      { effect: 'deny', roles: ['portal'], tables: ['patient_notes'] },
+      { effect: 'allow', roles: ['portal'], bases: ['appTest'], operations: ['read'] }
+    ];
+    withPolicies(rules, ({ authorize }) => {
+      assert.ok(authorize(user('portal'), request('patients', ['read'])));
+      assert.throws(() => authorize(user('portal'), request('Patient Notes', ['read'])), { statusCode: 403 });
+      assert.throws(() => authorize(user('portal'), request('patients', ['read', 'update'])), { statusCode: 403 });
+      assert.throws(() => authorize(user('other'), request('patients', ['read'])), { statusCode: 403 });
+    });
+  });
+
+  it('restricts fields to what every matched rule allows', () => {
+    const rules = [
+      { effect: 'allow', roles: ['portal'], operations: ['read'], deniedFields: ['Notes'] },
+      { effect: 'allow', roles: ['portal'], operations: ['update'], fields: ['score', 'notes'] }
+    ];
+    withPolicies(rules, ({ authorize }) => {
+      const { fieldAccess } = authorize(user('portal'), request('reports', ['read', 'update']));
+      assert.equal(fieldAccess.allows('score'), true);
+      assert.equal(fieldAccess.allows('notes'), false);
+      assert.equal(fieldAccess.allows('report_id'), false);
+      assert.equal(fieldAccess.allows('airtable_record_id'), true);
+      assert.equal(fieldAccess.deniedError('notes').statusCode, 403);
+    });
+  });
+
+  it('fails requests, not the cold start, on a bad configuration', () => {
+    for (const rules of [{ effect: 'allow' }, [{ effect: 'maybe' }], [{ effect: 'allow', tables: 'reports' }], [{ effect: 'allow', operations: ['drop'] }]]) {
+      withPolicies(rules, ({ authorize }) => {
+        assert.throws(() => authorize(user('admin'), request('reports', ['read'])), /Policies must be|Policy rule 0/, JSON.stringify(rules));
+      });
+    }
+  });
+});
+
+describe('basePermissionLevel', () => {
+  const base = { database: 'haq_scoring', baseId: 'appTest' };
+
+  it('reports create for schema editors, edit for writers, read for readers', () => {
+    withPolicies(require('../policies').DEFAULT_POLICIES, ({ basePermissionLevel }) => {
+      assert.equal(basePermissionLevel(user('admin'), base), 'create');
+      assert.equal(basePermissionLevel(user('portal'), base), 'edit');
+      assert.equal(basePermissionLevel(service('chat'), { database: 'haq_ontology', baseId: 'appOntology' }), 'read');
+    });
+  });
+
+  it('counts a base readable if any table of it is', () => {
+    const rules = [
+      { effect: 'deny', roles: ['portal'], tables: ['reports'] },
+      { effect: 'allow', roles: ['portal'], tables: ['reports', 'patients'], operations: ['read'] },
+      { effect: 'allow', roles: ['clinic'], tables: ['reports'], operations: ['read'] },
+      { effect: 'deny', roles: ['clinic'], operations: ['update'] },
+      { effect: 'allow', roles: ['clinic'], tables: ['visits'], operations: ['create'] }
+    ];
+    withPolicies(rules, ({ basePermissionLevel }) => {
+      assert.equal(basePermissionLevel(user('portal'), base), 'read');
+      assert.equal(basePermissionLevel(user('clinic'), base), 'edit');
+      assert.equal(basePermissionLevel(user('other'), base), null);
+    });
+  });
+
+  it('gives nothing where only denials match', () => {
+    withPolicies([{ effect: 'deny', roles: ['portal'], tables: ['reports'] }], ({ basePermissionLevel }) => {
+      assert.equal(basePermissionLevel(user('portal'), base), null);
+    });
+  });
+});
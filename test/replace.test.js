@@ -0,0 +1,88 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, testConfig, testPool } = require('./db');
+
+// PUT-style replace through the adapter: fields left out are cleared
+describe('replace in Postgres', { skip: skipWithoutDatabase }, () => {
+  const TABLE = 'test_replace_reports';
+  let pool, adapter, reports;
+
+  before(async () => {
+    const { AirtablePostgresAdapter } = require('../airtable-postgres-adapter');
+    pool = testPool();
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE}`);
+    await pool.query(`
+      CREATE TABLE ${TABLE} (
+        id serial PRIMARY KEY,
+        airtable_record_id text NOT NULL UNIQUE,
+        airtable_created_time timestamptz NOT NULL DEFAULT now(),
+        report_id text UNIQUE,
+        score integer,
+        status text DEFAULT 'new'
+      )
+    `);
+    const config = testConfig();
+    adapter = new AirtablePostgresAdapter(config, config.database);
+    reports = () => adapter.base()(TABLE);
+  });
+
+  after(async () => {
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE}`);
+    await pool.end();
+    await adapter.close();
+  });
+
+  async function reset() {
+    await pool.query(`TRUNCATE ${TABLE} RESTART IDENTITY`);
+    await pool.query(`
+      INSERT INTO ${TABLE} (airtable_record_id, airtable_created_time, report_id, score, status)
+      VALUES ('rec1', '2026-01-05T00:00:00Z', 'R-1', 5, 'done'), ('rec2', '2026-01-05T00:00:00Z', 'R-2', 7, 'done')
+    `);
+  }
+
+  async function rows() {
+    const result = await pool.query(`SELECT id, airtable_record_id, airtable_created_time, report_id, score, status FROM ${TABLE} ORDER BY id`);
+    return result.rows.map(row => ({ ...row, airtable_created_time: row.airtable_created_time.toISOString() }));
+  }
+
+  it('clears the fields left out, keeping the system columns', async () => {
+    await reset();
+    const record = await reports().replace('rec1', { score: 6 });
+    assert.equal(record.get('score'), 6);
+    assert.deepEqual((await rows())[0], {
+      id: 1,
+      airtable_record_id: 'rec1',
+      airtable_created_time: '2026-01-05T00:00:00.000Z',
+      report_id: null,
+      score: 6,
+      status: 'new'
+    });
+
+    const updated = await reports().update('rec2', { score: 8 });
+    assert.equal(updated.get('status'), 'done');
+  });
+
+  it('replaces a batch in one transaction', async () => {
+    await reset();
+    await assert.rejects(reports().replace([{ id: 'rec1', fields: { score: 1 } }, { id: 'recMissing', fields: {} }]), /recMissing/);
+    assert.deepEqual((await rows()).map(row => row.status), ['done', 'done']);
+
+    const replaced = await reports().replace([{ id: 'rec1', fields: { report_id: 'R-1' } }, { id: 'rec2', fields: { status: 'open' } }]);
+    assert.deepEqual(replaced.map(record => [record.get('report_id'), record.get('score'), record.get('status')]), [
+      ['R-1', null, 'new'],
+      [null, null, 'open']
+    ]);
+  });
+
+  it('replaces the records an upsert matches', async () => {
+    await reset();
+    const records = await reports().replace([{ fields: { report_id: 'R-1', score: 9 } }, { fields: { report_id: 'R-3' } }], {
+      performUpsert: { fieldsToMergeOn: ['report_id'] }
+    });
+    assert.deepEqual(records.map(record => [record.get('report_id'), record.get('score'), record.get('status')]), [
+      ['R-1', 9, 'new'],
+      ['R-3', null, 'new']
+    ]);
+    assert.equal(records[0].id, 'rec1');
+  });
+});
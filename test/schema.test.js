@@ -0,0 +1,175 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { compileFormula } = require('../filter-formula');
+const { TableSchema, SchemaCache, getTableSchema, invalidateSchema } = require('../schema');
+const { skipWithoutDatabase, testConfig, testPool } = require('./db');
+
+function column(name, dataType = 'text', udtName = 'text') {
+  return { name, dataType, udtSchema: 'pg_catalog', udtName };
+}
+
+const reports = new TableSchema('reports', 'scoring', {
+  id: column('id', 'integer', 'int4'),
+  report_id: column('report_id'),
+  score: column('score', 'numeric', 'numeric')
+});
+
+describe('TableSchema', () => {
+  it('resolves field names to columns, exactly or normalized', () => {
+    assert.equal(reports.column('report_id'), 'report_id');
+    assert.equal(reports.column('Report ID'), 'report_id');
+    assert.equal(reports.sql, '"scoring"."reports"');
+  });
+
+  it('rejects anything that isn\'t a column with UNKNOWN_FIELD_NAME', () => {
+    for (const field of ['missing', 'score" text); DROP TABLE reports; --', 42, undefined]) {
+      assert.throws(() => reports.column(field), { error: 'UNKNOWN_FIELD_NAME', statusCode: 422 }, String(field));
+    }
+  });
+
+  it('builds the SELECT list for a fields[] projection, keeping the system columns', () => {
+    assert.equal(reports.selectList(), '*');
+    assert.equal(reports.selectList([]), '*');
+    assert.equal(reports.selectList(['Score', 'score']), '"id", "score"');
+    assert.throws(() => reports.selectList(['score', 'missing']), { error: 'UNKNOWN_FIELD_NAME' });
+  });
+
+  it('resolves sort keys, ending with id as a tiebreaker', () => {
+    const keys = reports.resolveSort([{ field: 'Score', direction: 'DESC' }, { field: 'report_id' }]);
+    assert.deepEqual(keys.map(key => [key.column, key.direction]), [['score', 'desc'], ['report_id', 'asc'], ['id', 'asc']]);
+    assert.equal(reports.orderBy([{ field: 'score', direction: 'desc' }]), 'ORDER BY "score" DESC NULLS LAST, "id" ASC NULLS LAST');
+  });
+
+  it('rejects malformed sorts with a 422', () => {
+    for (const sort of ['score', [null], [{ field: 'score', direction: 'up' }], [{ field: 'score', direction: 1 }], [{ field: 'score', direction: ['desc'] }]]) {
+      assert.throws(() => reports.resolveSort(sort), { error: 'INVALID_REQUEST_UNKNOWN', statusCode: 422 }, JSON.stringify(sort));
+    }
+    assert.throws(() => reports.resolveSort([{ field: 'missing' }]), { error: 'UNKNOWN_FIELD_NAME', statusCode: 422 });
+  });
+});
+
+describe('SchemaCache', () => {
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('shares a load until the TTL runs out', async () => {
+    const now = mock.method(Date, 'now', () => 1000);
+    const cache = new SchemaCache(60);
+    let loads = 0;
+    const load = async () => ++loads;
+
+    assert.deepEqual(await Promise.all([cache.get('reports', load), cache.get('reports', load)]), [1, 1]);
+    now.mock.mockImplementation(() => 61001);
+    assert.equal(await cache.get('reports', load), 2);
+    assert.equal(await new SchemaCache(0).get('reports', load), 3);
+  });
+
+  it('forgets failed loads and invalidated tables', async () => {
+    const cache = new SchemaCache(60);
+    await assert.rejects(cache.get('reports', () => Promise.reject(new Error('down'))), /down/);
+    assert.equal(await cache.get('reports', async () => 'loaded'), 'loaded');
+
+    cache.invalidate('Reports');
+    assert.equal(await cache.get('reports', async () => 'reloaded'), 'reloaded');
+    cache.invalidate();
+    assert.equal(cache.entries.size, 0);
+  });
+});
+
+// Tables and columns looked up in information_schema
+describe('schema lookups in Postgres', { skip: skipWithoutDatabase }, () => {
+  const TABLE = 'test_schema_reports';
+  let pool, adapter, records;
+
+  before(async () => {
+    const { AirtablePostgresAdapter } = require('../airtable-postgres-adapter');
+    pool = testPool();
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE}`);
+    await pool.query(`
+      CREATE TABLE ${TABLE} (
+        id serial PRIMARY KEY,
+        airtable_record_id text NOT NULL UNIQUE,
+        airtable_created_time timestamptz NOT NULL DEFAULT now(),
+        report_id text,
+        score numeric
+      )
+    `);
+    const config = testConfig();
+    adapter = new AirtablePostgresAdapter(config, config.database);
+    records = () => adapter.base()(TABLE);
+  });
+
+  after(async () => {
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE}`);
+    await pool.end();
+    await adapter.close();
+  });
+
+  it('loads a table\'s columns by its normalized name', async () => {
+    const table = await getTableSchema(pool, 'Test Schema Reports');
+    assert.equal(table.name, TABLE);
+    assert.equal(table.sql, `"public"."${TABLE}"`);
+    assert.deepEqual(table.columnNames, ['id', 'airtable_record_id', 'airtable_created_time', 'report_id', 'score']);
+  });
+
+  it('reuses loaded tables until the cache is invalidated', async () => {
+    await getTableSchema(pool, TABLE);
+    await pool.query(`ALTER TABLE ${TABLE} ADD COLUMN cached_note text`);
+    try {
+      assert.equal((await getTableSchema(pool, TABLE)).hasColumn('cached_note'), false);
+      invalidateSchema(pool, TABLE);
+      assert.equal((await getTableSchema(pool, TABLE)).hasColumn('cached_note'), true);
+    } finally {
+      await pool.query(`ALTER TABLE ${TABLE} DROP COLUMN cached_note`);
+      invalidateSchema(pool, TABLE);
+    }
+  });
+
+  it('gives TABLE_NOT_FOUND for tables outside the schemas', async () => {
+    for (const name of ['test_schema_missing', `${TABLE}" WHERE true; --`, 'pg_class']) {
+      await assert.rejects(getTableSchema(pool, name), { error: 'TABLE_NOT_FOUND', statusCode: 404 }, name);
+    }
+  });
+
+  it('only lets checked columns into formulas', async () => {
+    const table = await getTableSchema(pool, TABLE);
+    const { sql } = await compileFormula('{Report ID} = "R-1"', { resolveField: field => table.column(field) });
+    assert.match(sql, /"report_id"/);
+    await assert.rejects(compileFormula('{missing} = 1', { resolveField: field => table.column(field) }), {
+      error: 'UNKNOWN_FIELD_NAME'
+    });
+  });
+
+  it('rejects unknown fields in adapter writes, sorts and formulas', async () => {
+    await assert.rejects(records().create({ 'report_id" text, "x': 'R-1' }), { error: 'UNKNOWN_FIELD_NAME', statusCode: 422 });
+    await assert.rejects(records().select({ sort: [{ field: 'missing' }] }).all(), { error: 'UNKNOWN_FIELD_NAME' });
+    await assert.rejects(records().select({ filterByFormula: '{missing} = 1' }).all(), { error: 'UNKNOWN_FIELD_NAME' });
+
+    const created = await records().create({ 'Report ID': 'R-1' });
+    assert.equal(created.get('report_id'), 'R-1');
+  });
+
+  it('projects adapter selects onto the fields option', async () => {
+    await pool.query(`TRUNCATE ${TABLE}`);
+    await pool.query(`INSERT INTO ${TABLE} (airtable_record_id, report_id, score) VALUES ('recP', 'R-2', 3)`);
+
+    const [record] = await records().select({ fields: ['Report ID'] }).all();
+    assert.equal(record.id, 'recP');
+    assert.deepEqual(record.fields, { report_id: 'R-2' });
+    await assert.rejects(records().select({ fields: ['missing'] }).all(), { error: 'UNKNOWN_FIELD_NAME' });
+  });
+
+  it('sorts adapter selects by every key, nulls last', async () => {
+    await pool.query(`TRUNCATE ${TABLE}`);
+    await pool.query(`
+      INSERT INTO ${TABLE} (airtable_record_id, report_id, score)
+      VALUES ('recA', 'R-a', 2), ('recB', 'R-b', NULL), ('recC', 'R-c', 2), ('recD', 'R-d', 1)
+    `);
+
+    const sorted = await records().select({ sort: [{ field: 'score', direction: 'desc' }, { field: 'report_id', direction: 'desc' }] }).all();
+    assert.deepEqual(sorted.map(record => record.id), ['recC', 'recA', 'recD', 'recB']);
+    const ascending = await records().select({ sort: [{ field: 'score' }] }).all();
+    assert.deepEqual(ascending.map(record => record.id), ['recD', 'recA', 'recC', 'recB']);
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { tombstones, withoutSoftDeleteField } = require('../soft-delete');
+const { skipWithoutDatabase, testConfig, testPool } = require('./db');
+
+function table(softDeletes) {
+  return { name: 'reports', softDeletes, findColumn: field => field };
+}
+
+describe('withoutSoftDeleteField', () => {
+  it('drops a null deleted_at and rejects any other value', () => {
+    assert.deepEqual(withoutSoftDeleteField(table(true), { report_id: 'R-1', deleted_at: null }), { report_id: 'R-1' });
+    assert.throws(() => withoutSoftDeleteField(table(true), { deleted_at: '2026-01-05T00:00:00Z' }), {
+      error: 'INVALID_VALUE_FOR_COLUMN',
+      statusCode: 422
+    });
+  });
+
+  it('leaves tables without soft delete alone', () => {
+    const fields = { deleted_at: '2026-01-05T00:00:00Z' };
+    assert.equal(withoutSoftDeleteField(table(false), fields), fields);
+  });
+});
+
+describe('tombstones', () => {
+  it('only applies to tables that soft-delete', () => {
+    assert.equal(tombstones(table(true)).tombstones, true);
+    assert.throws(() => tombstones(table(false)), { statusCode: 422 });
+  });
+});
+
+// Deleting, listing, restoring and purging through the adapter
+describe('soft delete in Postgres', { skip: skipWithoutDatabase }, () => {
+  const TABLE = 'test_soft_delete_reports';
+  let pool, adapter, reports;
+
+  before(async () => {
+    const { AirtablePostgresAdapter } = require('../airtable-postgres-adapter');
+    pool = testPool();
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE}`);
+    await pool.query(`
+      CREATE TABLE ${TABLE} (
+        id serial PRIMARY KEY,
+        airtable_record_id text NOT NULL UNIQUE,
+        airtable_created_time timestamptz NOT NULL DEFAULT now(),
+        report_id text UNIQUE,
+        score numeric,
+        deleted_at timestamptz
+      )
+    `);
+    const config = testConfig();
+    adapter = new AirtablePostgresAdapter(config, config.database);
+    reports = () => adapter.base()(TABLE);
+  });
+
+  after(async () => {
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE}`);
+    await pool.query('DELETE FROM public._airtable_audit WHERE table_name = $1', [TABLE]);
+    await pool.end();
+    await adapter.close();
+  });
+
+  async function reportIds(options = {}) {
+    const records = await reports().select({ ...options, sort: [{ field: 'report_id' }] }).all();
+    return records.map(record => record.get('report_id')).join(',');
+  }
+
+  it('hides deleted records until they are restored', async () => {
+    await pool.query(`TRUNCATE ${TABLE}`);
+    const [first, second] = await reports().create([{ fields: { report_id: 'R-1' } }, { fields: { report_id: 'R-2' } }]);
+    await reports().destroy(first.id);
+
+    assert.equal(await reportIds(), 'R-2');
+    assert.equal(await reportIds({ deleted: true }), 'R-1');
+    await assert.rejects(reports().find(first.id), { statusCode: 404 });
+    await assert.rejects(reports().update(first.id, { score: 1 }), { statusCode: 404 });
+    await assert.rejects(reports().restore([first.id, second.id]), { statusCode: 404 });
+
+    await reports().restore(first.id);
+    assert.equal(await reportIds(), 'R-1,R-2');
+    assert.equal(await reportIds({ deleted: true }), '');
+  });
+
+  it('won\'t write deleted_at directly', async () => {
+    await pool.query(`TRUNCATE ${TABLE}`);
+    await assert.rejects(reports().create({ report_id: 'R-3', deleted_at: '2026-01-05T00:00:00Z' }), { statusCode: 422 });
+    const created = await reports().create({ report_id: 'R-3', deleted_at: null });
+    await assert.rejects(reports().update(created.id, { deleted_at: '2026-01-05T00:00:00Z' }), { statusCode: 422 });
+  });
+
+  it('rejects upserts of a deleted record\'s key until it is restored', async () => {
+    await pool.query(`TRUNCATE ${TABLE}`);
+    const created = await reports().create({ report_id: 'R-4', score: 1 });
+    await reports().destroy(created.id);
+
+    await assert.rejects(reports().upsert([{ fields: { report_id: 'R-4', score: 2 } }], ['report_id']), {
+      error: 'INVALID_RECORDS',
+      statusCode: 422,
+      message: new RegExp(`Deleted record ${created.id} matches report_id`)
+    });
+
+    await reports().restore(created.id);
+    const { updatedRecords } = await reports().upsert([{ fields: { report_id: 'R-4', score: 2 } }], ['report_id']);
+    assert.deepEqual(updatedRecords, [created.id]);
+  });
+
+  it('purges tombstones older than the retention window', async () => {
+    await pool.query(`TRUNCATE ${TABLE}`);
+    const [old, recent] = await reports().create([{ fields: { report_id: 'R-5' } }, { fields: { report_id: 'R-6' } }]);
+    await reports().destroy([old.id, recent.id]);
+    await pool.query(`UPDATE ${TABLE} SET deleted_at = now() - interval '31 days' WHERE airtable_record_id = $1`, [old.id]);
+
+    mock.method(console, 'log', () => {});
+    try {
+      assert.deepEqual(await reports().purge(), [{ id: old.id, deleted: true }]);
+    } finally {
+      mock.restoreAll();
+    }
+    assert.equal(await reportIds({ deleted: true }), 'R-6');
+    await assert.rejects(reports().purge({ olderThanDays: -1 }), { statusCode: 422 });
+  });
+});
@@ -0,0 +1,149 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { callerTenant, tenantMatch, withoutTenantField, tenantStamp } = require('../tenancy');
+const { skipWithoutDatabase, testConfig, testPool } = require('./db');
+
+function user(claims, groups = []) {
+  return { type: 'user', id: 'user-1', groups, claims };
+}
+
+// Partner-scoped table with partner_id and report_id
+const reports = {
+  name: 'reports',
+  tenant: { column: 'partner_id', partnerId: 'P1' },
+  hasColumn: () => true,
+  findColumn: field => field
+};
+
+describe('callerTenant', () => {
+  it('scopes users by their partner claim, and nobody else', () => {
+    assert.deepEqual(callerTenant(user({ 'custom:partner_id': 'P1' })), { column: 'partner_id', partnerId: 'P1' });
+    assert.deepEqual(callerTenant(user({})), { column: 'partner_id', partnerId: null });
+    assert.equal(callerTenant(user({ 'custom:partner_id': 'P1' }, ['admin'])), null);
+    assert.equal(callerTenant({ type: 'service', id: 'service:sync', groups: [] }), null);
+  });
+});
+
+describe('tenantMatch', () => {
+  it('matches the bare id or a JSON array element, escaping LIKE wildcards', () => {
+    const params = [];
+    assert.equal(tenantMatch('"partner_id"::text', 'P_1%', params), '("partner_id"::text = $1 OR "partner_id"::text LIKE $2)');
+    assert.deepEqual(params, ['P_1%', '%"P\\_1\\%"%']);
+  });
+});
+
+describe('writes to a partner-scoped table', () => {
+  it('drop the caller\'s own partner id in any stored form', () => {
+    for (const partnerId of ['P1', ['P1'], '["P1"]', null]) {
+      assert.deepEqual(withoutTenantField(reports, { partner_id: partnerId, report_id: 'R-1' }), { report_id: 'R-1' });
+    }
+  });
+
+  it('reject another partner\'s id with 403', () => {
+    for (const partnerId of ['P2', ['P1', 'P2'], '["P2"]', 'P10']) {
+      assert.throws(() => withoutTenantField(reports, { partner_id: partnerId }), { error: 'NOT_AUTHORIZED', statusCode: 403 });
+    }
+  });
+
+  it('stamp creates as a JSON array', () => {
+    assert.deepEqual(tenantStamp(reports), { column: 'partner_id', value: '["P1"]', partnerId: 'P1' });
+    assert.equal(tenantStamp({ ...reports, tenant: null }), null);
+  });
+
+  it('need a partner in the token', () => {
+    assert.throws(() => tenantStamp({ ...reports, tenant: { column: 'partner_id', partnerId: null } }), { statusCode: 403 });
+  });
+});
+
+// Rows stored the way migrated tables hold partner_id: a JSON array, or
+// occasionally the bare id
+describe('partner-scoped base in Postgres', { skip: skipWithoutDatabase }, () => {
+  const TABLE = 'test_tenancy_reports';
+  let pool, adapter, base;
+
+  before(async () => {
+    const { AirtablePostgresAdapter } = require('../airtable-postgres-adapter');
+    pool = testPool();
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE}`);
+    await pool.query(`
+      CREATE TABLE ${TABLE} (
+        id serial PRIMARY KEY,
+        airtable_record_id text NOT NULL UNIQUE,
+        airtable_created_time timestamptz NOT NULL DEFAULT now(),
+        report_id text,
+        score numeric,
+        partner_id text
+      )
+    `);
+    const config = testConfig();
+    adapter = new AirtablePostgresAdapter(config, config.database);
+    base = adapter.forPartner('P1');
+  });
+
+  after(async () => {
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE}`);
+    await pool.end();
+    await adapter.close();
+  });
+
+  async function reset() {
+    await pool.query(`TRUNCATE ${TABLE}`);
+    await pool.query(`
+      INSERT INTO ${TABLE} (airtable_record_id, report_id, partner_id) VALUES
+        ('recArray', 'R-1', '["P1"]'),
+        ('recBare', 'R-2', 'P1'),
+        ('recShared', 'R-3', '["P2", "P1"]'),
+        ('recOther', 'R-4', '["P2"]'),
+        ('recPrefix', 'R-5', '["P10"]'),
+        ('recNone', 'R-6', NULL)
+    `);
+  }
+
+  async function stored(recordId) {
+    const result = await pool.query(`SELECT report_id, score, partner_id FROM ${TABLE} WHERE airtable_record_id = $1`, [recordId]);
+    return result.rows[0];
+  }
+
+  it('lists and finds only the partner\'s rows', async () => {
+    await reset();
+    const records = await base(TABLE).select({ sort: [{ field: 'report_id' }] }).all();
+    assert.deepEqual(records.map(record => record.id), ['recArray', 'recBare', 'recShared']);
+
+    assert.equal((await base(TABLE).find('recArray')).get('report_id'), 'R-1');
+    await assert.rejects(base(TABLE).find('recOther'), { statusCode: 404 });
+    await assert.rejects(base(TABLE).find('recPrefix'), { statusCode: 404 });
+  });
+
+  it('updates and deletes only the partner\'s rows', async () => {
+    await reset();
+    await base(TABLE).update('recArray', { score: 5, partner_id: ['P1'] });
+    assert.deepEqual(await stored('recArray'), { report_id: 'R-1', score: '5', partner_id: '["P1"]' });
+    await assert.rejects(base(TABLE).update('recOther', { score: 5 }), { statusCode: 404 });
+    await assert.rejects(base(TABLE).update('recArray', { partner_id: 'P2' }), { statusCode: 403 });
+
+    await base(TABLE).destroy(['recBare']);
+    await assert.rejects(base(TABLE).destroy(['recOther']), { statusCode: 404 });
+    assert.equal(await stored('recBare'), undefined);
+    assert.equal((await stored('recOther')).report_id, 'R-4');
+  });
+
+  it('stamps creates with the partner, and won\'t create for another', async () => {
+    await reset();
+    const created = await base(TABLE).create({ report_id: 'R-7', partner_id: 'P1' });
+    assert.equal((await stored(created.id)).partner_id, '["P1"]');
+    assert.equal((await base(TABLE).find(created.id)).get('report_id'), 'R-7');
+    await assert.rejects(base(TABLE).create({ report_id: 'R-8', partner_id: ['P2'] }), { statusCode: 403 });
+  });
+
+  it('upserts against the partner\'s rows only', async () => {
+    await reset();
+    const { createdRecords, updatedRecords } = await base(TABLE).upsert([
+      { fields: { report_id: 'R-1', score: 1 } },
+      { fields: { report_id: 'R-4', score: 2 } }
+    ], ['report_id']);
+    assert.deepEqual(updatedRecords, ['recArray']);
+    assert.equal(createdRecords.length, 1);
+    assert.equal((await stored(createdRecords[0])).partner_id, '["P1"]');
+    assert.equal((await stored('recOther')).score, null);
+  });
+});
@@ -0,0 +1,145 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { AirtablePostgresAdapter } = require('../airtable-postgres-adapter');
+const { skipWithoutDatabase, testConfig, testPool } = require('./db');
+
+describe('adapter.transaction', () => {
+  // Adapter on a fake pool whose one client fails the statements in `failing`
+  function fakeAdapter(database, failing) {
+    const connection = { statements: [], released: [] };
+    const client = {
+      async query(sql) {
+        connection.statements.push(sql);
+        if (failing.includes(sql)) {
+          throw new Error(`${sql} failed`);
+        }
+        return { rows: [] };
+      },
+      release(error) {
+        connection.released.push(error);
+      }
+    };
+    const adapter = new AirtablePostgresAdapter({}, database);
+    adapter.pool.end();
+    adapter.pool = { query: async () => ({ rows: [] }), connect: async () => client };
+    return { adapter, connection };
+  }
+
+  it('returns the connection to the pool after a rollback', async () => {
+    const { adapter, connection } = fakeAdapter('transaction_rollback_test', []);
+    await assert.rejects(adapter.transaction(async () => {
+      throw new Error('invalid report');
+    }), /invalid report/);
+    assert.deepEqual(connection.statements, ['BEGIN', 'ROLLBACK']);
+    assert.deepEqual(connection.released, [undefined]);
+  });
+
+  it('reports the original error when ROLLBACK fails, and destroys the connection', async () => {
+    const { adapter, connection } = fakeAdapter('transaction_rollback_failure_test', ['ROLLBACK']);
+    const failure = new Error('scoring failed');
+    mock.method(console, 'error', () => {});
+    try {
+      await assert.rejects(adapter.transaction(async () => {
+        throw failure;
+      }), failure);
+    } finally {
+      mock.restoreAll();
+    }
+    assert.deepEqual(connection.statements, ['BEGIN', 'ROLLBACK']);
+    assert.equal(connection.released.length, 1);
+    assert.match(connection.released[0].message, /ROLLBACK failed/);
+  });
+});
+
+// Transactions and savepoints against a real connection
+describe('adapter.transaction in Postgres', { skip: skipWithoutDatabase }, () => {
+  const TABLE = 'test_transaction_reports';
+  let pool, adapter;
+
+  before(async () => {
+    pool = testPool();
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE} CASCADE`);
+    await pool.query(`
+      CREATE TABLE ${TABLE} (
+        id serial PRIMARY KEY,
+        airtable_record_id text NOT NULL UNIQUE,
+        airtable_created_time timestamptz NOT NULL DEFAULT now(),
+        report_id text UNIQUE
+      )
+    `);
+    // Reading any row fails in Postgres (division by zero)
+    await pool.query(`
+      CREATE VIEW ${TABLE}_broken AS
+      SELECT id, airtable_record_id, airtable_created_time, 1 / (id - id) AS ratio FROM ${TABLE}
+    `);
+    const config = testConfig();
+    adapter = new AirtablePostgresAdapter(config, config.database);
+  });
+
+  after(async () => {
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE} CASCADE`);
+    await pool.query(`DELETE FROM public._airtable_audit WHERE table_name = $1`, [TABLE]);
+    await pool.end();
+    await adapter.close();
+  });
+
+  async function reportIds() {
+    const result = await pool.query(`SELECT report_id FROM ${TABLE} ORDER BY report_id`);
+    return result.rows.map(row => row.report_id).join(',');
+  }
+
+  it('commits overlapping calls, keeping work around a caught failure', async () => {
+    await pool.query(`TRUNCATE ${TABLE}`);
+    await adapter.transaction(async (base) => {
+      await Promise.all([
+        base(TABLE).create({ report_id: 'T-1' }),
+        base(TABLE).create({ report_id: 'T-2' }),
+        base(TABLE).create({ report_id: 'T-1' }).then(
+          () => assert.fail('duplicate created'),
+          (error) => assert.equal(error.statusCode, 422)
+        ),
+        base(TABLE).create({ report_id: 'T-3' })
+      ]);
+    });
+    assert.equal(await reportIds(), 'T-1,T-2,T-3');
+  });
+
+  it('runs parallel nested transactions as independent savepoints', async () => {
+    await pool.query(`TRUNCATE ${TABLE}`);
+    await adapter.transaction(async (base) => {
+      await Promise.all([
+        base.transaction(async (inner) => {
+          await inner(TABLE).create({ report_id: 'N-1' });
+          await inner(TABLE).create({ report_id: 'N-2' });
+        }),
+        base.transaction(async (inner) => {
+          await inner(TABLE).create({ report_id: 'N-3' });
+          throw new Error('discard N-3');
+        }).catch(() => {}),
+        base(TABLE).create({ report_id: 'N-4' })
+      ]);
+    });
+    assert.equal(await reportIds(), 'N-1,N-2,N-4');
+  });
+
+  it('stays usable after a failed read', async () => {
+    await pool.query(`TRUNCATE ${TABLE}`);
+    await adapter.transaction(async (base) => {
+      await base(TABLE).create({ report_id: 'F-1' });
+      const [created] = await base(TABLE).select().all();
+      await assert.rejects(base(`${TABLE}_broken`).select().all(), { statusCode: 422 });
+      await assert.rejects(base(`${TABLE}_broken`).find(created.id), { statusCode: 422 });
+      await base(TABLE).create({ report_id: 'F-2' });
+    });
+    assert.equal(await reportIds(), 'F-1,F-2');
+  });
+
+  it('rolls everything back when fn throws', async () => {
+    await pool.query(`TRUNCATE ${TABLE}`);
+    await assert.rejects(adapter.transaction(async (base) => {
+      await base(TABLE).create({ report_id: 'R-1' });
+      throw new Error('abandon');
+    }), /abandon/);
+    assert.equal(await reportIds(), '');
+  });
+});
@@ -0,0 +1,125 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveMergeColumns, upsertRecords } = require('../upsert');
+const { skipWithoutDatabase, testConfig, testPool } = require('./db');
+
+const reports = {
+  sql: '"public"."reports"',
+  column: field => field,
+  softDeletes: false,
+  tombstoneCondition: () => null
+};
+
+describe('resolveMergeColumns', () => {
+  it('requires 1 to 3 merge fields', () => {
+    assert.deepEqual(resolveMergeColumns(reports, { fieldsToMergeOn: ['report_id'] }), ['report_id']);
+    for (const fieldsToMergeOn of [undefined, [], ['a', 'b', 'c', 'd'], 'report_id']) {
+      assert.throws(() => resolveMergeColumns(reports, { fieldsToMergeOn }), { error: 'INVALID_RECORDS', statusCode: 422 });
+    }
+  });
+});
+
+describe('upsertRecords', () => {
+  // Records the statements; every lookup finds nothing
+  function fakeClient() {
+    const queries = [];
+    return {
+      queries,
+      async query(sql, params) {
+        queries.push({ sql, params });
+        return { rows: [] };
+      }
+    };
+  }
+
+  const writers = {
+    insert: async (fields) => ({ airtable_record_id: `rec${fields.report_id}` }),
+    update: async (id) => ({ airtable_record_id: id })
+  };
+
+  it('locks a key by its values as text, whatever their JSON type', async () => {
+    const client = fakeClient();
+    await upsertRecords(client, reports, [{ fields: { report_id: 1 } }, { fields: { report_id: '1' } }], ['report_id'], writers);
+    const locks = client.queries.filter(query => /pg_advisory_xact_lock/.test(query.sql)).map(query => query.params[0]);
+    assert.equal(locks.length, 2);
+    assert.equal(locks[0], locks[1]);
+  });
+
+  it('requires a value for every merge field', async () => {
+    await assert.rejects(
+      upsertRecords(fakeClient(), reports, [{ fields: { score: 1 } }], ['report_id'], writers),
+      { error: 'INVALID_RECORDS', statusCode: 422 }
+    );
+  });
+});
+
+// Merging through the adapter, including concurrent upserts of one key
+describe('upsert in Postgres', { skip: skipWithoutDatabase }, () => {
+  const TABLE = 'test_upsert_reports';
+  let pool, adapter;
+
+  before(async () => {
+    const { AirtablePostgresAdapter } = require('../airtable-postgres-adapter');
+    pool = testPool();
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE}`);
+    await pool.query(`
+      CREATE TABLE ${TABLE} (
+        id serial PRIMARY KEY,
+        airtable_record_id text NOT NULL UNIQUE,
+        airtable_created_time timestamptz NOT NULL DEFAULT now(),
+        report_id text,
+        visit integer,
+        score numeric
+      )
+    `);
+    const config = testConfig();
+    adapter = new AirtablePostgresAdapter(config, config.database);
+  });
+
+  after(async () => {
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE}`);
+    await pool.end();
+    await adapter.close();
+  });
+
+  async function scores() {
+    const result = await pool.query(`SELECT report_id, visit, score FROM ${TABLE} ORDER BY report_id, visit`);
+    return result.rows.map(row => `${row.report_id}/${row.visit}=${row.score}`).join(',');
+  }
+
+  it('creates unmatched records and updates matched ones', async () => {
+    await pool.query(`TRUNCATE ${TABLE}`);
+    const first = await adapter.base()(TABLE).upsert([
+      { fields: { report_id: 'R-1', visit: 1, score: 1 } },
+      { fields: { report_id: 'R-1', visit: 2, score: 2 } }
+    ], ['report_id', 'visit']);
+    assert.equal(first.createdRecords.length, 2);
+
+    const second = await adapter.base()(TABLE).upsert([
+      { fields: { report_id: 'R-1', visit: 2, score: 5 } },
+      { fields: { report_id: 'R-2', visit: 1, score: 3 } }
+    ], ['report_id', 'visit']);
+    assert.deepEqual(second.updatedRecords, [first.createdRecords[1]]);
+    assert.equal(second.createdRecords.length, 1);
+    assert.equal(await scores(), 'R-1/1=1,R-1/2=5,R-2/1=3');
+  });
+
+  it('creates one record for concurrent upserts of a new key', async () => {
+    await pool.query(`TRUNCATE ${TABLE}`);
+    const results = await Promise.all([1, 2, 3, 4].map(score =>
+      adapter.base()(TABLE).upsert([{ fields: { report_id: 'R-9', score } }], ['report_id'])
+    ));
+    assert.equal(results.flatMap(result => result.createdRecords).length, 1);
+    assert.equal(results.flatMap(result => result.updatedRecords).length, 3);
+    assert.equal((await pool.query(`SELECT count(*)::int AS n FROM ${TABLE}`)).rows[0].n, 1);
+  });
+
+  it('rejects a key matching several records', async () => {
+    await pool.query(`TRUNCATE ${TABLE}`);
+    await adapter.base()(TABLE).create([{ fields: { report_id: 'R-3' } }, { fields: { report_id: 'R-3' } }]);
+    await assert.rejects(
+      adapter.base()(TABLE).upsert([{ fields: { report_id: 'R-3', score: 1 } }], ['report_id']),
+      { error: 'INVALID_RECORDS', statusCode: 422 }
+    );
+  });
+});
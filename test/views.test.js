@@ -0,0 +1,104 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyView, getView, listViews, saveView, deleteView } = require('../views');
+const { getTableSchema } = require('../schema');
+const { skipWithoutDatabase, testConfig, testPool } = require('./db');
+
+describe('applyView', () => {
+  const view = { filterByFormula: '{status} = "flagged"', sort: [{ field: 'score' }], fields: ['report_id'], pageSize: 25 };
+
+  it('fills in what the request leaves out', () => {
+    assert.deepEqual(applyView(view, {}), {
+      formulas: ['{status} = "flagged"'],
+      sort: [{ field: 'score' }],
+      fields: ['report_id'],
+      maxRecords: 25
+    });
+  });
+
+  it('ANDs the request\'s formula and lets its other options win', () => {
+    const options = { filterByFormula: '{score} > 1', sort: [{ field: 'report_id' }], fields: ['score'], maxRecords: 5 };
+    assert.deepEqual(applyView(view, options), {
+      formulas: ['{status} = "flagged"', '{score} > 1'],
+      sort: [{ field: 'report_id' }],
+      fields: ['score'],
+      maxRecords: 5
+    });
+    assert.deepEqual(applyView(null, options).formulas, ['{score} > 1']);
+  });
+});
+
+// Views stored in the base and applied to adapter selects
+describe('views in Postgres', { skip: skipWithoutDatabase }, () => {
+  const TABLE = 'test_views_reports';
+  let pool, adapter, reports, table;
+
+  before(async () => {
+    const { AirtablePostgresAdapter } = require('../airtable-postgres-adapter');
+    pool = testPool();
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE}`);
+    await pool.query(`
+      CREATE TABLE ${TABLE} (
+        id serial PRIMARY KEY,
+        airtable_record_id text NOT NULL UNIQUE,
+        airtable_created_time timestamptz NOT NULL DEFAULT now(),
+        report_id text,
+        status text,
+        score integer
+      );
+      INSERT INTO ${TABLE} (airtable_record_id, report_id, status, score)
+      VALUES ('rec1', 'R-1', 'flagged', 1), ('rec2', 'R-2', 'ok', 2), ('rec3', 'R-3', 'flagged', 3);
+    `);
+    table = await getTableSchema(pool, TABLE);
+    const config = testConfig();
+    adapter = new AirtablePostgresAdapter(config, config.database);
+    reports = () => adapter.base()(TABLE);
+  });
+
+  after(async () => {
+    await pool.query('DELETE FROM public._airtable_views WHERE table_name = $1', [TABLE]).catch(() => {});
+    await pool.query(`DROP TABLE IF EXISTS ${TABLE}`);
+    await pool.end();
+    await adapter.close();
+  });
+
+  it('saves, lists and deletes views', async () => {
+    const saved = await saveView(pool, table, 'Flagged', { filterByFormula: '{status} = "flagged"', sort: [{ field: 'score', direction: 'desc' }] });
+    assert.equal(saved.name, 'Flagged');
+    assert.deepEqual(saved.fields, []);
+    await saveView(pool, table, 'Scores', { fields: ['report_id', 'score'], pageSize: 50 });
+
+    assert.deepEqual((await listViews(pool, table)).map(view => view.name), ['Flagged', 'Scores']);
+    assert.equal((await getView(pool, table, 'Scores')).pageSize, 50);
+
+    assert.equal(await deleteView(pool, table, 'Scores'), true);
+    assert.equal(await deleteView(pool, table, 'Scores'), false);
+    await assert.rejects(getView(pool, table, 'Scores'), { error: 'VIEW_NAME_NOT_FOUND', statusCode: 422 });
+  });
+
+  it('rejects views a request couldn\'t use', async () => {
+    const invalid = [
+      ['', {}, 'INVALID_VIEW'],
+      ['Bad', { pageSize: 0 }, 'INVALID_VIEW'],
+      ['Bad', { fields: 'report_id' }, 'INVALID_VIEW'],
+      ['Bad', { filterByFormula: '{status} =' }, 'INVALID_FILTER_BY_FORMULA'],
+      ['Bad', { sort: [{ field: 'missing' }] }, 'UNKNOWN_FIELD_NAME']
+    ];
+    for (const [name, definition, error] of invalid) {
+      await assert.rejects(saveView(pool, table, name, definition), { error, statusCode: 422 }, JSON.stringify(definition));
+    }
+    assert.equal((await listViews(pool, table)).some(view => view.name === 'Bad'), false);
+  });
+
+  it('applies a view to adapter selects, with explicit options on top', async () => {
+    await saveView(pool, table, 'Flagged', { filterByFormula: '{status} = "flagged"', sort: [{ field: 'score', direction: 'desc' }], fields: ['report_id'] });
+
+    const flagged = await reports().select({ view: 'Flagged' }).all();
+    assert.deepEqual(flagged.map(record => record.fields), [{ report_id: 'R-3' }, { report_id: 'R-1' }]);
+
+    const combined = await reports().select({ view: 'Flagged', filterByFormula: '{score} < 3', fields: ['status'] }).all();
+    assert.deepEqual(combined.map(record => record.fields), [{ status: 'flagged' }]);
+
+    await assert.rejects(reports().select({ view: 'Missing' }).all(), { error: 'VIEW_NAME_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Upsert (performUpsert.fieldsToMergeOn)
+ *
+ * "Create or update by natural key" for ingestion jobs, shared by the REST
+ * handler and the adapter. Each record is matched on its fieldsToMergeOn
+ * values: no match → insert, one match → update, several → 422. A key that
+ * only matches a soft-deleted record is rejected (422) until the record is
+ * restored or purged.
+ *
+ * The merge columns don't need a unique index (most migrated tables have
+ * none), so instead of INSERT ... ON CONFLICT each lookup takes a
+ * transaction-scoped advisory lock on (table, tenant, merge values)
+ * followed by SELECT ... FOR UPDATE. Two concurrent upserts of the same key
+ * serialize on the lock, so the second one sees the first one's row instead
+ * of inserting a duplicate. Callers must run upsertRecords inside a
+ * transaction.
+ */
+
+const { AirtableError } = require('./airtable-error');
+const { quoteIdent } = require('./filter-formula');
+const { scopeCondition, tenantStamp } = require('./tenancy');
+const { tombstones } = require('./soft-delete');
+
+// Airtable allows 1-3 merge fields
+const MAX_MERGE_FIELDS = 3;
+
+function invalidUpsert(message) {
+  return new AirtableError('INVALID_RECORDS', message, 422);
+}
+
+/**
+ * A merge value as text for the lock key, so values stored alike (1 and
+ * "1" in a text column) take the same lock
+ */
+function lockText(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Reject a key only a tombstone matches (soft-delete.js): the deleted record
+ * keeps its values until purged, so it must be restored, not created again
+ */
+async function rejectDeletedMatch(client, table, match, matchValues, mergeColumns) {
+  if (!table.softDeletes) {
+    return;
+  }
+  const params = [...matchValues];
+  const where = scopeCondition(tombstones(table), match, params);
+  const deleted = await client.query(`SELECT "airtable_record_id" FROM ${table.sql} WHERE ${where} LIMIT 1`, params);
+  if (deleted.rows.length > 0) {
+    throw invalidUpsert(
+      `Deleted record ${deleted.rows[0].airtable_record_id} matches ${mergeColumns.join(', ')} = ${JSON.stringify(matchValues)}; restore it instead`
+    );
+  }
+}
+
+/**
+ * Validate performUpsert and resolve its fields to columns
+ * @returns {string[]} merge columns
+ */
+function resolveMergeColumns(table, performUpsert) {
+  const fieldsToMergeOn = performUpsert && performUpsert.fieldsToMergeOn;
+
+  if (!Array.isArray(fieldsToMergeOn) || fieldsToMergeOn.length === 0 || fieldsToMergeOn.length > MAX_MERGE_FIELDS) {
+    throw invalidUpsert(`performUpsert.fieldsToMergeOn must list 1 to ${MAX_MERGE_FIELDS} fields`);
+  }
+
+  return fieldsToMergeOn.map(field => table.column(field));
+}
+
+/**
+ * Create or update each record by its merge field values
+ *
+ * @param {Object} client - pg client with an open transaction
+ * @param {TableSchema} table
+ * @param {Array<{id?: string, fields: Object}>} records
+ * @param {string[]} mergeColumns - From resolveMergeColumns()
+ * @param {Object} writers
+ * @param {Function} writers.insert - async (fields) => row
+ * @param {Function} writers.update - async (recordId, fields) => row
+ * @param {Function} [writers.serialize] - value → query param, as the writers store it
+ * @returns {Promise<{rows: Object[], createdRecords: string[], updatedRecords: string[]}>}
+ */
+async function upsertRecords(client, table, records, mergeColumns, writers) {
+  const serialize = writers.serialize || (value => value);
+  const rows = [];
+  const createdRecords = [];
+  const updatedRecords = [];
+
+  for (const record of records) {
+    const fields = record.fields || {};
+
+    // Records that carry an id are plain updates, as in Airtable
+    if (record.id) {
+      const row = await writers.update(record.id, fields);
+      rows.push(row);
+      updatedRecords.push(row.airtable_record_id);
+      continue;
+    }
+
+    const valuesByColumn = {};
+    for (const [field, value] of Object.entries(fields)) {
+      valuesByColumn[table.column(field)] = value;
+    }
+
+    const matchValues = mergeColumns.map((column) => {
+      if (!(column in valuesByColumn)) {
+        throw invalidUpsert(`Record is missing a value for merge field "${column}"`);
+      }
+      return serialize(valuesByColumn[column], column);
+    });
+
+    // Keyed by tenant too: partners upserting the same values don't wait on
+    // each other (their rows never match across partners)
+    const tenant = tenantStamp(table);
+    await client.query(
+      'SELECT pg_advisory_xact_lock(hashtext($1))',
+      [JSON.stringify([table.sql, tenant && tenant.partnerId, ...matchValues.map(lockText)])]
+    );
+
+    // Only the caller's tenant's live rows can match (tenancy.js)
+    const match = mergeColumns.map((column, i) => `${quoteIdent(column)} IS NOT DISTINCT FROM $${i + 1}`).join(' AND ');
+    const params = [...matchValues];
+    const where = scopeCondition(table, match, params);
+    const existing = await client.query(
+      `SELECT "airtable_record_id" FROM ${table.sql} WHERE ${where} LIMIT 2 FOR UPDATE`,
+      params
+    );
+
+    if (existing.rows.length > 1) {
+      throw invalidUpsert(`More than one record matches ${mergeColumns.join(', ')} = ${JSON.stringify(matchValues)}`);
+    }
+
+    if (existing.rows.length === 1) {
+      const row = await writers.update(existing.rows[0].airtable_record_id, fields);
+      rows.push(row);
+      updatedRecords.push(row.airtable_record_id);
+    } else {
+      await rejectDeletedMatch(client, table, match, matchValues, mergeColumns);
+      const row = await writers.insert(fields);
+      rows.push(row);
+      createdRecords.push(row.airtable_record_id);
+    }
+  }
+
+  return { rows, createdRecords, updatedRecords };
+}
+
+module.exports = {
+  resolveMergeColumns,
+  upsertRecords
+};
@@ -0,0 +1,242 @@
+/**
+ * Named Views
+ *
+ * Airtable-era clients pass `view=Flagged Reports`; a view is a saved
+ * filterByFormula, sort, field list and default page size for one table.
+ * Views live in each base's database (internalTable('views')), so they are
+ * managed per base through the /views endpoint instead of by redeploying.
+ *
+ * When a request names a view, its explicit params are combined on top:
+ *   - filterByFormula: AND-ed with the view's formula
+ *   - sort, fields[]: replace the view's when given
+ *   - maxRecords: overrides the view's page size
+ *
+ * Renaming a field (migrations.js) rewrites the views that refer to it.
+ */
+
+const { AirtableError } = require('./airtable-error');
+const { compileFormula, tokenize } = require('./filter-formula');
+const { internalTable, queryInternal } = require('./schema');
+
+const VIEWS_TABLE = internalTable('views');
+
+// Same ceiling as maxRecords on the list endpoint
+const MAX_PAGE_SIZE = 10000;
+
+function viewNotFound(viewName, table) {
+  return new AirtableError('VIEW_NAME_NOT_FOUND', `Could not find view ${viewName} in table ${table.name}`, 422);
+}
+
+function invalidView(message) {
+  return new AirtableError('INVALID_VIEW', message, 422);
+}
+
+/**
+ * Views table row → API shape
+ */
+function rowToView(row) {
+  return {
+    name: row.name,
+    table: row.table_name,
+    filterByFormula: row.filter_by_formula || '',
+    sort: row.sort || [],
+    fields: row.fields || [],
+    pageSize: row.page_size,
+    createdTime: new Date(row.created_time).toISOString(),
+    updatedTime: new Date(row.updated_time).toISOString()
+  };
+}
+
+async function ensureViewsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${VIEWS_TABLE} (
+      table_name text NOT NULL,
+      name text NOT NULL,
+      filter_by_formula text,
+      sort jsonb NOT NULL DEFAULT '[]',
+      fields jsonb NOT NULL DEFAULT '[]',
+      page_size integer,
+      created_time timestamptz NOT NULL DEFAULT now(),
+      updated_time timestamptz NOT NULL DEFAULT now(),
+      PRIMARY KEY (table_name, name)
+    )
+  `);
+}
+
+/**
+ * Query the views table, treating "not created yet" as no views
+ */
+function queryViews(client, sql, params) {
+  return queryInternal(client, VIEWS_TABLE, sql, params);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Lookup
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * @param {Object} client - pg client or pool
+ * @param {TableSchema} table
+ * @param {string} viewName
+ * @returns {Promise<Object>} view (throws VIEW_NAME_NOT_FOUND)
+ */
+async function getView(client, table, viewName) {
+  const rows = await queryViews(client,
+    `SELECT * FROM ${VIEWS_TABLE} WHERE table_name = $1 AND name = $2`,
+    [table.name, viewName]
+  );
+  if (rows.length === 0) {
+    throw viewNotFound(viewName, table);
+  }
+  return rowToView(rows[0]);
+}
+
+async function listViews(client, table) {
+  const rows = await queryViews(client,
+    `SELECT * FROM ${VIEWS_TABLE} WHERE table_name = $1 ORDER BY name`,
+    [table.name]
+  );
+  return rows.map(rowToView);
+}
+
+/**
+ * Combine a view (or null) with the request's own options
+ * @param {Object|null} view
+ * @param {Object} options - { filterByFormula, sort, fields, maxRecords }
+ * @returns {{ formulas: string[], sort: Array, fields: string[], maxRecords: number|undefined }}
+ */
+function applyView(view, options) {
+  const hasSort = Array.isArray(options.sort) && options.sort.length > 0;
+  const hasFields = Array.isArray(options.fields) && options.fields.length > 0;
+
+  return {
+    formulas: [view && view.filterByFormula, options.filterByFormula].filter(Boolean),
+    sort: hasSort || !view ? options.sort : view.sort,
+    fields: hasFields || !view ? options.fields : view.fields,
+    maxRecords: options.maxRecords || (view && view.pageSize) || undefined
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Management
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Create or replace a view after checking it against the table
+ * @param {Object} definition - { filterByFormula, sort, fields, pageSize }
+ */
+async function saveView(client, table, viewName, definition) {
+  if (typeof viewName !== 'string' || viewName.trim() === '') {
+    throw invalidView('View name is required');
+  }
+
+  const { filterByFormula = '', sort = [], fields = [], pageSize = null } = definition || {};
+  if (typeof filterByFormula !== 'string') {
+    throw invalidView('filterByFormula must be a string');
+  }
+  if (!Array.isArray(fields)) {
+    throw invalidView('fields must be an array of field names');
+  }
+  if (pageSize !== null && (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE)) {
+    throw invalidView(`pageSize must be an integer from 1 to ${MAX_PAGE_SIZE}`);
+  }
+
+  // Same checks a request using the view would hit, so bad views fail here
+  await compileFormula(filterByFormula, { resolveField: field => table.column(field) });
+  table.resolveSort(sort);
+  table.selectList(fields);
+
+  await ensureViewsTable(client);
+  const result = await client.query(`
+    INSERT INTO ${VIEWS_TABLE} (table_name, name, filter_by_formula, sort, fields, page_size)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (table_name, name) DO UPDATE SET
+      filter_by_formula = EXCLUDED.filter_by_formula,
+      sort = EXCLUDED.sort,
+      fields = EXCLUDED.fields,
+      page_size = EXCLUDED.page_size,
+      updated_time = now()
+    RETURNING *
+  `, [table.name, viewName, filterByFormula, JSON.stringify(sort), JSON.stringify(fields), pageSize]);
+
+  return rowToView(result.rows[0]);
+}
+
+/**
+ * @returns {Promise<boolean>} false if there was no such view
+ */
+async function deleteView(client, table, viewName) {
+  const rows = await queryViews(client,
+    `DELETE FROM ${VIEWS_TABLE} WHERE table_name = $1 AND name = $2 RETURNING name`,
+    [table.name, viewName]
+  );
+  return rows.length > 0;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Field renames
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Column a stored field reference resolves to, or null
+ */
+function referencedColumn(table, field) {
+  try {
+    return table.column(field);
+  } catch (error) {
+    if (error instanceof AirtableError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Rewrite a formula's {field} references with rename(field)
+ */
+function renameFormulaFields(formula, rename) {
+  let renamed = '';
+  let copied = 0;
+  for (const token of tokenize(formula)) {
+    if (token.type === 'field' && rename(token.value) !== token.value) {
+      renamed += `${formula.slice(copied, token.pos)}{${rename(token.value)}}`;
+      copied = formula.indexOf('}', token.pos) + 1;
+    }
+  }
+  return renamed + formula.slice(copied);
+}
+
+/**
+ * Point a table's views at a renamed column: fields, sort and formula
+ * references that resolved to the old column get the new one. Runs in the
+ * rename's transaction (migrations.js).
+ * @param {TableSchema} table - Schema from before the rename
+ */
+async function renameViewField(client, table, column, newColumn) {
+  const rename = field => (referencedColumn(table, field) === column ? newColumn : field);
+  const rows = await queryViews(client,
+    `SELECT name, filter_by_formula, sort, fields FROM ${VIEWS_TABLE} WHERE table_name = $1 FOR UPDATE`,
+    [table.name]
+  );
+
+  for (const row of rows) {
+    const filterByFormula = renameFormulaFields(row.filter_by_formula || '', rename);
+    const sort = (row.sort || []).map(spec => ({ ...spec, field: rename(spec.field) }));
+    const fields = (row.fields || []).map(rename);
+    await client.query(
+      `UPDATE ${VIEWS_TABLE} SET filter_by_formula = $3, sort = $4, fields = $5, updated_time = now()
+       WHERE table_name = $1 AND name = $2`,
+      [table.name, row.name, filterByFormula, JSON.stringify(sort), JSON.stringify(fields)]
+    );
+  }
+}
+
+module.exports = {
+  getView,
+  listViews,
+  applyView,
+  saveView,
+  deleteView,
+  renameViewField,
+  viewNotFound
+};